@@ -6,9 +6,16 @@ import cors           from 'cors'
 import rateLimit      from 'express-rate-limit'
 import authRoutes     from '../routes/auth.js'
 import sheetsRoutes   from '../routes/sheets.js'
+import permissionRoutes from '../routes/permissions.js'
+import auditRoutes    from '../routes/audit.js'
+import apiKeyRoutes   from '../routes/apiKeys.js'
+import roleRoutes     from '../routes/roles.js'
+import workspaceRoutes from '../routes/workspaces.js'
+import webhookRoutes  from '../routes/webhooks.js'
+import { keyringError } from '../config/keyring.js'
 
 // ── Validate required env vars ──────────────────────────────────────
-const REQUIRED_ENV = ['JWT_SECRET', 'SHEET_ID', 'ADMIN_EMAILS']
+const REQUIRED_ENV = ['SHEET_ID', 'ADMIN_EMAILS']
 for (const key of REQUIRED_ENV) {
   if (!process.env[key]) {
     console.error(`❌  Missing required env var: ${key}`)
@@ -16,14 +23,19 @@ for (const key of REQUIRED_ENV) {
   }
 }
 
-if (process.env.JWT_SECRET.length < 32) {
-  console.error('❌  JWT_SECRET must be at least 32 characters long')
+// JWT_SECRET and/or JWT_KEYS — see config/keyring.js
+if (keyringError()) {
+  console.error(`❌  ${keyringError()}`)
   process.exit(1)
 }
 
 const app  = express()
 const PORT = process.env.PORT || 4000
 
+// Vercel / Railway put one proxy in front of us — trust its X-Forwarded-For so
+// req.ip (rate limits, login history) is the client's address.
+app.set('trust proxy', 1)
+
 // ── Security headers (helmet) ───────────────────────────────────────
 app.use(helmet())
 
@@ -40,7 +52,8 @@ app.use(cors({
     callback(new Error(`CORS: origin ${origin} not allowed`))
   },
   methods:            ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders:     ['Content-Type', 'Authorization'],
+  allowedHeaders:     ['Content-Type', 'Authorization', 'If-Match', 'If-None-Match', 'X-API-Key', 'X-Workspace', 'Last-Event-ID'],
+  exposedHeaders:     ['ETag', 'X-Refresh-Hint', 'X-Workspace'],
   credentials:        true,
 }))
 
@@ -69,6 +82,12 @@ const sheetsLimiter = rateLimit({
 // ── Routes ───────────────────────────────────────────────────────────
 app.use('/api/auth',   authLimiter,   authRoutes)
 app.use('/api/sheets', sheetsLimiter, sheetsRoutes)
+app.use('/api/permissions', sheetsLimiter, permissionRoutes)
+app.use('/api/audit',  sheetsLimiter, auditRoutes)
+app.use('/api/api-keys', sheetsLimiter, apiKeyRoutes)
+app.use('/api/roles',  sheetsLimiter, roleRoutes)
+app.use('/api/workspaces', sheetsLimiter, workspaceRoutes)
+app.use('/api/webhooks', sheetsLimiter, webhookRoutes)
 
 // ── Health check ─────────────────────────────────────────────────────
 app.get('/health', (_, res) => {
@@ -94,5 +113,5 @@ app.listen(PORT, () => {
   console.log(`\n✅  ELBOB Backend running on http://localhost:${PORT}`)
   console.log(`   Admin emails: ${process.env.ADMIN_EMAILS}`)
   console.log(`   Allowed origins: ${allowedOrigins.join(', ')}`)
-  console.log(`   JWT expires: ${process.env.JWT_EXPIRES_IN || '8h'}\n`)
+  console.log(`   JWT expires: ${process.env.JWT_EXPIRES_IN || '15m'}\n`)
 })
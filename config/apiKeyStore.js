@@ -0,0 +1,152 @@
+// config/apiKeyStore.js
+//
+// API keys for machine clients (stock-count scripts, POS integrations).
+//
+// Sheet tab "مفاتيح API" columns: id | name | hash | scopes | createdBy | createdAt | expiresAt | lastUsedAt | revokedAt | revokedBy
+//
+// A key looks like "elb_<id>_<secret>". Only a SHA-256 hash of the whole key
+// is stored; the plaintext is shown once, when the key is created.
+//
+// Scopes are "read:<tab>" or "write:<tab>" ("*" for every tab). Write covers
+// append, edit and delete; it does not include read. System tabs are never
+// reachable with a key, whatever its scopes.
+//
+// Keys are checked by requireAuth() (Authorization: Bearer elb_… or
+// X-API-Key: elb_…). lastUsedAt is written at most every LAST_USED_EVERY_MS
+// per key and instance, so busy scripts don't turn into one write per request.
+
+import { randomBytes, createHash, timingSafeEqual } from 'crypto'
+import { createSheetTab } from './sheetTab.js'
+
+export const API_KEYS_TAB   = 'مفاتيح API'
+export const API_KEY_PREFIX = 'elb_'
+export const SCOPE_ACCESS   = ['read', 'write']
+
+const LAST_USED_EVERY_MS = 5 * 60 * 1000
+
+const keysTab = createSheetTab(API_KEYS_TAB, [
+  'id', 'name', 'hash', 'scopes', 'createdBy', 'createdAt', 'expiresAt', 'lastUsedAt', 'revokedAt', 'revokedBy',
+], { ttlMs: 15_000 })
+
+const _lastUsedWrites = new Map()  // id → ms of our last lastUsedAt write
+let _lastFreshMiss    = 0          // unauthenticated callers must not force a sheet read per request
+
+const hashKey = key => createHash('sha256').update(key).digest('base64url')
+
+const isExpired = r => r.expiresAt && new Date(r.expiresAt).getTime() < Date.now()
+
+/** True if a key row can still be used. */
+export function isUsable(record) {
+  return !!record && !record.revokedAt && !isExpired(record)
+}
+
+const parseScopes = v => String(v ?? '').split(',').map(s => s.trim()).filter(Boolean)
+
+// The public view of a key row: no hash, scopes as an array.
+function toKey(record) {
+  return {
+    id:         record.id,
+    name:       record.name,
+    scopes:     parseScopes(record.scopes),
+    createdBy:  record.createdBy,
+    createdAt:  record.createdAt,
+    expiresAt:  record.expiresAt || null,
+    lastUsedAt: record.lastUsedAt || null,
+    revokedAt:  record.revokedAt || null,
+    revokedBy:  record.revokedBy || null,
+    active:     isUsable(record),
+  }
+}
+
+/**
+ * Check a list of scopes. Returns an error message, or null if they are valid.
+ * `isProtected` rejects scopes naming a system tab.
+ */
+export function checkScopes(scopes, isProtected = () => false) {
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'scopes must be a non-empty array, e.g. ["write:مشتريات"]'
+  for (const scope of scopes) {
+    const at     = String(scope).indexOf(':')
+    const access = String(scope).slice(0, at)
+    const tab    = String(scope).slice(at + 1).trim()
+    if (at === -1 || !SCOPE_ACCESS.includes(access) || !tab) return `Invalid scope "${scope}" — use read:<tab> or write:<tab>`
+    if (tab.includes(',')) return `Invalid scope "${scope}" — tab names may not contain commas`
+    if (tab !== '*' && isProtected(tab)) return `"${tab}" is a system tab and cannot be granted to an API key`
+  }
+  return null
+}
+
+/** True if `scopes` allow `action` (read | append | edit | delete) on tabName. */
+export function scopeAllows(scopes, tabName, action) {
+  const access = action === 'read' ? 'read' : 'write'
+  return scopes.includes(`${access}:*`) || scopes.includes(`${access}:${tabName}`)
+}
+
+/** All keys (active and not), newest first. */
+export async function listApiKeys({ token } = {}) {
+  const rows = await keysTab.rows({ token, fresh: true })
+  return rows.filter(r => r.id).map(toKey).reverse()
+}
+
+/**
+ * Create a key. Returns { key, apiKey } — `key` is the plaintext, which is
+ * not stored anywhere and cannot be shown again.
+ */
+export async function createApiKey({ name, scopes, expiresAt = null, createdBy }, { token } = {}) {
+  const id     = randomBytes(6).toString('hex')
+  const key    = `${API_KEY_PREFIX}${id}_${randomBytes(24).toString('base64url')}`
+  const record = {
+    id,
+    name,
+    hash:      hashKey(key),
+    scopes:    scopes.map(s => String(s).trim()).join(', '),
+    createdBy,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : '',
+  }
+  await keysTab.append(record, { token })
+  return { key, apiKey: toKey(record) }
+}
+
+/** Revoke a key. Returns the revoked key, or null if there is no such active key. */
+export async function revokeApiKey(id, revokedBy, { token } = {}) {
+  const row = (await keysTab.rows({ token, fresh: true })).find(r => r.id === id)
+  if (!isUsable(row)) return null
+  const changes = { revokedAt: new Date().toISOString(), revokedBy }
+  await keysTab.patch(row.__rowIndex, changes, { token })
+  return toKey({ ...row, ...changes })
+}
+
+/**
+ * Resolve a presented key. Returns { id, name, scopes } for a valid, active
+ * key, otherwise null. A key missing from the cache is looked up again fresh
+ * (at most every few seconds) — it may have been created on another instance.
+ */
+export async function authenticateApiKey(key, { token } = {}) {
+  const m = new RegExp(`^${API_KEY_PREFIX}([0-9a-f]{12})_[\\w-]+$`).exec(String(key || ''))
+  if (!m) return null
+
+  const find = rows => rows.find(r => r.id === m[1])
+  let row = find(await keysTab.rows({ token }))
+  if (!row && Date.now() - _lastFreshMiss > 5_000) {
+    row = find(await keysTab.rows({ token, fresh: true }))
+    if (!row) _lastFreshMiss = Date.now()
+  }
+  if (!isUsable(row)) return null
+
+  const presented = Buffer.from(hashKey(key))
+  const stored    = Buffer.from(row.hash || '')
+  if (presented.length !== stored.length || !timingSafeEqual(presented, stored)) return null
+
+  touch(row, { token })
+  return { id: row.id, name: row.name, scopes: parseScopes(row.scopes) }
+}
+
+// Record lastUsedAt in the background — never delays or fails the request.
+function touch(row, { token } = {}) {
+  const now = Date.now()
+  if (now - (_lastUsedWrites.get(row.id) || 0) < LAST_USED_EVERY_MS) return
+  _lastUsedWrites.set(row.id, now)
+
+  keysTab.patch(row.__rowIndex, { lastUsedAt: new Date(now).toISOString() }, { token })
+    .catch(err => console.warn('[apiKeys] lastUsedAt update failed:', err.message))
+}
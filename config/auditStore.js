@@ -0,0 +1,82 @@
+// config/auditStore.js
+//
+// Append-only trail of every write made through this backend.
+//
+// Sheet tab "سجل التدقيق" columns: timestamp | actor | route | tab | row | before | after | workspace
+//
+// `before` / `after` hold JSON: the row's values (sheets routes) or the user
+// record (user management). An empty cell means "nothing" — e.g. `before` of
+// an append, or `after` of a delete. `workspace` is set for writes to a
+// workspace's spreadsheet (config/workspaceStore.js).
+
+import { createSheetTab } from './sheetTab.js'
+
+const AUDIT_TAB = 'سجل التدقيق'
+const auditTab  = createSheetTab(AUDIT_TAB, ['timestamp', 'actor', 'route', 'tab', 'row', 'before', 'after', 'workspace'])
+
+const toCell = v => (v === undefined || v === null ? '' : JSON.stringify(v))
+
+function fromCell(v) {
+  if (!v) return null
+  try { return JSON.parse(v) } catch { return v }
+}
+
+/**
+ * Record one or more audit entries: { actor, route, tab, row, before, after, workspace? }.
+ *
+ * Never throws — the write it describes has already reached Google, so a
+ * failure here is logged rather than turned into an error response.
+ */
+export async function recordAudit(entries, { token } = {}) {
+  const list = Array.isArray(entries) ? entries : [entries]
+  if (list.length === 0) return
+  const timestamp = new Date().toISOString()
+  try {
+    await auditTab.append(list.map(e => ({
+      timestamp,
+      actor:  e.actor,
+      route:  e.route,
+      tab:    e.tab,
+      row:    e.row ?? '',
+      before: toCell(e.before),
+      after:  toCell(e.after),
+      workspace: e.workspace ?? '',
+    })), { token })
+  } catch (err) {
+    console.error('[audit] Failed to record entry:', err.message)
+  }
+}
+
+/**
+ * Query the audit log, newest first.
+ * Filters: user (actor email), tab, workspace, from / to (anything Date can parse).
+ */
+export async function queryAudit({ user, tab, workspace, from, to, limit = 200 } = {}) {
+  const fromMs = from ? new Date(from).getTime() : -Infinity
+  const toMs   = to   ? new Date(to).getTime()   : Infinity
+  const actor  = user?.toLowerCase().trim()
+
+  const matches = (await auditTab.rows({ fresh: true }))
+    .filter(r => {
+      if (actor && r.actor.toLowerCase() !== actor) return false
+      if (tab && r.tab !== tab) return false
+      if (workspace && (r.workspace || '') !== workspace) return false
+      const t = new Date(r.timestamp).getTime()
+      return t >= fromMs && t <= toMs
+    })
+    .reverse()
+
+  return {
+    total:   matches.length,
+    entries: matches.slice(0, limit).map(r => ({
+      timestamp: r.timestamp,
+      actor:     r.actor,
+      route:     r.route,
+      tab:       r.tab,
+      row:       r.row ? Number(r.row) : null,
+      before:    fromCell(r.before),
+      after:     fromCell(r.after),
+      workspace: r.workspace || null,
+    })),
+  }
+}
@@ -0,0 +1,189 @@
+// config/cacheStore.js
+//
+// Key/value store behind the read cache (config/sheetCache.js).
+//
+// By default entries live in this process's memory, so each warm instance has
+// its own cache. Set CACHE_URL=redis://[user:password@]host:port[/db] (or
+// rediss:// for TLS) to share one cache between instances through Redis or any
+// server that speaks its protocol (Valkey, KeyDB, Dragonfly, ...).
+//
+// A store has three async methods:
+//   get(key)               → value or null
+//   set(key, value, ttlMs) → stores value (any JSON value) for ttlMs
+//   incr(key)              → adds 1 to a counter that outlives the entries stored
+//                            under its value, returns it
+
+import net from 'net'
+import tls from 'tls'
+
+const MEMORY_MAX_ENTRIES = 200
+const SWEEP_INTERVAL_MS  = 60_000
+const REDIS_TIMEOUT_MS   = 1_000
+
+/**
+ * In-process store. Evicts the oldest entries past `maxEntries`. A counter is
+ * kept while entries stored under its value may still be alive: it is
+ * dropped once it has gone unused (read or bumped) for longer than any entry
+ * lives, plus a minute for reads that stored their entry late.
+ */
+export function createMemoryStore({ maxEntries = MEMORY_MAX_ENTRIES } = {}) {
+  const entries  = new Map()   // key → { value, expiresAt }, oldest first
+  const counters = new Map()   // key → { value, usedAt } — kept apart so eviction never resets one in use
+  let longestTtl = 0
+  let lastSweep  = 0
+
+  function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return
+    lastSweep = now
+    for (const [key, entry] of entries) if (entry.expiresAt <= now) entries.delete(key)
+    for (const [key, counter] of counters) {
+      if (counter.usedAt + longestTtl + SWEEP_INTERVAL_MS <= now) counters.delete(key)
+    }
+  }
+
+  return {
+    async get(key) {
+      const counter = counters.get(key)
+      if (counter) { counter.usedAt = Date.now(); return counter.value }
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (entry.expiresAt <= Date.now()) { entries.delete(key); return null }
+      return entry.value
+    },
+    async set(key, value, ttlMs) {
+      const now = Date.now()
+      longestTtl = Math.max(longestTtl, ttlMs)
+      entries.delete(key)
+      entries.set(key, { value, expiresAt: now + ttlMs })
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value)
+      sweep(now)
+    },
+    async incr(key) {
+      const now     = Date.now()
+      const counter = counters.get(key) || { value: 0 }
+      counters.set(key, { value: counter.value + 1, usedAt: now })
+      sweep(now)
+      return counter.value + 1
+    },
+  }
+}
+
+// ── Redis ────────────────────────────────────────────────────────────
+// Just enough of the protocol (RESP) for GET, SET PX, INCR, AUTH and SELECT.
+
+const encode = args => `*${args.length}\r\n` +
+  args.map(a => { const s = String(a); return `$${Buffer.byteLength(s)}\r\n${s}\r\n` }).join('')
+
+// Parse one reply from the start of `buf`: [value, bytesUsed], or null if incomplete.
+function parseReply(buf) {
+  const eol = buf.indexOf('\r\n')
+  if (eol === -1) return null
+  const type = String.fromCharCode(buf[0])
+  const line = buf.toString('utf8', 1, eol)
+  if (type === '+') return [line, eol + 2]
+  if (type === '-') return [new Error(`Redis: ${line}`), eol + 2]
+  if (type === ':') return [Number(line), eol + 2]
+  if (type === '$') {
+    const len = Number(line)
+    if (len === -1) return [null, eol + 2]
+    if (buf.length < eol + 2 + len + 2) return null
+    return [buf.toString('utf8', eol + 2, eol + 2 + len), eol + 2 + len + 2]
+  }
+  return [new Error(`Redis: unexpected reply type "${type}"`), buf.length]
+}
+
+/**
+ * Store on a Redis-compatible server. One connection, reopened on demand.
+ * Commands wait for AUTH and SELECT; if the server refuses either, the
+ * connection is dropped and the commands fail with its error.
+ */
+export function createRedisStore(url) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url)
+  const db = Number(pathname.slice(1)) || 0
+
+  let socket  = null
+  let ready   = null   // settles once AUTH / SELECT have been answered
+  let buffer  = Buffer.alloc(0)
+  let pending = []     // { resolve, reject, timer }, in send order
+
+  function reset(err) {
+    socket?.destroy()
+    socket = null
+    ready  = null
+    buffer = Buffer.alloc(0)
+    for (const p of pending.splice(0)) { clearTimeout(p.timer); p.reject(err) }
+  }
+
+  function connect() {
+    const options = { host: hostname, port: Number(port) || 6379 }
+    const conn = protocol === 'rediss:' ? tls.connect({ ...options, servername: hostname }) : net.connect(options)
+    socket = conn
+    conn.setNoDelay(true)
+    conn.unref()
+    conn.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk])
+      let reply
+      while (pending.length && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply[1])
+        const p = pending.shift()
+        clearTimeout(p.timer)
+        reply[0] instanceof Error ? p.reject(reply[0]) : p.resolve(reply[0])
+      }
+    })
+    // Events of a connection that was already replaced must not reset the new one
+    conn.on('error', err => { if (socket === conn) reset(err) })
+    conn.on('close', () => { if (socket === conn) reset(new Error('Redis connection closed')) })
+
+    const setup = []
+    if (password) setup.push(write(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)]))
+    if (db) setup.push(write(['SELECT', db]))
+    ready = Promise.all(setup).catch(err => {
+      const failed = new Error(`Redis refused the connection setup — ${err.message}`)
+      if (socket === conn) reset(failed)
+      throw failed
+    })
+  }
+
+  function write(args) {
+    return new Promise((resolve, reject) => {
+      // A reply that never comes would misalign every later one — start over
+      const timer = setTimeout(() => reset(new Error('Redis timed out')), REDIS_TIMEOUT_MS)
+      pending.push({ resolve, reject, timer })
+      socket.write(encode(args))
+    })
+  }
+
+  async function send(args) {
+    if (!socket) connect()
+    await ready
+    if (!socket) throw new Error('Redis connection closed')
+    return write(args)
+  }
+
+  return {
+    async get(key) {
+      const raw = await send(['GET', key])
+      return raw === null ? null : JSON.parse(raw)
+    },
+    async set(key, value, ttlMs) {
+      await send(['SET', key, JSON.stringify(value), 'PX', Math.max(1, Math.round(ttlMs))])
+    },
+    async incr(key) {
+      return send(['INCR', key])
+    },
+  }
+}
+
+/** The configured store — CACHE_URL decides, read once at startup. */
+export const cacheStore = process.env.CACHE_URL
+  ? createRedisStore(process.env.CACHE_URL)
+  : createMemoryStore()
+
+/**
+ * A store for data that must not compete with the read cache for memory: its
+ * own memory store holding up to `maxEntries`, or with CACHE_URL the shared
+ * Redis connection (callers keep their keys apart with a prefix).
+ */
+export function separateStore({ maxEntries }) {
+  return process.env.CACHE_URL ? cacheStore : createMemoryStore({ maxEntries })
+}
@@ -0,0 +1,57 @@
+// config/domainStore.js
+//
+// Allow-listed email domains: anyone with a verified Google account on one
+// of these domains becomes a user with the domain's role on first login.
+//
+// Sheet tab "النطاقات" columns: domain | role | addedBy | addedAt
+//
+// Public mail providers can't be listed — that would let anyone in.
+
+import { createSheetTab } from './sheetTab.js'
+
+export const DOMAINS_TAB = 'النطاقات'
+
+const PUBLIC_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com']
+const DOMAIN_RE      = /^(?=.{4,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/
+
+const domainsTab = createSheetTab(DOMAINS_TAB, ['domain', 'role', 'addedBy', 'addedAt'])
+
+/** Lower-case and trim a domain name. */
+export const normalizeDomain = d => String(d ?? '').toLowerCase().trim().replace(/^@/, '')
+
+/** Check a domain name. Returns an error message or null. */
+export function checkDomain(domain) {
+  if (!DOMAIN_RE.test(domain)) return `"${domain}" is not a valid domain name`
+  if (PUBLIC_DOMAINS.includes(domain)) return `"${domain}" is a public mail provider and cannot be allow-listed`
+  return null
+}
+
+/** Every allow-listed domain as { domain, role, addedBy, addedAt }. */
+export async function getDomains({ token } = {}) {
+  const rows = await domainsTab.rows({ token })
+  return rows.filter(r => r.domain).map(({ __rowIndex, ...r }) => r)
+}
+
+/** The allow-list entry covering an email address, or null. */
+export async function findDomainFor(email, { token } = {}) {
+  const domain = String(email).toLowerCase().trim().split('@')[1]
+  if (!domain) return null
+  return (await getDomains({ token })).find(d => d.domain === domain) || null
+}
+
+/** Add a domain or change its role. The domain and role must already be validated. */
+export async function setDomain(domain, role, addedBy) {
+  const record   = { domain, role, addedBy, addedAt: new Date().toISOString() }
+  const existing = (await domainsTab.rows({ fresh: true })).find(r => r.domain === domain)
+  if (existing) await domainsTab.update(existing.__rowIndex, record)
+  else          await domainsTab.append(record)
+  return record
+}
+
+/** Remove a domain. Returns false if it was not listed. */
+export async function removeDomain(domain) {
+  const existing = (await domainsTab.rows({ fresh: true })).find(r => r.domain === domain)
+  if (!existing) return false
+  await domainsTab.remove(existing.__rowIndex)
+  return true
+}
@@ -0,0 +1,107 @@
+// config/googleIdToken.js
+//
+// Verifies Google ID tokens (the JWT "credential" from Google Identity
+// Services) locally — no call to Google per login.
+//
+// Checks: RS256 signature against Google's published keys (JWKS), audience =
+// GOOGLE_CLIENT_ID, issuer = accounts.google.com, expiry, and email_verified.
+//
+// The key set is cached for as long as Google's Cache-Control allows. A token
+// signed with a key we haven't seen (Google rotates keys regularly) triggers
+// one refetch, at most once per minute so junk tokens can't hammer Google.
+//
+// Errors carry an HTTP `status`: 401 when the token is bad, 503 when Google's
+// keys can't be fetched — the token may well be fine, so the client should
+// retry rather than sign in again.
+
+import { createPublicKey } from 'crypto'
+import jwt from 'jsonwebtoken'
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs'
+const GOOGLE_ISSUERS  = ['accounts.google.com', 'https://accounts.google.com']
+const DEFAULT_MAX_AGE_MS = 60 * 60 * 1000  // when Google sends no max-age
+const MIN_REFETCH_MS     = 60 * 1000
+
+const fail = (message, status = 401) => Object.assign(new Error(message), { status })
+
+/**
+ * Create a verifier. Options exist for tests (locally generated keys served
+ * from a local JWKS URL); the app uses the default instance below.
+ */
+export function createIdTokenVerifier({
+  clientId = process.env.GOOGLE_CLIENT_ID,
+  jwksUrl  = GOOGLE_JWKS_URL,
+  issuers  = GOOGLE_ISSUERS,
+  minRefetchMs = MIN_REFETCH_MS,
+} = {}) {
+  let keys        = new Map()  // kid → KeyObject
+  let expiresAt   = 0
+  let lastFetchAt = 0
+  let inflight    = null
+
+  async function fetchKeys() {
+    lastFetchAt = Date.now()
+    let res, jwks
+    try {
+      res = await fetch(jwksUrl)
+      if (!res.ok) throw new Error(`HTTP ${res.status}`)
+      jwks = (await res.json()).keys || []
+    } catch (err) {
+      console.error('[googleIdToken] Could not fetch signing keys:', err.message)
+      throw fail('Could not check the Google sign-in right now. Please try again.', 503)
+    }
+
+    keys = new Map(jwks.filter(k => k.kid && k.kty === 'RSA').map(k => [k.kid, createPublicKey({ key: k, format: 'jwk' })]))
+    const maxAge = /max-age=(\d+)/.exec(res.headers.get('cache-control') || '')?.[1]
+    expiresAt = Date.now() + (maxAge ? Number(maxAge) * 1000 : DEFAULT_MAX_AGE_MS)
+  }
+
+  // Concurrent logins share one fetch
+  function refresh() {
+    inflight ??= fetchKeys().finally(() => { inflight = null })
+    return inflight
+  }
+
+  async function getKey(kid) {
+    if (Date.now() >= expiresAt) await refresh()
+    if (!keys.has(kid) && Date.now() - lastFetchAt >= minRefetchMs) await refresh()
+    return keys.get(kid) || null
+  }
+
+  /**
+   * Verify an ID token. Resolves to its claims ({ email, name, picture, ... }
+   * with email lower-cased), or throws with a message safe to show the client
+   * and an HTTP `status`.
+   */
+  async function verify(idToken) {
+    if (!clientId) throw fail('Google ID token login is not configured (GOOGLE_CLIENT_ID)', 503)
+
+    const decoded = jwt.decode(idToken, { complete: true })
+    if (!decoded?.header?.kid) throw fail('Malformed ID token')
+
+    const key = await getKey(decoded.header.kid)
+    if (!key) throw fail('ID token signed with an unknown key')
+
+    let claims
+    try {
+      claims = jwt.verify(idToken, key, { algorithms: ['RS256'], audience: clientId, issuer: issuers })
+    } catch (err) {
+      throw fail(err.name === 'TokenExpiredError' ? 'ID token has expired' : `Invalid ID token: ${err.message}`)
+    }
+
+    // Google sends a boolean; older tokens used the string "true"
+    if (claims.email_verified !== true && claims.email_verified !== 'true') {
+      throw fail('Google account email is not verified')
+    }
+    return { ...claims, email: String(claims.email || '').toLowerCase().trim() }
+  }
+
+  return { verify }
+}
+
+const defaultVerifier = createIdTokenVerifier()
+
+/** Verify a Google ID token against GOOGLE_CLIENT_ID. See createIdTokenVerifier(). */
+export function verifyGoogleIdToken(idToken) {
+  return defaultVerifier.verify(idToken)
+}
@@ -0,0 +1,81 @@
+// config/invitationStore.js
+//
+// Invitations: an admin names an email and a role ahead of time, and the
+// person becomes a user the first time they log in (POST /api/auth/verify).
+//
+// Sheet tab "الدعوات" columns: id | email | role | invitedBy | invitedAt | expiresAt
+//   | acceptedAt | revokedAt | revokedBy
+//
+// Rows are kept after acceptance or revocation for the record. An invitation
+// is "pending" until it is accepted, revoked or past expiresAt ("expired").
+
+import { randomUUID } from 'crypto'
+import { createSheetTab } from './sheetTab.js'
+
+export const INVITATIONS_TAB     = 'الدعوات'
+export const INVITE_DEFAULT_DAYS = 7
+export const INVITE_MAX_DAYS     = 90
+
+const invitationsTab = createSheetTab(INVITATIONS_TAB, [
+  'id', 'email', 'role', 'invitedBy', 'invitedAt', 'expiresAt', 'acceptedAt', 'revokedAt', 'revokedBy',
+], { ttlMs: 15_000 })
+
+function statusOf(record) {
+  if (record.acceptedAt) return 'accepted'
+  if (record.revokedAt)  return 'revoked'
+  if (new Date(record.expiresAt).getTime() < Date.now()) return 'expired'
+  return 'pending'
+}
+
+// The public view of a row
+const toInvitation = ({ __rowIndex, ...record }) => ({ ...record, status: statusOf(record) })
+
+/**
+ * Invitations, newest first. By default only those still waiting for their
+ * user (pending and expired); pass { all: true } for accepted and revoked too.
+ */
+export async function listInvitations({ all = false, token } = {}) {
+  const rows = await invitationsTab.rows({ token, fresh: true })
+  return rows.filter(r => r.id).map(toInvitation)
+    .filter(i => all || i.status === 'pending' || i.status === 'expired')
+    .reverse()
+}
+
+/** The pending invitation for an email, or null. */
+export async function findPendingInvitation(email, { token } = {}) {
+  const e = String(email).toLowerCase().trim()
+  const rows = await invitationsTab.rows({ token, fresh: true })
+  const row = rows.find(r => r.email === e && statusOf(r) === 'pending')
+  return row ? toInvitation(row) : null
+}
+
+/** Invite `email` as `role` for `days` days. The role must already be validated. */
+export async function createInvitation({ email, role, days = INVITE_DEFAULT_DAYS, invitedBy }, { token } = {}) {
+  const now    = Date.now()
+  const record = {
+    id:        randomUUID(),
+    email:     String(email).toLowerCase().trim(),
+    role,
+    invitedBy,
+    invitedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + days * 24 * 60 * 60 * 1000).toISOString(),
+  }
+  await invitationsTab.append(record, { token })
+  return toInvitation(record)
+}
+
+/** Revoke a pending invitation. Returns it, or null if there is no such pending one. */
+export async function revokeInvitation(id, revokedBy, { token } = {}) {
+  const row = (await invitationsTab.rows({ token, fresh: true })).find(r => r.id === id)
+  if (!row || statusOf(row) !== 'pending') return null
+  const changes = { revokedAt: new Date().toISOString(), revokedBy }
+  await invitationsTab.patch(row.__rowIndex, changes, { token })
+  return toInvitation({ ...row, ...changes })
+}
+
+/** Mark an invitation accepted — called once the user row exists. */
+export async function markInvitationAccepted(id, { token } = {}) {
+  const row = (await invitationsTab.rows({ token, fresh: true })).find(r => r.id === id)
+  if (!row) return
+  await invitationsTab.patch(row.__rowIndex, { acceptedAt: new Date().toISOString() }, { token })
+}
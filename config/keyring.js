@@ -0,0 +1,115 @@
+// config/keyring.js
+//
+// Keys for signing JWTs and encrypting the Google tokens inside them, each
+// identified by a key ID (kid) so secrets can be rotated without logging
+// everyone out.
+//
+//   JWT_KEYS=2026-10:<secret>,2026-04:<secret>   kid:secret pairs
+//   JWT_CURRENT_KID=2026-10                      signs/encrypts new tokens
+//                                                (default: the first pair)
+//   JWT_SECRET=<secret>                          the pre-keyring secret, kid "default"
+//
+// Every configured key is accepted for verification and decryption; only the
+// current one is used for new tokens. To rotate: add a new pair in front and
+// make it current, wait out the old tokens (access JWT lifetime, and the
+// Google tokens of open sessions — about an hour), then delete the old pair.
+// Deleting it is what retires it.
+//
+// Tokens and blobs from before the keyring carry no kid and are checked
+// against the "default" key.
+//
+//   WEBHOOK_SECRET_KEY=<secret>                  encrypts webhook signing secrets
+//
+// Webhook secrets must stay readable for as long as the webhook exists, so
+// they get their own key (kid "~webhook") that is never rotated with the JWT
+// keys. Changing it makes every stored webhook secret unreadable: rotate each
+// webhook's secret afterwards.
+
+import { createHash } from 'crypto'
+
+export const LEGACY_KID  = 'default'
+export const WEBHOOK_KID = '~webhook'  // "~" can't appear in JWT_KEYS kids
+const MIN_SECRET_LENGTH = 32
+
+function load() {
+  const keys = new Map()  // kid → { kid, secret, source }
+  let error  = null
+
+  for (const pair of (process.env.JWT_KEYS || '').split(',').map(p => p.trim()).filter(Boolean)) {
+    const at = pair.indexOf(':')
+    const kid = pair.slice(0, at).trim(), secret = pair.slice(at + 1).trim()
+    if (at < 1 || !secret)                          error ??= `JWT_KEYS entry "${pair.slice(0, 12)}…" must be kid:secret`
+    else if (!/^[\w-]+$/.test(kid))                 error ??= `JWT_KEYS kid "${kid}" may only use letters, digits, "_" and "-"`
+    else if (keys.has(kid))                         error ??= `JWT_KEYS kid "${kid}" is listed twice`
+    else if (secret.length < MIN_SECRET_LENGTH)     error ??= `JWT_KEYS secret for "${kid}" must be at least ${MIN_SECRET_LENGTH} characters long`
+    else keys.set(kid, { kid, secret, source: 'JWT_KEYS' })
+  }
+
+  const legacy = process.env.JWT_SECRET
+  if (legacy && !keys.has(LEGACY_KID)) {
+    if (legacy.length < MIN_SECRET_LENGTH) error ??= `JWT_SECRET must be at least ${MIN_SECRET_LENGTH} characters long`
+    else keys.set(LEGACY_KID, { kid: LEGACY_KID, secret: legacy, source: 'JWT_SECRET' })
+  }
+
+  const currentKid = process.env.JWT_CURRENT_KID || keys.keys().next().value
+  if (keys.size === 0) error ??= 'Set JWT_KEYS or JWT_SECRET'
+  else if (!keys.has(currentKid)) error ??= `JWT_CURRENT_KID "${currentKid}" is not in JWT_KEYS`
+
+  // AES-256 key for token encryption — the same derivation the single-secret
+  // tokenStore used, so existing blobs stay readable under the "default" key.
+  for (const key of keys.values()) {
+    key.aesKey = createHash('sha256').update(key.secret).digest()
+  }
+
+  let webhookKey = null
+  const webhookSecret = process.env.WEBHOOK_SECRET_KEY
+  if (webhookSecret && webhookSecret.length < MIN_SECRET_LENGTH) {
+    error ??= `WEBHOOK_SECRET_KEY must be at least ${MIN_SECRET_LENGTH} characters long`
+  } else if (webhookSecret) {
+    webhookKey = { kid: WEBHOOK_KID, aesKey: createHash('sha256').update(webhookSecret).digest() }
+  }
+  return { keys, currentKid, webhookKey, error }
+}
+
+// Env vars are immutable after startup — parse once.
+const ring = load()
+
+/** A configuration problem to refuse startup over, or null. */
+export function keyringError() {
+  return ring.error
+}
+
+/** The key new tokens are signed and encrypted with: { kid, secret, aesKey }. */
+export function currentKey() {
+  return ring.keys.get(ring.currentKid)
+}
+
+/** A key by kid (a missing kid means a pre-keyring token → "default"), or null. */
+export function findKey(kid) {
+  return ring.keys.get(kid || LEGACY_KID) || null
+}
+
+/** The key webhook secrets are encrypted with ({ kid, aesKey }), or null if WEBHOOK_SECRET_KEY is unset. */
+export function webhookKey() {
+  return ring.webhookKey
+}
+
+/** Every accepted key — the current one first. */
+export function allKeys() {
+  const current = currentKey()
+  return [current, ...[...ring.keys.values()].filter(k => k !== current)].filter(Boolean)
+}
+
+/**
+ * Public description of the keyring for the admin endpoint. Secrets never
+ * leave this module; the fingerprint lets you check two deployments agree.
+ */
+export function describeKeys() {
+  return allKeys().map(k => ({
+    kid:         k.kid,
+    current:     k.kid === ring.currentKid,
+    source:      k.source,
+    uses:        k.kid === ring.currentKid ? ['sign', 'verify', 'encrypt', 'decrypt'] : ['verify', 'decrypt'],
+    fingerprint: createHash('sha256').update(`fingerprint:${k.secret}`).digest('hex').slice(0, 12),
+  }))
+}
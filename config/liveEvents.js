@@ -0,0 +1,209 @@
+// config/liveEvents.js
+//
+// Live row changes for GET /api/sheets/events (Server-Sent Events).
+//
+// Events come from two places:
+//   API writes   — routes/sheets.js calls publishRowChanges() after every row
+//                  write (through recordRowChanges), so they arrive at once.
+//   The sheet    — while anyone listens to a workspace, its data tabs are read
+//                  every SSE_POLL_SECONDS (default 15; 0 = never) and compared
+//                  with the previous read. This picks up edits made directly
+//                  in Google Sheets and writes made by other server instances.
+//                  Rows this instance just wrote are left out, so they are not
+//                  announced twice.
+//
+// Event types are row.created, row.updated and row.deleted, plus "resync"
+// when a client should reload: a tab changed too much (or its header changed)
+// to describe row by row, or a reconnecting client missed events.
+//
+// Event ids are "<instance>.<n>". The last RECENT_MAX events are kept so a
+// client reconnecting with Last-Event-ID gets what it missed; an id from
+// another instance or an older one gets "resync" instead.
+
+import { randomBytes } from 'crypto'
+import { sheetsJson }  from './sheetsClient.js'
+import { systemTabs, a1Range } from './sheetTab.js'
+import { ROW_ID_HEADER } from '../lib/rowIds.js'
+import { rowVersion }    from '../lib/rowVersion.js'
+import { keyRows, diffRows } from '../lib/rowDiff.js'
+
+const POLL_MS       = Number(process.env.SSE_POLL_SECONDS ?? 15) * 1000
+const RECENT_MAX    = 1000
+const MAX_TAB_DIFF  = 200   // more changes than this in one poll → "resync" for the tab
+
+const INSTANCE = randomBytes(4).toString('hex')
+let   seq      = 0
+
+const recent      = []          // published events, oldest first
+const subscribers = new Set()
+const pollers     = new Map()   // workspace id → poller
+
+const eventOf = ({ before, after }) => (!before ? 'row.created' : !after ? 'row.deleted' : 'row.updated')
+
+/** An event in the Server-Sent Events wire format. */
+export const toSse = ({ id, type, data }) => `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`
+
+// ── Fan-out ──────────────────────────────────────────────────────────
+
+// Each subscriber gets its events in order, even though the read-access
+// check in front of each one is async.
+function deliver(sub, event) {
+  if (event.workspace !== sub.workspace.id) return
+  if (event.tab && sub.tabs && !sub.tabs.includes(event.tab)) return
+  sub.queue = sub.queue
+    .then(async () => { if (!event.tab || await sub.canRead(event.tab)) sub.send(event) })
+    .catch(err => console.error('[liveEvents] Could not send event:', err.message))
+}
+
+function publish(workspace, type, data) {
+  const event = { id: `${INSTANCE}.${++seq}`, seq, workspace, tab: data.tab ?? null, type, data }
+  recent.push(event)
+  if (recent.length > RECENT_MAX) recent.shift()
+  for (const sub of subscribers) deliver(sub, event)
+}
+
+/**
+ * Announce row writes made through the API. `changes` is [{ row, before,
+ * after }] as for recordAudit (row = rowIndex; before / after = values, null
+ * for an append / delete); `actor` is { email, role }.
+ */
+export function publishRowChanges({ workspace, tab, actor, changes }) {
+  const poller = pollers.get(workspace)
+  const seen   = poller?.snapshots.get(tab)
+  const idAt   = seen ? seen.header.indexOf(ROW_ID_HEADER) : -1
+
+  for (const change of changes) {
+    const values = change.after || change.before
+    const id     = idAt === -1 ? null : values?.[idAt] || null
+    publish(workspace, eventOf(change), {
+      tab, rowIndex: change.row ?? null, id, values, source: 'api', actor,
+    })
+    if (poller) noteWrite(poller, tab, change, id)
+  }
+}
+
+// ── Subscriptions ────────────────────────────────────────────────────
+
+/**
+ * Start sending a workspace's events to a client. `sub` is
+ *   workspace  { id, spreadsheetId }
+ *   tabs       tab names to follow, or null for all
+ *   canRead    async tab → whether the client may see the tab's rows
+ *   send       event → void (write it with toSse)
+ *   token      the client's Google token, used for polling when the server
+ *              has none of its own
+ * `lastEventId` is the client's Last-Event-ID, if it is reconnecting.
+ * Returns a function that ends the subscription.
+ */
+export function subscribeEvents(sub, { lastEventId } = {}) {
+  sub = { ...sub, queue: Promise.resolve() }
+
+  if (lastEventId) {
+    const [instance, n] = String(lastEventId).split('.')
+    const missed = instance === INSTANCE ? recent.filter(e => e.seq > Number(n)) : null
+    // Everything after n is still here only if the oldest kept event follows it
+    if (missed && (missed.length === 0 || missed[0].seq === Number(n) + 1)) {
+      for (const event of missed) deliver(sub, event)
+    } else {
+      sub.send({ id: `${INSTANCE}.${seq}`, type: 'resync', data: { tab: null, reason: 'Events were missed — reload' } })
+    }
+  }
+
+  subscribers.add(sub)
+  watch(sub)
+  return () => {
+    subscribers.delete(sub)
+    const poller = pollers.get(sub.workspace.id)
+    if (poller && ![...subscribers].some(s => s.workspace.id === sub.workspace.id)) {
+      clearInterval(poller.timer)
+      pollers.delete(sub.workspace.id)
+    }
+  }
+}
+
+// ── Polling ──────────────────────────────────────────────────────────
+
+function watch(sub) {
+  if (!POLL_MS || pollers.has(sub.workspace.id)) return
+  const poller = {
+    workspace: sub.workspace,
+    snapshots: new Map(),   // tab → { header, rows: keyRows() }
+    written:   new Map(),   // tab → { rows: Set, ids: Set, shiftFrom } written since the last poll
+    busy:      false,
+  }
+  poller.timer = setInterval(() => poll(poller), POLL_MS)
+  poller.timer.unref()
+  pollers.set(sub.workspace.id, poller)
+  poll(poller)
+}
+
+// Remember an API write so the next poll doesn't announce it again. A
+// deleted row moves every row below it up one.
+function noteWrite(poller, tab, change, id) {
+  let w = poller.written.get(tab)
+  if (!w) poller.written.set(tab, w = { rows: new Set(), ids: new Set(), shiftFrom: Infinity })
+  if (change.row != null) w.rows.add(change.row)
+  if (id) w.ids.add(id)
+  if (!change.after && change.row != null) w.shiftFrom = Math.min(w.shiftFrom, change.row)
+  if (change.row == null) w.shiftFrom = 0
+}
+
+async function poll(poller) {
+  if (poller.busy) return
+  poller.busy = true
+  const { id: workspace, spreadsheetId } = poller.workspace
+  try {
+    // Only tabs somebody follows, and never the backend's own tabs
+    const subs   = [...subscribers].filter(s => s.workspace.id === workspace)
+    const wanted = subs.some(s => !s.tabs) ? null : new Set(subs.flatMap(s => s.tabs))
+    const token  = subs[0]?.token
+
+    const meta = await sheetsJson(
+      `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=sheets.properties.title`,
+      { fallbackToken: token }
+    )
+    const hidden = systemTabs()
+    const tabs   = (meta.sheets || []).map(s => s.properties.title)
+      .filter(t => !hidden.includes(t) && (!wanted || wanted.has(t)))
+    if (tabs.length === 0) return
+
+    const params = new URLSearchParams(tabs.map(t => ['ranges', a1Range(t)]))
+    const data   = await sheetsJson(
+      `https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}/values:batchGet?${params}`,
+      { fallbackToken: token }
+    )
+    const written = poller.written
+    poller.written = new Map()
+
+    const seen = new Map()
+    tabs.forEach((tab, i) => {
+      const [header = [], ...rows] = data.valueRanges?.[i]?.values || []
+      const now = { header, rows: keyRows(header, rows) }
+      seen.set(tab, now)
+      const last = poller.snapshots.get(tab)
+      if (!last) return   // first read of this tab — nothing to compare with
+
+      if (rowVersion(last.header) !== rowVersion(header)) {
+        publish(workspace, 'resync', { tab, reason: 'The header row changed' })
+        return
+      }
+      const w       = written.get(tab)
+      const byIndex = header.indexOf(ROW_ID_HEADER) === -1
+      const changes = diffRows(last.rows, now.rows).filter(c => !w || !(
+        w.rows.has(c.rowIndex) || (c.id && w.ids.has(c.id)) || (byIndex && c.rowIndex >= w.shiftFrom)
+      ))
+      if (changes.length > MAX_TAB_DIFF) {
+        publish(workspace, 'resync', { tab, reason: `${changes.length} rows changed` })
+        return
+      }
+      for (const { type, rowIndex, id, values } of changes) {
+        publish(workspace, `row.${type}`, { tab, rowIndex, id, values, source: 'sheet', actor: null })
+      }
+    })
+    poller.snapshots = seen
+  } catch (err) {
+    console.error('[liveEvents] Poll failed:', err.message)
+  } finally {
+    poller.busy = false
+  }
+}
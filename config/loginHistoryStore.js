@@ -0,0 +1,24 @@
+// config/loginHistoryStore.js
+//
+// One row per successful login, for the admin users screen.
+//
+// Sheet tab "سجل الدخول" columns: at | email | ip | userAgent | method | sid
+// `method` is "idToken" or "accessToken" — how the user proved who they are.
+
+import { createSheetTab } from './sheetTab.js'
+
+export const LOGINS_TAB = 'سجل الدخول'
+
+const loginsTab = createSheetTab(LOGINS_TAB, ['at', 'email', 'ip', 'userAgent', 'method', 'sid'])
+
+/** Append a login: { email, ip, userAgent, method, sid }. */
+export async function recordLogin({ email, ip = '', userAgent = '', method = '', sid = '' }, { token } = {}) {
+  await loginsTab.append({ at: new Date().toISOString(), email, ip, userAgent, method, sid }, { token })
+}
+
+/** A user's logins, newest first, at most `limit`. */
+export async function listLogins(email, { limit = 50, token } = {}) {
+  const e = String(email).toLowerCase().trim()
+  const rows = await loginsTab.rows({ token, fresh: true })
+  return rows.filter(r => r.email === e).reverse().slice(0, limit).map(({ __rowIndex, ...r }) => r)
+}
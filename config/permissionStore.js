@@ -0,0 +1,89 @@
+// config/permissionStore.js
+//
+// Per-tab access control for the sheets proxy.
+//
+// Sheet tab "الصلاحيات" columns: tab | read | append | edit | delete | updatedBy | updatedAt
+//
+// Each action cell holds a comma-separated list of roles and/or emails, e.g.
+// "user, accountant@gmail.com". "*" means every signed-in user; an empty cell
+// means admins only.
+//
+// Resolution order for a non-admin:
+//   1. System tabs (users, permissions, and every other config tab) → denied
+//   2. A rule row exists for the tab → the action's list decides
+//   3. No rule row → allowed (tabs stay open until an admin restricts them)
+// Admins are always allowed. API keys (config/apiKeyStore.js) skip the rules:
+// their scopes alone decide, and system tabs stay out of reach.
+
+import { createSheetTab, systemTabs } from './sheetTab.js'
+import { USERS_TAB } from './userStore.js'
+import { scopeAllows } from './apiKeyStore.js'
+
+export const ACTIONS = ['read', 'append', 'edit', 'delete']
+
+export const PERMISSIONS_TAB = 'الصلاحيات'
+const rulesTab = createSheetTab(PERMISSIONS_TAB, ['tab', ...ACTIONS, 'updatedBy', 'updatedAt'])
+
+/** Normalise "a, b" or ['a', 'b'] into a trimmed, lower-cased array. */
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? '').split(',')
+  return items.map(v => String(v).trim().toLowerCase()).filter(Boolean)
+}
+
+function toRule(record) {
+  const rule = { tab: record.tab, updatedBy: record.updatedBy, updatedAt: record.updatedAt }
+  for (const action of ACTIONS) rule[action] = toList(record[action])
+  return rule
+}
+
+/**
+ * True if tabName belongs to the backend itself and is admin-only. Also true
+ * for other spellings Google resolves to the same tab: the quoted A1 form
+ * ('name') and a different letter case.
+ */
+export function isProtectedTab(tabName) {
+  const name = String(tabName ?? '').trim().replace(/^'(.*)'$/s, '$1').replace(/''/g, "'").toLowerCase()
+  return [USERS_TAB, ...systemTabs()].some(t => t.toLowerCase() === name)
+}
+
+/** All rules, as { tab, read[], append[], edit[], delete[], updatedBy, updatedAt }. */
+export async function getRules({ token } = {}) {
+  const records = await rulesTab.rows({ token })
+  return records.filter(r => r.tab).map(toRule)
+}
+
+/**
+ * Create or replace the rule for a tab.
+ * `lists` is { read, append, edit, delete } — each an array or comma string.
+ */
+export async function setRule(tabName, lists, updatedBy) {
+  const record = { tab: tabName, updatedBy, updatedAt: new Date().toISOString() }
+  for (const action of ACTIONS) record[action] = toList(lists[action]).join(', ')
+
+  await rulesTab.upsertWhere(r => r.tab === tabName, record)
+  return toRule(record)
+}
+
+/** Remove the rule for a tab. Returns false if there was none. */
+export async function removeRule(tabName) {
+  return (await rulesTab.removeWhere(r => r.tab === tabName)).length > 0
+}
+
+/**
+ * Can `user` (the decoded JWT payload) perform `action` on `tabName`?
+ * `token` is the caller's Google token, used to read the rules tab when
+ * neither the service account nor an admin token is available.
+ */
+export async function canAccess(user, tabName, action, { token } = {}) {
+  if (user?.role === 'admin') return true
+  if (isProtectedTab(tabName)) return false
+  if (user?.apiKey) return scopeAllows(user.apiKey.scopes, tabName, action)
+
+  const rule = (await getRules({ token })).find(r => r.tab === tabName)
+  if (!rule) return true
+
+  const allowed = rule[action] || []
+  return allowed.includes('*')
+    || allowed.includes(String(user?.role || '').toLowerCase())
+    || allowed.includes(String(user?.email || '').toLowerCase())
+}
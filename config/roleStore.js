@@ -0,0 +1,121 @@
+// config/roleStore.js
+//
+// Named roles and what each may do.
+//
+// Sheet tab "الأدوار" columns: role | permissions | description | updatedBy | updatedAt
+// `permissions` is a comma-separated list from PERMISSIONS ("*" = everything).
+//
+// DEFAULT_ROLES apply until an admin saves a row with the same name; deleting
+// that row brings the default back. "admin" is fixed and cannot be edited.
+//
+// Sheet data permissions are only the first gate: the per-tab rules in
+// config/permissionStore.js still decide which tabs a role can reach.
+
+import { createSheetTab } from './sheetTab.js'
+
+export const ADMIN_ROLE = 'admin'
+
+export const PERMISSIONS = [
+  'sheets:read',          // list, export, report, schema
+  'sheets:append',        // append, import
+  'sheets:edit',          // update rows, batch updates
+  'sheets:delete',        // delete rows
+  'tabs:manage',          // create tabs, change headers and schemas
+  'users:read',           // list users and roles
+  'users:manage',         // add, re-role and remove non-admin users
+  'users:manage-admins',  // grant, change or remove the admin role
+  'sessions:manage',      // list sessions, force logout
+  'permissions:manage',   // per-tab access rules
+  'roles:manage',         // this tab
+  'api-keys:manage',      // API keys for machine clients
+  'audit:read',           // the audit log
+  'keys:read',            // JWT keyring status
+  'workspaces:manage',    // create, link and unlink workspaces
+  'usage:read',           // Google Sheets call counts (GET /api/sheets/quota)
+  'webhooks:manage',      // outbound webhooks and their delivery log
+  'trash:purge',          // delete rows from the recycle bin for good
+]
+
+// What API keys may do before their scopes narrow it down per tab.
+export const API_KEY_PERMISSIONS = ['sheets:read', 'sheets:append', 'sheets:edit', 'sheets:delete', 'tabs:manage']
+
+const SHEET_WRITE = ['sheets:read', 'sheets:append', 'sheets:edit', 'sheets:delete', 'tabs:manage']
+
+export const DEFAULT_ROLES = {
+  [ADMIN_ROLE]: { permissions: ['*'], description: 'Full access' },
+  user:         { permissions: SHEET_WRITE, description: 'Works with sheet data' },
+  viewer:       { permissions: ['sheets:read'], description: 'Read-only' },
+  accountant:   { permissions: ['sheets:read', 'sheets:append', 'sheets:edit'], description: 'Adds and edits rows, cannot delete' },
+  manager:      { permissions: [...SHEET_WRITE, 'users:read', 'users:manage'], description: 'Sheet data and non-admin users' },
+}
+
+const ROLE_NAME_RE = /^[a-z][a-z0-9_-]{1,31}$/
+
+export const ROLES_TAB = 'الأدوار'
+const rolesTab  = createSheetTab(ROLES_TAB, ['role', 'permissions', 'description', 'updatedBy', 'updatedAt'])
+
+const toList = v => String(v ?? '').split(',').map(p => p.trim()).filter(Boolean)
+
+/** Check a role name and permission list. Returns an error message or null. */
+export function checkRoleDefinition(name, permissions) {
+  if (!ROLE_NAME_RE.test(String(name))) return 'role must be 2–32 lower-case letters, digits, "-" or "_", starting with a letter'
+  if (name === ADMIN_ROLE) return 'The admin role cannot be changed'
+  if (name === 'api-key') return '"api-key" is reserved for API keys'
+  if (!Array.isArray(permissions)) return 'permissions must be an array'
+  const unknown = permissions.find(p => p !== '*' && !PERMISSIONS.includes(p))
+  if (unknown) return `Unknown permission "${unknown}" — use any of ${PERMISSIONS.join(', ')} or "*"`
+  return null
+}
+
+/**
+ * Every role, as { role, permissions[], description, builtIn, customized,
+ * updatedBy, updatedAt }. Sheet rows override the defaults of the same name.
+ */
+export async function getRoles({ token } = {}) {
+  const records = (await rolesTab.rows({ token })).filter(r => r.role && r.role !== ADMIN_ROLE)
+  const roles   = new Map(Object.entries(DEFAULT_ROLES).map(([role, def]) => [role, {
+    role, ...def, builtIn: true, customized: false, updatedBy: '', updatedAt: '',
+  }]))
+  for (const r of records) {
+    roles.set(r.role, {
+      role:        r.role,
+      permissions: toList(r.permissions),
+      description: r.description,
+      builtIn:     r.role in DEFAULT_ROLES,
+      customized:  true,
+      updatedBy:   r.updatedBy,
+      updatedAt:   r.updatedAt,
+    })
+  }
+  return [...roles.values()]
+}
+
+/** One role, or null if it does not exist. */
+export async function getRole(name, { token } = {}) {
+  if (name === ADMIN_ROLE) return { role: ADMIN_ROLE, ...DEFAULT_ROLES[ADMIN_ROLE], builtIn: true, customized: false }
+  return (await getRoles({ token })).find(r => r.role === name) || null
+}
+
+/** True if `role` grants `permission`. Unknown roles grant nothing. */
+export async function roleHasPermission(role, permission, { token } = {}) {
+  const found = await getRole(role, { token })
+  return !!found && (found.permissions.includes('*') || found.permissions.includes(permission))
+}
+
+/** Create or replace a role. The definition must have passed checkRoleDefinition(). */
+export async function setRole(name, { permissions, description = '' }, updatedBy) {
+  const record = {
+    role:        name,
+    permissions: [...new Set(permissions)].join(', '),
+    description: String(description || ''),
+    updatedBy,
+    updatedAt:   new Date().toISOString(),
+  }
+  await rolesTab.upsertWhere(r => r.role === name, record)
+  return getRole(name)
+}
+
+/** Remove a role's row. Returns false if there was none (defaults have no row until edited). */
+export async function removeRole(name) {
+  return (await rolesTab.removeWhere(r => r.role === name)).length > 0
+}
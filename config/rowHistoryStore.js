@@ -0,0 +1,84 @@
+// config/rowHistoryStore.js
+//
+// Version history of data rows: one entry per API update of a row (PUT
+// /row/:rowIndex, PUT /rows/:id, /batch-rows, sync updates and reverts),
+// holding the row before and after the write. routes/sheets.js records
+// entries through recordRowChanges() and serves them per row.
+//
+// Sheet tab "سجل الإصدارات" columns: id | workspace | tab | rowId | rowIndex
+//   | header | before | after | changedBy | changedAt | route
+// `header`, `before` and `after` are JSON. `after` is the whole row as it was
+// left by the write (cells the write didn't reach are taken from `before`).
+//
+// Rows of a tab with a stable ID column (lib/rowIds.js) are tracked by ID, so
+// their history follows them when rows above are inserted or deleted. Rows of
+// other tabs are tracked by position only.
+
+import { randomUUID }    from 'crypto'
+import { createSheetTab } from './sheetTab.js'
+import { ROW_ID_HEADER } from '../lib/rowIds.js'
+
+export const ROW_HISTORY_TAB = 'سجل الإصدارات'
+
+const historyTab = createSheetTab(ROW_HISTORY_TAB, [
+  'id', 'workspace', 'tab', 'rowId', 'rowIndex', 'header', 'before', 'after', 'changedBy', 'changedAt', 'route',
+])
+
+function parse(v) {
+  try { return JSON.parse(v) } catch { return [] }
+}
+
+const toEntry = r => ({
+  id:        r.id,
+  rowId:     r.rowId || null,
+  rowIndex:  Number(r.rowIndex),
+  header:    parse(r.header),
+  before:    parse(r.before),
+  after:     parse(r.after),
+  changedBy: r.changedBy,
+  changedAt: r.changedAt,
+  route:     r.route,
+})
+
+/**
+ * Record updates of rows of one tab. `changes` is [{ row, before, after }] as
+ * for recordAudit (row = rowIndex); appends and deletes (no before / after)
+ * are ignored. `header` is the tab's header row, or an async function
+ * returning it. Never throws — the writes have already reached Google.
+ */
+export async function recordRowVersions({ workspace, tab, header, changedBy, route, changes }, { token } = {}) {
+  const updates = changes.filter(c => c.before && c.after)
+  if (updates.length === 0) return
+  try {
+    const head      = (typeof header === 'function' ? await header() : header) || []
+    const idAt      = head.indexOf(ROW_ID_HEADER)
+    const changedAt = new Date().toISOString()
+    await historyTab.append(updates.map(({ row, before, after }) => ({
+      id:        randomUUID(),
+      workspace,
+      tab,
+      rowId:     idAt === -1 ? '' : before[idAt] || after[idAt] || '',
+      rowIndex:  row,
+      header:    JSON.stringify(head),
+      before:    JSON.stringify(before),
+      after:     JSON.stringify([...after, ...before.slice(after.length)]),
+      changedBy,
+      changedAt,
+      route,
+    })), { token })
+  } catch (err) {
+    console.error('[rowHistory] Failed to record versions:', err.message)
+  }
+}
+
+/**
+ * A row's recorded updates, oldest first: by `rowId` when given, otherwise by
+ * `rowIndex` among entries recorded without an ID.
+ */
+export async function rowHistory({ workspace, tab, rowId, rowIndex, token } = {}) {
+  const rows = await historyTab.rows({ token, fresh: true })
+  return rows
+    .filter(r => r.id && r.workspace === workspace && r.tab === tab)
+    .filter(r => (rowId ? r.rowId === rowId : !r.rowId && Number(r.rowIndex) === rowIndex))
+    .map(toEntry)
+}
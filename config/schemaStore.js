@@ -0,0 +1,208 @@
+// config/schemaStore.js
+//
+// Typed column schemas for data tabs, registered through /api/sheets/ensure-tab
+// and enforced on every write route before anything reaches Google.
+//
+// Sheet tab "مخطط الأعمدة" columns: tab | column | type | required | min | max | options | updatedBy | updatedAt | workspace
+// One row per (workspace, tab, column). Columns without a row are free text.
+// Rows from before workspaces existed (empty `workspace`) belong to "main".
+//
+// Column definition (as accepted by ensure-tab):
+//   { type: 'text' | 'number' | 'date' | 'enum' | 'email',
+//     required: boolean,
+//     min, max,      // number: value bounds; date: ISO date bounds; text: length bounds
+//     options: [] }  // enum only
+
+import { createSheetTab, colIndexToLetter } from './sheetTab.js'
+import { MAIN_WORKSPACE } from './workspaceStore.js'
+
+export const COLUMN_TYPES = ['text', 'number', 'date', 'enum', 'email']
+
+const SCHEMA_TAB = 'مخطط الأعمدة'
+const schemaTab  = createSheetTab(SCHEMA_TAB, [
+  'tab', 'column', 'type', 'required', 'min', 'max', 'options', 'updatedBy', 'updatedAt', 'workspace',
+])
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+const isEmpty = v => v === undefined || v === null || String(v).trim() === ''
+
+// Plain decimals only (thousands separators allowed) — Number() also takes
+// '0x10', '1e3' and 'Infinity', none of which a sheet user means as a number
+const DECIMAL_RE = /^[+-]?(\d+(\.\d*)?|\.\d+)$/
+
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : NaN
+  const s = String(v).trim().replace(/,/g, '')
+  return DECIMAL_RE.test(s) ? Number(s) : NaN
+}
+
+// ISO dates (optionally with a time), and only real calendar days — new Date()
+// accepts '5' and 'abc 3' and rolls '2024-02-30' over into March
+const ISO_DATE_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/
+
+function toTime(v) {
+  const s = String(v).trim()
+  const m = ISO_DATE_RE.exec(s)
+  if (!m) return NaN
+  const [y, mo, d] = m.slice(1).map(Number)
+  const day = new Date(Date.UTC(y, mo - 1, d))
+  if (day.getUTCFullYear() !== y || day.getUTCMonth() !== mo - 1 || day.getUTCDate() !== d) return NaN
+  return new Date(s).getTime()
+}
+
+function toColumn(record) {
+  return {
+    column:   record.column,
+    type:     COLUMN_TYPES.includes(record.type) ? record.type : 'text',
+    required: record.required === 'TRUE' || record.required === 'true',
+    min:      isEmpty(record.min) ? null : record.min,
+    max:      isEmpty(record.max) ? null : record.max,
+    options:  record.options ? record.options.split(',').map(o => o.trim()).filter(Boolean) : [],
+  }
+}
+
+/**
+ * Check a schema definition ({ [header]: { type, required, min, max, options } })
+ * against the tab's headers. Returns an error message, or null if it is valid.
+ */
+export function checkSchemaDefinition(schema, headers) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return 'schema must be an object keyed by header'
+  for (const [column, def] of Object.entries(schema)) {
+    if (!headers.includes(column)) return `schema column "${column}" is not in headers`
+    if (!def || typeof def !== 'object') return `schema for "${column}" must be an object`
+    const type = def.type || 'text'
+    if (!COLUMN_TYPES.includes(type)) return `schema for "${column}": type must be one of ${COLUMN_TYPES.join(', ')}`
+    if (type === 'enum' && (!Array.isArray(def.options) || def.options.length === 0)) {
+      return `schema for "${column}": enum columns need a non-empty options array`
+    }
+    for (const bound of ['min', 'max']) {
+      if (isEmpty(def[bound])) continue
+      const ok = type === 'date' ? !isNaN(toTime(def[bound])) : !isNaN(toNumber(def[bound]))
+      if (!ok) return `schema for "${column}": ${bound} is not a valid ${type === 'date' ? 'date' : 'number'}`
+    }
+  }
+  return null
+}
+
+const ofTab = (workspace, tabName) => r => r.tab === tabName && (r.workspace || MAIN_WORKSPACE) === workspace
+
+/** The registered schema for a workspace's tab, as an array of column definitions ([] if none). */
+export async function getSchema(workspace, tabName, { token } = {}) {
+  const records = await schemaTab.rows({ token })
+  return records.filter(r => ofTab(workspace, tabName)(r) && r.column).map(toColumn)
+}
+
+/** Replace the schema for a workspace's tab. `schema` must have passed checkSchemaDefinition(). */
+export async function setSchema(workspace, tabName, schema, updatedBy, { token } = {}) {
+  const updatedAt = new Date().toISOString()
+  await schemaTab.removeWhere(ofTab(workspace, tabName), { token })
+
+  const records = Object.entries(schema).map(([column, def]) => ({
+    tab:      tabName,
+    column,
+    type:     def.type || 'text',
+    required: def.required ? 'TRUE' : 'FALSE',
+    min:      isEmpty(def.min) ? '' : String(def.min),
+    max:      isEmpty(def.max) ? '' : String(def.max),
+    options:  (def.options || []).join(', '),
+    updatedBy,
+    updatedAt,
+    workspace,
+  }))
+  if (records.length > 0) await schemaTab.append(records, { token })
+  return records.map(toColumn)
+}
+
+/** Validate a single value. Returns an error message or null. */
+function checkValue(col, value) {
+  if (isEmpty(value)) return col.required ? 'is required' : null
+
+  switch (col.type) {
+    case 'number': {
+      const n = toNumber(value)
+      if (!Number.isFinite(n)) return 'must be a number'
+      if (col.min !== null && n < toNumber(col.min)) return `must be at least ${col.min}`
+      if (col.max !== null && n > toNumber(col.max)) return `must be at most ${col.max}`
+      return null
+    }
+    case 'date': {
+      const t = toTime(value)
+      if (isNaN(t)) return 'must be a valid date'
+      if (col.min !== null && t < toTime(col.min)) return `must be on or after ${col.min}`
+      if (col.max !== null && t > toTime(col.max)) return `must be on or before ${col.max}`
+      return null
+    }
+    case 'enum':
+      return col.options.includes(String(value).trim()) ? null : `must be one of: ${col.options.join(', ')}`
+    case 'email':
+      return EMAIL_RE.test(String(value).trim()) ? null : 'must be a valid email address'
+    default: {
+      const len = String(value).length
+      if (col.min !== null && len < toNumber(col.min)) return `must be at least ${col.min} characters`
+      if (col.max !== null && len > toNumber(col.max)) return `must be at most ${col.max} characters`
+      return null
+    }
+  }
+}
+
+/**
+ * Validate one row of values against a schema.
+ * `header` is the tab's header row, used to map values to columns by position.
+ * With { partial: true } only the columns covered by `values` are checked
+ * (row updates leave the remaining cells untouched).
+ * Returns [{ column, value, error }] — empty when the row is valid.
+ */
+export function validateRow(schema, header, values, { partial = false } = {}) {
+  const errors = []
+  for (const col of schema) {
+    const idx = header.indexOf(col.column)
+    if (idx === -1) continue
+    if (partial && idx >= values.length) continue
+    const error = checkValue(col, values[idx])
+    if (error) errors.push({ column: col.column, value: values[idx] ?? '', error })
+  }
+  return errors
+}
+
+/**
+ * Translate a schema into Sheets setDataValidation requests, one per column.
+ * Columns whose type has no Sheets equivalent get their validation cleared.
+ * `header` is the tab's header row; rules apply from row 2 down.
+ */
+export function toDataValidationRequests(schema, header, sheetId) {
+  return schema.flatMap(col => {
+    const idx = header.indexOf(col.column)
+    if (idx === -1) return []
+    const range = { sheetId, startRowIndex: 1, startColumnIndex: idx, endColumnIndex: idx + 1 }
+    const condition = toCondition(col, idx)
+    return [{
+      setDataValidation: condition
+        ? { range, rule: { condition, strict: true, showCustomUi: col.type === 'enum' } }
+        : { range },
+    }]
+  })
+}
+
+function toCondition(col, idx) {
+  const value = v => ({ userEnteredValue: String(v) })
+  switch (col.type) {
+    case 'number':
+      if (col.min !== null && col.max !== null) return { type: 'NUMBER_BETWEEN', values: [value(col.min), value(col.max)] }
+      if (col.min !== null) return { type: 'NUMBER_GREATER_THAN_EQ', values: [value(col.min)] }
+      if (col.max !== null) return { type: 'NUMBER_LESS_THAN_EQ', values: [value(col.max)] }
+      // Relative reference to the rule's top-left cell — Sheets shifts it per row
+      return { type: 'CUSTOM_FORMULA', values: [value(`=ISNUMBER(${colIndexToLetter(idx + 1)}2)`)] }
+    case 'date':
+      if (col.min !== null && col.max !== null) return { type: 'DATE_BETWEEN', values: [value(col.min), value(col.max)] }
+      if (col.min !== null) return { type: 'DATE_ON_OR_AFTER', values: [value(col.min)] }
+      if (col.max !== null) return { type: 'DATE_ON_OR_BEFORE', values: [value(col.max)] }
+      return { type: 'DATE_IS_VALID' }
+    case 'enum':
+      return { type: 'ONE_OF_LIST', values: col.options.map(value) }
+    case 'email':
+      return { type: 'TEXT_IS_EMAIL' }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,205 @@
+// config/sessionStore.js
+//
+// Server-side login sessions, so a JWT can be revoked before it expires.
+//
+// Sheet tab "الجلسات" columns: sid | email | role | createdAt | expiresAt | revokedAt | revokedBy | userAgent
+//   | name | picture | refreshHash | refreshedAt | encryptedGoogleToken | googleTokenExpiresAt | workspace
+//
+// Every login creates a row and puts its `sid` in the JWT. requireAuth()
+// accepts a token only while its row exists and is not revoked, and only
+// while the user still exists with the role the session was issued for.
+// Logout, removing a user and changing a user's role revoke their rows.
+//
+// A session also backs the refresh flow: access JWTs are short-lived and the
+// client swaps its refresh token ("<sid>.<secret>") for a new pair. Only a
+// hash of the current secret is stored and every refresh rotates it, so a
+// refresh token can be used once. Presenting an old one means it was copied —
+// the whole session is revoked. `expiresAt` slides forward on each refresh.
+// The encrypted Google token is kept here too so refreshed JWTs can carry it.
+//
+// The tab is the source of truth, so revocation survives cold starts. Each
+// instance caches it for SESSION_TTL_MS: the instance that revokes a session
+// sees it at once, other warm instances within that window.
+//
+// Rows are written with patchWhere(): only the changed cells, at the row's
+// position looked up by sid just before the write. Requests never delete
+// rows — a delete moves the rows below it up under another request's feet.
+// A login instead marks the user's expired rows (revokedBy "expired", secrets
+// cleared), and pruneSessions() deletes rows that have been expired for over
+// a day, from a timer every SESSION_PRUNE_HOURS (default 24; 0 = never).
+
+import { randomUUID, randomBytes, createHash, timingSafeEqual } from 'crypto'
+import { createSheetTab } from './sheetTab.js'
+
+export const SESSIONS_TAB = 'الجلسات'
+const SESSION_TTL_MS      = 15_000
+const PRUNE_INTERVAL_MS   = Number(process.env.SESSION_PRUNE_HOURS ?? 24) * 3_600_000
+const PRUNE_AFTER_MS      = 86_400_000   // rows expired for longer than this are pruned
+
+const sessionsTab = createSheetTab(SESSIONS_TAB, [
+  'sid', 'email', 'role', 'createdAt', 'expiresAt', 'revokedAt', 'revokedBy', 'userAgent',
+  'name', 'picture', 'refreshHash', 'refreshedAt', 'encryptedGoogleToken', 'googleTokenExpiresAt', 'workspace',
+], { ttlMs: SESSION_TTL_MS })
+
+// Never leave this module: listSessions() strips them.
+const SECRET_COLUMNS = ['refreshHash', 'encryptedGoogleToken']
+
+const isExpired = r => r.expiresAt && new Date(r.expiresAt).getTime() < Date.now()
+
+const hashSecret = secret => createHash('sha256').update(secret).digest('base64url')
+
+// Write `changes` to a session's row. Returns the updated session, or null.
+async function updateSession(sid, changes, { token } = {}) {
+  const [row] = await sessionsTab.patchWhere(r => r.sid === sid, changes, { token })
+  if (!row) return null
+  const { __rowIndex, ...record } = row
+  return { ...record, ...changes }
+}
+
+let pruneTimer = null
+
+// Start the prune timer with the first session this instance sees
+function schedulePrune() {
+  if (pruneTimer || !PRUNE_INTERVAL_MS) return
+  pruneTimer = setInterval(() => pruneSessions(), PRUNE_INTERVAL_MS)
+  pruneTimer.unref()
+}
+
+/**
+ * Delete rows of sessions that expired more than a day ago — they can no
+ * longer be refreshed or revoked, so no request writes them. Never throws.
+ * Returns how many rows were deleted.
+ */
+export async function pruneSessions({ token } = {}) {
+  const cutoff = Date.now() - PRUNE_AFTER_MS
+  try {
+    const removed = await sessionsTab.removeWhere(
+      r => !r.sid || (r.expiresAt && new Date(r.expiresAt).getTime() < cutoff), { token })
+    if (removed.length) console.log(`[sessions] Pruned ${removed.length} expired session(s)`)
+    return removed.length
+  } catch (err) {
+    console.error('[sessions] Prune failed:', err.message)
+    return 0
+  }
+}
+
+/** A new session id — goes into the JWT as `sid` before the session is recorded. */
+export function newSessionId() {
+  return randomUUID()
+}
+
+/**
+ * Record a session and return its first refresh token. `expiresAt` (ms) is
+ * when the refresh token lapses. Expired rows of the same user are marked at
+ * the same time, and their secrets cleared; pruneSessions() deletes them.
+ */
+export async function createSession({
+  sid, email, role, name = '', picture = '', expiresAt, userAgent = '',
+  encryptedGoogleToken = '', googleTokenExpiresAt = '', workspace = '',
+}, { token } = {}) {
+  schedulePrune()
+  await sessionsTab.patchWhere(
+    r => r.email === email && isExpired(r) && r.revokedBy !== 'expired',
+    { revokedAt: new Date().toISOString(), revokedBy: 'expired', refreshHash: '', encryptedGoogleToken: '' },
+    { token })
+
+  const secret = randomBytes(32).toString('base64url')
+  await sessionsTab.append({
+    sid,
+    email,
+    role,
+    name,
+    picture:   picture || '',
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(expiresAt).toISOString(),
+    userAgent: String(userAgent).slice(0, 200),
+    refreshHash: hashSecret(secret),
+    encryptedGoogleToken,
+    googleTokenExpiresAt,
+    workspace,
+  }, { token })
+  return `${sid}.${secret}`
+}
+
+/**
+ * Exchange a refresh token for the next one.
+ * Returns { session, refreshToken } on success, or { error } where error is
+ *   'invalid'  — malformed, unknown, revoked or expired
+ *   'reused'   — an already-rotated token; the session has just been revoked
+ */
+export async function rotateRefreshToken(refreshToken, { expiresAt }, { token } = {}) {
+  const [sid, secret] = String(refreshToken || '').split('.')
+  if (!sid || !secret) return { error: 'invalid' }
+
+  const session = (await sessionsTab.rows({ token, fresh: true })).find(r => r.sid === sid)
+  if (!isActive(session)) return { error: 'invalid' }
+
+  const presented = Buffer.from(hashSecret(secret))
+  const stored    = Buffer.from(session.refreshHash || '')
+  if (presented.length !== stored.length || !timingSafeEqual(presented, stored)) {
+    await revokeSession(sid, 'refresh-token-reuse', { token })
+    return { error: 'reused' }
+  }
+
+  const next = randomBytes(32).toString('base64url')
+  const updated = await updateSession(sid, {
+    refreshHash: hashSecret(next),
+    refreshedAt: new Date().toISOString(),
+    expiresAt:   new Date(expiresAt).toISOString(),
+  }, { token })
+  return { session: updated, refreshToken: `${sid}.${next}` }
+}
+
+/** Store a newly obtained (encrypted) Google token on the session. */
+export async function setSessionGoogleToken(sid, encryptedGoogleToken, googleTokenExpiresAt, { token } = {}) {
+  return updateSession(sid, { encryptedGoogleToken, googleTokenExpiresAt }, { token })
+}
+
+/**
+ * The session row for `sid`, or null. A sid missing from the cache is looked
+ * up again fresh — it may have been created on another instance since.
+ */
+export async function getSession(sid, { token } = {}) {
+  if (!sid) return null
+  const find = rows => rows.find(r => r.sid === sid)
+  return find(await sessionsTab.rows({ token }))
+    || find(await sessionsTab.rows({ token, fresh: true }))
+    || null
+}
+
+/** True if the session exists, has not been revoked and has not expired. */
+export function isActive(session) {
+  return !!session && !session.revokedAt && !isExpired(session)
+}
+
+/** Active sessions, newest first, optionally for one user. */
+export async function listSessions({ email } = {}, { token } = {}) {
+  const rows = await sessionsTab.rows({ token, fresh: true })
+  return rows
+    .filter(r => r.sid && isActive(r) && (!email || r.email === email))
+    .map(({ __rowIndex, ...r }) => {
+      for (const c of SECRET_COLUMNS) delete r[c]
+      return r
+    })
+    .reverse()
+}
+
+async function revokeWhere(match, revokedBy, { token } = {}) {
+  // The Google token is no use to a dead session — don't leave it lying around
+  const revoked = await sessionsTab.patchWhere(
+    r => isActive(r) && match(r),
+    { revokedAt: new Date().toISOString(), revokedBy, encryptedGoogleToken: '' },
+    { token })
+  return revoked.length
+}
+
+/** Revoke one session. Returns false if it was not active. */
+export async function revokeSession(sid, revokedBy, { token } = {}) {
+  return (await revokeWhere(r => r.sid === sid, revokedBy, { token })) > 0
+}
+
+/** Revoke every active session of a user. Returns how many were revoked. */
+export async function revokeUserSessions(email, revokedBy, { token } = {}) {
+  const e = String(email || '').toLowerCase().trim()
+  return revokeWhere(r => r.email === e, revokedBy, { token })
+}
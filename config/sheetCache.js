@@ -0,0 +1,66 @@
+// config/sheetCache.js
+//
+// Read cache for the /api/sheets/* routes: tab values and each spreadsheet's
+// tab list. Writes made through this backend invalidate the tab they touched,
+// so the next read goes to Google. Edits made directly in Google Sheets show
+// up once the entry expires (SHEETS_CACHE_TTL_SECONDS, default 30; 0 turns
+// the cache off).
+//
+// Every entry key includes a per-tab generation counter, and invalidating a
+// tab just bumps its counter — nothing has to be found and deleted, and a
+// read that started before the write can only fill a slot nobody reads again.
+//
+// Entries live in config/cacheStore.js (memory, or Redis when CACHE_URL is
+// set). If the store fails, reads fall through to Google.
+
+import { createHash } from 'crypto'
+import { cacheStore } from './cacheStore.js'
+
+const TTL_MS = Number(process.env.SHEETS_CACHE_TTL_SECONDS ?? 30) * 1000
+
+// The tab list is cached under this (impossible) tab name
+const TAB_LIST = '\u0000tabs'
+
+const genKey = (spreadsheetId, tab) => `gen:${spreadsheetId}:${tab}`
+
+/** A short content hash, used to build ETags. */
+export const etagOf = data => createHash('sha1').update(JSON.stringify(data)).digest('base64url').slice(0, 20)
+
+function warn(err) {
+  console.warn('[sheetCache] Cache store failed:', err.message)
+  return null
+}
+
+/**
+ * The cache slot for one part of a tab (e.g. an A1 range; tab null = the tab
+ * list). Returns { hit, save }: `hit` is { data, etag } or null; save(data)
+ * stores fresh data and returns { data, etag }. Pass { bypass: true } to skip
+ * the cached copy and refill it.
+ */
+export async function cacheSlot(spreadsheetId, tab, part = '', { bypass = false } = {}) {
+  const entry = data => ({ data, etag: etagOf(data) })
+  if (!TTL_MS) return { hit: null, save: entry }
+
+  const tabKey = tab ?? TAB_LIST
+  const gen    = await cacheStore.get(genKey(spreadsheetId, tabKey)).catch(warn)
+  const key    = `sheet:${spreadsheetId}:${tabKey}:${gen || 0}:${part}`
+  const hit    = bypass ? null : await cacheStore.get(key).catch(warn)
+
+  return {
+    hit,
+    save(data) {
+      const fresh = entry(data)
+      cacheStore.set(key, fresh, TTL_MS).catch(warn)
+      return fresh
+    },
+  }
+}
+
+/** Forget every cached part of a tab. Pass { tabList: true } when tabs were added, renamed or removed. */
+export async function invalidateTab(spreadsheetId, tab, { tabList = false } = {}) {
+  if (!TTL_MS) return
+  await Promise.all([
+    tab && cacheStore.incr(genKey(spreadsheetId, tab)),
+    tabList && cacheStore.incr(genKey(spreadsheetId, TAB_LIST)),
+  ]).catch(warn)
+}
@@ -0,0 +1,271 @@
+// config/sheetTab.js
+//
+// Shared plumbing for the backend's own config tabs (permissions, audit log,
+// ...). Each tab is a header row followed by one record per row; records are
+// returned as plain objects keyed by header, plus __rowIndex (1-based, like
+// everywhere else in this codebase).
+//
+// Tabs are created on first use. If a later version of a store adds columns,
+// ensure() appends the missing headers to row 1 — rows are always read and
+// written by header name, never by position.
+//
+// Every tab created through createSheetTab() is registered as a system tab.
+// The sheets proxy refuses to let non-admins touch system tabs directly
+// (see config/permissionStore.js).
+
+import { sheetsJson as sheetFetch } from './sheetsClient.js'
+import { invalidateTab } from './sheetCache.js'
+
+// Read once at module load — env vars are immutable after startup.
+const SHEET_ID = process.env.SHEET_ID
+const API      = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}`
+
+const _systemTabs = new Set()
+
+/** Titles of every tab managed through createSheetTab(). */
+export function systemTabs() {
+  return [..._systemTabs]
+}
+
+// ── Helper: convert 1-based column index to letter(s) (e.g. 1→A, 26→Z, 27→AA) ──
+export function colIndexToLetter(index) {
+  let letter = ''
+  while (index > 0) {
+    const mod = (index - 1) % 26
+    letter = String.fromCharCode(65 + mod) + letter
+    index  = Math.floor((index - 1) / 26)
+  }
+  return letter
+}
+
+// ── Helper: A1 notation for `range` of a tab ('' = the whole tab) ──────
+// The title is always quoted, so no tab name can be read as a cell reference.
+export function a1Range(tabName, range = '') {
+  const quoted = `'${tabName.replace(/'/g, "''")}'`
+  return range ? `${quoted}!${range}` : quoted
+}
+
+/**
+ * Create a handle on a sheet-backed config tab.
+ *
+ * All methods accept an optional { token } — forwarded to sheetFetch() as the
+ * fallback token when neither the service account nor an admin is available.
+ */
+export function createSheetTab(title, headers, { ttlMs = 60_000 } = {}) {
+  _systemTabs.add(title)
+
+  // Once we confirm the tab exists (or create it) we skip the metadata call.
+  let columns   = null       // actual header row, once ensured
+  let sheetId   = undefined  // numeric sheetId of the tab
+  let cache     = null
+  let cacheTime = 0
+  let lock      = Promise.resolve()   // serialises patchWhere() / removeWhere()
+
+  const range = a1 => encodeURIComponent(a1Range(title, a1))
+
+  // After a write: drop our cache and the sheets proxy's (config/sheetCache.js)
+  function changed() {
+    cache = null
+    return invalidateTab(SHEET_ID, title)
+  }
+
+  async function ensure({ token } = {}) {
+    if (columns) return
+
+    const meta = await sheetFetch(`${API}?fields=sheets.properties`, { fallbackToken: token })
+    const existing = (meta.sheets || []).find(s => s.properties.title === title)
+
+    if (!existing) {
+      const added = await sheetFetch(`${API}:batchUpdate`, {
+        method: 'POST',
+        fallbackToken: token,
+        body: JSON.stringify({ requests: [{ addSheet: { properties: { title } } }] }),
+      })
+      await sheetFetch(`${API}/values/${range('A1')}?valueInputOption=RAW`, {
+        method: 'PUT',
+        fallbackToken: token,
+        body: JSON.stringify({ values: [headers] }),
+      })
+      sheetId = added.replies[0].addSheet.properties.sheetId
+      columns = [...headers]
+      await invalidateTab(SHEET_ID, title, { tabList: true })
+      return
+    }
+
+    sheetId = existing.properties.sheetId
+    const head    = await sheetFetch(`${API}/values/${range('1:1')}`, { fallbackToken: token })
+    const current = head.values?.[0] || []
+    const missing = headers.filter(h => !current.includes(h))
+    if (missing.length > 0) {
+      const from = colIndexToLetter(current.length + 1)
+      const to   = colIndexToLetter(current.length + missing.length)
+      await sheetFetch(`${API}/values/${range(`${from}1:${to}1`)}?valueInputOption=RAW`, {
+        method: 'PUT',
+        fallbackToken: token,
+        body: JSON.stringify({ values: [missing] }),
+      })
+    }
+    columns = [...current, ...missing]
+  }
+
+  function toRow(record) {
+    return columns.map(h => {
+      const v = record[h]
+      return v === undefined || v === null ? '' : v
+    })
+  }
+
+  /** All records, cached for ttlMs. Pass { fresh: true } to bypass the cache. */
+  async function rows({ token, fresh = false } = {}) {
+    if (!fresh && cache && Date.now() - cacheTime < ttlMs) return cache
+    await ensure({ token })
+
+    const data = await sheetFetch(`${API}/values/${range()}`, { fallbackToken: token })
+    const [head = [], ...body] = data.values || []
+    cache = body.map((row, i) => {
+      const record = { __rowIndex: i + 2 }
+      head.forEach((h, j) => { record[h] = row[j] ?? '' })
+      return record
+    })
+    cacheTime = Date.now()
+    return cache
+  }
+
+  /** Append one or more records. Values are written RAW (no formula parsing). */
+  async function append(records, { token } = {}) {
+    await ensure({ token })
+    const list = Array.isArray(records) ? records : [records]
+    const res  = await sheetFetch(
+      `${API}/values/${range('A1')}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`,
+      { method: 'POST', fallbackToken: token, body: JSON.stringify({ values: list.map(toRow) }) }
+    )
+    await changed()
+    return res
+  }
+
+  /** Overwrite the record at rowIndex. Columns missing from `record` are cleared. */
+  async function update(rowIndex, record, { token } = {}) {
+    await ensure({ token })
+    const a1 = `A${rowIndex}:${colIndexToLetter(columns.length)}${rowIndex}`
+    await sheetFetch(`${API}/values/${range(a1)}?valueInputOption=RAW`, {
+      method: 'PUT',
+      fallbackToken: token,
+      body: JSON.stringify({ values: [toRow(record)] }),
+    })
+    await changed()
+  }
+
+  /**
+   * Write only the given columns of the record at rowIndex, leaving the rest
+   * of the row as it is in the sheet — safe against concurrent updates of
+   * other columns.
+   */
+  async function patch(rowIndex, changes, { token } = {}) {
+    await patchMany([{ rowIndex, changes }], { token })
+  }
+
+  /** patch() several records in one call: [{ rowIndex, changes }]. */
+  async function patchMany(list, { token } = {}) {
+    await ensure({ token })
+    const data = list.flatMap(({ rowIndex, changes }) => Object.entries(changes)
+      .filter(([h]) => columns.includes(h))
+      .map(([h, v]) => ({
+        range:  a1Range(title, `${colIndexToLetter(columns.indexOf(h) + 1)}${rowIndex}`),
+        values: [[v === undefined || v === null ? '' : v]],
+      })))
+    if (data.length === 0) return
+    await sheetFetch(`${API}/values:batchUpdate`, {
+      method: 'POST',
+      fallbackToken: token,
+      body: JSON.stringify({ valueInputOption: 'RAW', data }),
+    })
+    await changed()
+  }
+
+  // Run `fn` once every earlier exclusive() call on this tab has finished
+  function exclusive(fn) {
+    const run = lock.then(fn, fn)
+    lock = run.catch(() => {})
+    return run
+  }
+
+  /**
+   * Patch the records matching `match` (record → boolean) with `changes` — an
+   * object, or a function of the record. The rows are looked up fresh right
+   * before the write, and never while removeWhere() is deleting rows of this
+   * tab, so a row that moved can't send the write to another record. Returns
+   * the matched records as they were.
+   */
+  function patchWhere(match, changes, { token } = {}) {
+    return exclusive(async () => {
+      const found = (await rows({ token, fresh: true })).filter(match)
+      await patchMany(found.map(r => ({
+        rowIndex: r.__rowIndex,
+        changes:  typeof changes === 'function' ? changes(r) : changes,
+      })), { token })
+      return found
+    })
+  }
+
+  /**
+   * Delete the records matching `match`, looked up fresh right before the
+   * delete. Deletes move the rows below up, so prefer this over remove() with
+   * indexes read earlier. Returns the deleted records.
+   */
+  function removeWhere(match, { token } = {}) {
+    return exclusive(async () => {
+      const found = (await rows({ token, fresh: true })).filter(match)
+      await remove(found.map(r => r.__rowIndex), { token })
+      return found
+    })
+  }
+
+  /**
+   * Write `record` over the first record matching `match` (only the columns
+   * it names), or append it when none does. The check and the write happen
+   * under the tab's lock, so two calls for the same key can't both append.
+   * Returns the matched record as it was, or null if `record` was appended.
+   */
+  function upsertWhere(match, record, { token } = {}) {
+    return exclusive(async () => {
+      const found = (await rows({ token, fresh: true })).find(match)
+      if (found) await patchMany([{ rowIndex: found.__rowIndex, changes: record }], { token })
+      else       await append(record, { token })
+      return found || null
+    })
+  }
+
+  /** Delete one row, or several in a single batchUpdate when given an array. */
+  async function remove(rowIndexes, { token } = {}) {
+    const list = [].concat(rowIndexes)
+      .sort((a, b) => b - a)  // bottom-up so earlier deletes don't shift later ones
+    if (list.length === 0) return
+    await ensure({ token })
+    await sheetFetch(`${API}:batchUpdate`, {
+      method: 'POST',
+      fallbackToken: token,
+      body: JSON.stringify({
+        requests: list.map(rowIndex => ({ deleteDimension: {
+          range: { sheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex },
+        }})),
+      }),
+    })
+    await changed()
+  }
+
+  return {
+    title,
+    headers,
+    ensure,
+    rows,
+    append,
+    update,
+    patch,
+    patchMany,
+    patchWhere,
+    upsertWhere,
+    remove,
+    removeWhere,
+    invalidate() { cache = null },
+  }
+}
@@ -0,0 +1,250 @@
+// config/sheetsClient.js
+//
+// The one place this backend calls the Google Sheets API from. Every route
+// and config store goes through sheetsFetch() / sheetsJson(), which add:
+//
+//   Token     — the caller's token if given, else the service account, else
+//               the last admin who logged in, else options.fallbackToken.
+//   Retries   — 429 always; 5xx, timeouts and network errors only when the
+//               request is safe to repeat (GET, PUT, values:batch*). A POST
+//               that may have reached Google (append, deleteDimension) is
+//               never sent twice. Backoff is exponential with full jitter;
+//               Google's Retry-After wins when it is longer.
+//   Timeout   — each attempt is aborted after SHEETS_TIMEOUT_MS.
+//   Breaker   — after BREAKER_THRESHOLD failures in a row (5xx, timeouts,
+//               network) calls fail fast for BREAKER_COOLDOWN_MS; the next
+//               call after that is a trial that closes or re-opens it.
+//   Errors    — failures are SheetsError { status, code, retryAfterMs }.
+//   Usage     — reads, writes and throttled calls per user over the last
+//               minute, the window Google's quotas are counted in (see
+//               getQuotaUsage). Counts are per server instance.
+
+import { getServiceToken } from './serviceAccount.js'
+import { tokenStore }      from './tokenStore.js'
+
+const MAX_RETRIES         = 4
+const BACKOFF_BASE_MS     = 300
+const BACKOFF_CAP_MS      = 8_000
+const MAX_RETRY_AFTER_MS  = 20_000   // longer waits go back to the client as 429
+const SHEETS_TIMEOUT_MS   = 15_000
+const BREAKER_THRESHOLD   = 5
+const BREAKER_COOLDOWN_MS = 30_000
+const USAGE_WINDOW_MS     = 60_000
+
+const NO_TOKEN_MESSAGE = 'لا يوجد مشرف مسجل دخوله حالياً. سجّل دخولك مرة أخرى.'
+
+/** A failed Sheets API call. `code` is one of the SHEETS_* / GOOGLE_* codes below. */
+export class SheetsError extends Error {
+  constructor(message, { status = 502, code = 'SHEETS_ERROR', retryAfterMs = null } = {}) {
+    super(message)
+    this.name         = 'SheetsError'
+    this.status       = status
+    this.code         = code
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+const CODES = {
+  400: 'SHEETS_BAD_REQUEST',
+  401: 'GOOGLE_TOKEN_EXPIRED',
+  403: 'SHEETS_FORBIDDEN',
+  404: 'SHEETS_NOT_FOUND',
+  429: 'SHEETS_QUOTA_EXCEEDED',
+}
+
+/** Turn a non-ok Google response into a SheetsError (reads the body). */
+export async function sheetsErrorFrom(res) {
+  const body = await res.json().catch(() => ({}))
+  return new SheetsError(body?.error?.message || `Google API error ${res.status}`, {
+    status:       res.status,
+    code:         CODES[res.status] || (res.status >= 500 ? 'SHEETS_UNAVAILABLE' : 'SHEETS_ERROR'),
+    retryAfterMs: retryAfterMs(res),
+  })
+}
+
+// ── Tokens ───────────────────────────────────────────────────────────
+// Most recent admin email — used to pull their token from tokenStore (fallback only)
+let adminEmail = null
+
+/** Called by auth.js whenever an admin logs in or refreshes their Google token. */
+export function setAdminEmail(email) {
+  adminEmail = email
+}
+
+async function resolveToken({ token, fallbackToken }) {
+  if (token) return { token }
+  // Primary: service account token (never expires, auto-refreshes)
+  const saToken = await getServiceToken()
+  if (saToken) return { token: saToken }
+  // Fallback: admin's OAuth token (expires after ~60 min), then the caller's
+  const adminToken = adminEmail ? tokenStore.get(adminEmail) : null
+  if (adminToken) return { token: adminToken, admin: true }
+  if (fallbackToken) return { token: fallbackToken }
+  throw new SheetsError(NO_TOKEN_MESSAGE, { status: 503, code: 'SHEETS_NO_TOKEN' })
+}
+
+/** True if server-side calls have a token (service account or a logged-in admin). */
+export async function hasServerToken() {
+  if (await getServiceToken()) return true
+  return !!(adminEmail && tokenStore.get(adminEmail))
+}
+
+/** The token for a request: the service account, else the user's own Google token, else null. */
+export async function requestToken(req) {
+  return (await getServiceToken()) || tokenStore.get(req.user.userId, req) || null
+}
+
+// ── Circuit breaker ──────────────────────────────────────────────────
+let failures  = 0
+let openUntil = 0
+
+function checkBreaker() {
+  if (Date.now() < openUntil) {
+    throw new SheetsError('Google Sheets is unavailable. Please try again shortly.', {
+      status: 503, code: 'SHEETS_UNAVAILABLE', retryAfterMs: openUntil - Date.now(),
+    })
+  }
+}
+
+function recordOutcome(ok) {
+  if (ok) { failures = 0; return }
+  if (++failures >= BREAKER_THRESHOLD) {
+    openUntil = Date.now() + BREAKER_COOLDOWN_MS
+    console.error(`[sheetsClient] ${failures} failures in a row — pausing Sheets calls for ${BREAKER_COOLDOWN_MS / 1000}s`)
+  }
+}
+
+/** { state: 'closed' | 'open', failures, retryInMs }. */
+export function breakerState() {
+  const retryInMs = Math.max(0, openUntil - Date.now())
+  return { state: retryInMs ? 'open' : 'closed', failures, retryInMs }
+}
+
+// ── Usage ────────────────────────────────────────────────────────────
+const usage = new Map()   // user → { reads: [ts], writes: [ts], throttled: [ts] }
+
+function recordUsage(user, kind) {
+  const now = Date.now()
+  let entry = usage.get(user)
+  if (!entry) usage.set(user, entry = { reads: [], writes: [], throttled: [] })
+  entry[kind].push(now)
+}
+
+const recent = (times, since) => {
+  while (times.length && times[0] < since) times.shift()
+  return times.length
+}
+
+/**
+ * Calls per user over the last minute, busiest first:
+ * [{ user, reads, writes, throttled }]. Calls the server makes for itself
+ * (config tabs, user lookups) are counted under "system".
+ */
+export function getQuotaUsage() {
+  const since = Date.now() - USAGE_WINDOW_MS
+  const out   = []
+  for (const [user, entry] of usage) {
+    const row = { user, reads: recent(entry.reads, since), writes: recent(entry.writes, since), throttled: recent(entry.throttled, since) }
+    if (row.reads + row.writes + row.throttled) out.push(row)
+    else usage.delete(user)
+  }
+  return out.sort((a, b) => (b.reads + b.writes) - (a.reads + a.writes))
+}
+
+// ── Requests ─────────────────────────────────────────────────────────
+const RETRYABLE_STATUS = new Set([500, 502, 503, 504])
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+function retryAfterMs(res) {
+  const header = res.headers.get('retry-after')
+  if (!header) return null
+  const secs = Number(header)
+  if (!isNaN(secs)) return secs * 1000
+  const at = Date.parse(header)
+  return isNaN(at) ? null : Math.max(0, at - Date.now())
+}
+
+const backoff = attempt => Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt)
+
+// Reading a range, writing a fixed range and values:batch* calls give the same
+// result however many times they run.
+const isIdempotent = (method, url) => method === 'GET' || method === 'PUT' || /\/values:batch(Get|Update|Clear)\b/.test(url)
+
+/**
+ * Call the Sheets API. Resolves to the final Response, ok or not — use
+ * sheetsErrorFrom() on a non-ok one, or sheetsJson() to have it thrown.
+ * Rejects with SheetsError on timeouts, network errors, an open breaker or
+ * when there is no token.
+ *
+ * Options: method, body (a string), headers, token (use exactly this token),
+ * fallbackToken, user (whose usage to count; default "system"),
+ * idempotent (override the retry rule above), timeoutMs.
+ */
+export async function sheetsFetch(url, {
+  method = 'GET', body, headers, token, fallbackToken, user = 'system',
+  idempotent = isIdempotent(method, url), timeoutMs = SHEETS_TIMEOUT_MS,
+} = {}) {
+  const auth = await resolveToken({ token, fallbackToken })
+  const kind = method === 'GET' || /\/values:batchGet\b/.test(url) ? 'reads' : 'writes'
+
+  for (let attempt = 0; ; attempt++) {
+    checkBreaker()
+    recordUsage(user, kind)
+
+    const controller = new AbortController()
+    const timer      = setTimeout(() => controller.abort(), timeoutMs)
+    let res
+    try {
+      res = await fetch(url, {
+        method,
+        body,
+        signal:  controller.signal,
+        headers: {
+          Authorization: `Bearer ${auth.token}`,
+          ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+          ...headers,
+        },
+      })
+    } catch (err) {
+      recordOutcome(false)
+      const timedOut = err.name === 'AbortError'
+      if (idempotent && attempt < MAX_RETRIES) { await sleep(backoff(attempt)); continue }
+      console.error('[sheetsClient]', method, timedOut ? 'timed out' : err.message)
+      throw timedOut
+        ? new SheetsError(`Google Sheets did not answer within ${timeoutMs / 1000}s`, { status: 504, code: 'SHEETS_TIMEOUT' })
+        : new SheetsError('Could not reach Google Sheets', { status: 503, code: 'SHEETS_UNAVAILABLE' })
+    } finally {
+      clearTimeout(timer)
+    }
+
+    if (res.status === 429) {
+      // Throttled: nothing was applied, so retrying is always safe
+      recordUsage(user, 'throttled')
+      const wait = Math.max(retryAfterMs(res) ?? 0, backoff(attempt))
+      if (attempt >= MAX_RETRIES || wait > MAX_RETRY_AFTER_MS) return res
+      await res.arrayBuffer().catch(() => {})
+      await sleep(wait)
+      continue
+    }
+
+    if (RETRYABLE_STATUS.has(res.status)) {
+      recordOutcome(false)
+      if (!idempotent || attempt >= MAX_RETRIES) return res
+      await res.arrayBuffer().catch(() => {})
+      await sleep(Math.max(retryAfterMs(res) ?? 0, backoff(attempt)))
+      continue
+    }
+
+    recordOutcome(true)
+    // The admin's token went stale — stop using it until they log in again
+    if (res.status === 401 && auth.admin) adminEmail = null
+    return res
+  }
+}
+
+/** sheetsFetch() and parse the JSON body. Throws SheetsError unless the response is ok. */
+export async function sheetsJson(url, options) {
+  const res = await sheetsFetch(url, options)
+  if (!res.ok) throw await sheetsErrorFrom(res)
+  return res.json()
+}
@@ -0,0 +1,48 @@
+// config/syncCursors.js
+//
+// Cursors for delta sync (GET /api/sheets/changes).
+//
+// A cursor names a snapshot of one tab as a client last received it: each
+// row's key (stable row ID, or position — see lib/rowDiff.js), rowIndex and
+// version. The next request compares the tab as it is now with that snapshot,
+// so edits made directly in Google Sheets are included, and nothing has to be
+// written to the spreadsheet. Identical tab contents give the same cursor.
+//
+// Snapshots live in config/cacheStore.js for SYNC_CURSOR_DAYS (default 7).
+// With the in-memory store they are per instance, in a store of their own so
+// read cache traffic can't evict them; past SYNC_CURSOR_MAX (default 1000)
+// the oldest are evicted first. Set CACHE_URL to share them. A cursor that is no longer known just
+// makes the client start over with the whole tab.
+
+import { separateStore } from './cacheStore.js'
+import { etagOf }        from './sheetCache.js'
+import { rowVersion }    from '../lib/rowVersion.js'
+
+const TTL_MS = Number(process.env.SYNC_CURSOR_DAYS ?? 7) * 86_400_000
+
+const cursorStore = separateStore({ maxEntries: Number(process.env.SYNC_CURSOR_MAX ?? 1000) })
+
+const snapshotKey = (spreadsheetId, tab, cursor) => `sync:${spreadsheetId}:${tab}:${cursor}`
+
+/** Store the snapshot of `rows` (from keyRows()) and return its cursor. */
+export async function saveCursor(spreadsheetId, tab, header, rows) {
+  const snapshot = { header: rowVersion(header), rows: [...rows].map(([key, r]) => [key, r.rowIndex, r.version]) }
+  const cursor   = etagOf(snapshot)
+  await cursorStore.set(snapshotKey(spreadsheetId, tab, cursor), snapshot, TTL_MS)
+    .catch(err => console.warn('[syncCursors] Could not store cursor:', err.message))
+  return cursor
+}
+
+/**
+ * The snapshot behind a cursor, as a keyRows()-style Map (key → { rowIndex,
+ * id, version }), or null when the cursor is unknown, expired or was taken
+ * with a different header row.
+ */
+export async function loadCursor(spreadsheetId, tab, cursor, header) {
+  const snapshot = await cursorStore.get(snapshotKey(spreadsheetId, tab, cursor))
+    .catch(err => { console.warn('[syncCursors] Could not load cursor:', err.message); return null })
+  if (!snapshot || snapshot.header !== rowVersion(header)) return null
+  return new Map(snapshot.rows.map(([key, rowIndex, version]) => [key, {
+    rowIndex, version, id: key.startsWith('id:') ? key.slice(3) : null,
+  }]))
+}
@@ -22,20 +22,20 @@
 //
 // ── Public API ────────────────────────────────────────────────────────
 // tokenStore.encrypt(googleToken) → encryptedBlob   (called at login)
+// tokenStore.decrypt(blob)        → plaintext | null
 // tokenStore.get(userId, req)     → googleToken | null  (called per-request)
 // tokenStore.isExpiringSoon(...)  → boolean
 //
 // The legacy .set() / .delete() / .has() stubs are kept so no other
 // files need to change.
 
-import { createCipheriv, createDecipheriv, randomBytes, createHash } from 'crypto'
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto'
+import { currentKey, findKey, webhookKey, WEBHOOK_KID } from './keyring.js'
 
-// ── Derive a 32-byte AES key from JWT_SECRET ─────────────────────────
-// Computed ONCE at module load. JWT_SECRET is immutable after startup,
-// so re-hashing on every encrypt/decrypt call wastes CPU on every request.
-const _aesKey = createHash('sha256')
-  .update(process.env.JWT_SECRET || 'fallback-secret-change-me')
-  .digest()
+// ── AES keys come from the keyring (config/keyring.js) ───────────────
+// Blobs are prefixed with the kid of the key that encrypted them, so a
+// rotated-out key can still decrypt until it is retired. Blobs from before
+// the keyring have no prefix and belong to the "default" key.
 
 const ALGORITHM = 'aes-256-gcm'
 const IV_BYTES  = 12  // 96-bit IV — recommended for GCM
@@ -44,28 +44,33 @@ const TAG_BYTES = 16  // GCM auth tag
 // ── Encryption helpers ────────────────────────────────────────────────
 
 /**
- * Encrypt a Google access token.
- * Returns a compact base64url string: iv(12) + authTag(16) + ciphertext
+ * Encrypt a Google access token with the current key (or `key`).
+ * Returns "<kid>.<base64url>" where the base64url part is iv(12) + authTag(16) + ciphertext
  */
-function encryptToken(plaintext) {
+function encryptToken(plaintext, { kid, aesKey } = currentKey()) {
   const iv     = randomBytes(IV_BYTES)
-  const cipher = createCipheriv(ALGORITHM, _aesKey, iv)
+  const cipher = createCipheriv(ALGORITHM, aesKey, iv)
   const enc    = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
   const tag    = cipher.getAuthTag()
-  return Buffer.concat([iv, tag, enc]).toString('base64url')
+  return `${kid}.${Buffer.concat([iv, tag, enc]).toString('base64url')}`
 }
 
 /**
- * Decrypt a blob produced by encryptToken().
- * Returns the original Google token string, or null on any failure.
+ * Decrypt a blob produced by encryptToken(), with the key `lookup` finds for
+ * its kid. Returns the original Google token string, or null on any failure.
  */
-function decryptToken(blob) {
+function decryptToken(blob, lookup = findKey) {
   try {
-    const buf        = Buffer.from(blob, 'base64url')
+    // base64url never contains "." — anything before it is the kid
+    const dot = blob.indexOf('.')
+    const key = lookup(dot === -1 ? null : blob.slice(0, dot))
+    if (!key) return null  // retired or unknown key
+
+    const buf        = Buffer.from(blob.slice(dot + 1), 'base64url')
     const iv         = buf.subarray(0, IV_BYTES)
     const tag        = buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES)
     const ciphertext = buf.subarray(IV_BYTES + TAG_BYTES)
-    const decipher   = createDecipheriv(ALGORITHM, _aesKey, iv)
+    const decipher   = createDecipheriv(ALGORITHM, key.aesKey, iv)
     decipher.setAuthTag(tag)
     return decipher.update(ciphertext) + decipher.final('utf8')
   } catch {
@@ -103,6 +108,34 @@ export const tokenStore = {
     return encryptToken(googleToken)
   },
 
+  /** Decrypt a blob made by encrypt(), or null. */
+  decrypt(blob) {
+    return blob ? decryptToken(blob) : null
+  },
+
+  /**
+   * Encrypt a webhook signing secret with WEBHOOK_SECRET_KEY, not the
+   * keyring — those keys are retired, webhook secrets have to last. Returns
+   * null when WEBHOOK_SECRET_KEY is not set.
+   */
+  encryptSecret(secret) {
+    const key = webhookKey()
+    return key ? encryptToken(secret, key) : null
+  },
+
+  /**
+   * Decrypt a blob made by encryptSecret() — or by encrypt(), as webhook
+   * secrets were before WEBHOOK_SECRET_KEY — or null.
+   */
+  decryptSecret(blob) {
+    return blob ? decryptToken(blob, kid => (kid === WEBHOOK_KID ? webhookKey() : findKey(kid))) : null
+  },
+
+  /** Whether a blob is encrypted with WEBHOOK_SECRET_KEY (see encryptSecret()). */
+  isSecretBlob(blob) {
+    return String(blob ?? '').startsWith(`${WEBHOOK_KID}.`)
+  },
+
   /**
    * Retrieve and decrypt the Google token for the current request.
    *
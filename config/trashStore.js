@@ -0,0 +1,120 @@
+// config/trashStore.js
+//
+// Recycle bin for rows deleted through /api/sheets/*. A delete copies the row
+// here first, then removes it from its tab; it can be restored into that tab
+// or purged for good (routes/sheets.js).
+//
+// Sheet tab "سلة المحذوفات" columns: id | workspace | tab | rowIndex | rowId
+//   | header | values | deletedBy | deletedAt
+// `header` and `values` are JSON: the tab's header row and the row's cells
+// at the time of the delete, so a restore can put each value back under its
+// column even if columns were moved since. `rowIndex` is where the row was.
+//
+// A cell holds at most 50,000 characters, so a row whose header or values
+// don't fit as JSON can't be trashed (fitsInTrash()) — and then isn't deleted.
+//
+// Rows older than TRASH_RETENTION_DAYS (default 30; 0 = keep forever) are
+// purged automatically, at most once an hour per instance, when rows are
+// trashed or the bin is listed. Removals look the rows up by id right before
+// deleting (removeWhere()), since another removal may have moved them.
+
+import { randomUUID } from 'crypto'
+import { createSheetTab } from './sheetTab.js'
+
+export const TRASH_TAB = 'سلة المحذوفات'
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS ?? 30)
+
+const PURGE_INTERVAL_MS = 60 * 60_000
+const MAX_CELL_CHARS    = 50_000
+
+const trashTab = createSheetTab(TRASH_TAB, [
+  'id', 'workspace', 'tab', 'rowIndex', 'rowId', 'header', 'values', 'deletedBy', 'deletedAt',
+])
+
+let lastPurge = 0
+
+function parse(v) {
+  try { return JSON.parse(v) } catch { return [] }
+}
+
+const expiresAt = deletedAt => TRASH_RETENTION_DAYS
+  ? new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 86_400_000).toISOString()
+  : null
+
+/** The public view of a trash row. */
+export const toTrashEntry = ({ __rowIndex, rowIndex, rowId, header, values, ...record }) => ({
+  ...record,
+  rowIndex:  rowIndex ? Number(rowIndex) : null,
+  rowId:     rowId || null,
+  header:    parse(header),
+  values:    parse(values),
+  expiresAt: expiresAt(record.deletedAt),
+})
+
+/** True if a row's header and values each fit in one cell as JSON. */
+export function fitsInTrash({ header = [], values = [] }) {
+  return JSON.stringify(header).length <= MAX_CELL_CHARS && JSON.stringify(values).length <= MAX_CELL_CHARS
+}
+
+/**
+ * Put a row in the bin: { workspace, tab, rowIndex, rowId, header, values,
+ * deletedBy }. Returns its id. Throws if the row could not be stored — the
+ * caller must not delete it then.
+ */
+export async function addToTrash(entry, { token } = {}) {
+  if (!fitsInTrash(entry)) throw new Error('The row is too large for the recycle bin')
+  const id = randomUUID()
+  await trashTab.append({
+    id,
+    workspace: entry.workspace,
+    tab:       entry.tab,
+    rowIndex:  entry.rowIndex,
+    rowId:     entry.rowId || '',
+    header:    JSON.stringify(entry.header || []),
+    values:    JSON.stringify(entry.values || []),
+    deletedBy: entry.deletedBy,
+    deletedAt: new Date().toISOString(),
+  }, { token })
+  await purgeExpired({ token })
+  return id
+}
+
+/** Trashed rows of a workspace, newest first. Filters: tab, deletedBy. */
+export async function listTrash({ workspace, tab, deletedBy, token } = {}) {
+  await purgeExpired({ token })
+  const rows = await trashTab.rows({ token, fresh: true })
+  return rows
+    .filter(r => r.id && r.workspace === workspace)
+    .filter(r => (!tab || r.tab === tab) && (!deletedBy || r.deletedBy.toLowerCase() === deletedBy.toLowerCase()))
+    .reverse()
+    .map(toTrashEntry)
+}
+
+/** One trashed row of a workspace, in its public form, or null. */
+export async function getTrashEntry(workspace, id, { token } = {}) {
+  const row = (await trashTab.rows({ token, fresh: true })).find(r => r.id === id && r.workspace === workspace)
+  return row ? toTrashEntry(row) : null
+}
+
+/** Remove rows from the bin for good, by id. Returns how many were removed. */
+export async function removeFromTrash(ids, { token } = {}) {
+  const wanted = new Set(ids)
+  return (await trashTab.removeWhere(r => wanted.has(r.id), { token })).length
+}
+
+/**
+ * Drop rows past the retention period, at most once per PURGE_INTERVAL_MS.
+ * Never throws — the bin just stays fuller until the next try.
+ */
+async function purgeExpired({ token } = {}) {
+  if (!TRASH_RETENTION_DAYS || Date.now() - lastPurge < PURGE_INTERVAL_MS) return
+  lastPurge = Date.now()
+  try {
+    const cutoff  = Date.now() - TRASH_RETENTION_DAYS * 86_400_000
+    const expired = await trashTab.removeWhere(r => r.id && new Date(r.deletedAt).getTime() < cutoff, { token })
+    if (expired.length === 0) return
+    console.log(`[trash] Purged ${expired.length} row(s) older than ${TRASH_RETENTION_DAYS} days`)
+  } catch (err) {
+    console.error('[trash] Purge failed:', err.message)
+  }
+}
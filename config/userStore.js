@@ -10,13 +10,26 @@
 //   3. All sheet operations use that token
 //   4. If the token expires, the next admin login refreshes it automatically
 //
-// Sheet tab "المستخدمون" columns: email | role | addedBy | addedAt
+// Sheet tab "المستخدمون" columns: email | role | addedBy | addedAt | id
+//   | name | picture | disabled | disabledAt | disabledBy | lastLoginAt
+// `id` is a stable row ID (lib/rowIds.js) so admins can address a user
+// without relying on its row position, which shifts when rows are deleted.
+// Timestamps are ISO strings. name, picture and lastLoginAt are refreshed on
+// every login (recordUserLogin). A disabled user keeps their row but cannot
+// log in; `disabled` is "TRUE" or empty.
 
-import { tokenStore } from './tokenStore.js'
-import { getServiceToken } from './serviceAccount.js'
+import { sheetsJson, hasServerToken, setAdminEmail } from './sheetsClient.js'
+import { newRowId } from '../lib/rowIds.js'
+import { colIndexToLetter, createSheetTab, a1Range } from './sheetTab.js'
 
-const USERS_TAB     = 'المستخدمون'
-const USERS_HEADERS = ['email', 'role', 'addedBy', 'addedAt']
+export { setAdminEmail }
+
+export const USERS_TAB = 'المستخدمون'
+const USERS_HEADERS = [
+  'email', 'role', 'addedBy', 'addedAt', 'id',
+  'name', 'picture', 'disabled', 'disabledAt', 'disabledBy', 'lastLoginAt',
+]
+const LAST_COLUMN   = colIndexToLetter(USERS_HEADERS.length)
 // Read once at module load — env vars are immutable after startup.
 const SHEET_ID      = process.env.SHEET_ID
 
@@ -26,166 +39,240 @@ const _bootstrapAdmins = (process.env.ADMIN_EMAILS || '')
 const _bootstrapUsers  = (process.env.USER_EMAILS  || '')
   .split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
 
-// Most recent admin email — used to pull their token from tokenStore (fallback only)
-let adminEmail = null
-
-/** Called by auth.js whenever an admin logs in or refreshes their Google token. */
-export function setAdminEmail(email) {
-  adminEmail = email
+// ── Sheet fetch — see config/sheetsClient.js ──────────────────────────
+// Also used by config/workspaceStore.js. Callers acting on behalf of a
+// request may pass options.fallbackToken (the caller's own Google token) as
+// a last resort. Throws SheetsError on failure.
+export async function sheetFetch(url, options = {}) {
+  return sheetsJson(url, options)
 }
 
-// ── Sheet fetch — service account preferred, admin token fallback ─────
-async function sheetFetch(url, options = {}) {
-  // Primary: service account token (never expires, auto-refreshes)
-  let token = await getServiceToken()
+// Rows are read and written through createSheetTab() (cached 60 s). Writes
+// and deletes of existing users go through patchWhere() / removeWhere(), which
+// find the row fresh under the tab's lock — positions shift when a row above
+// is deleted.
+const usersTab = createSheetTab(USERS_TAB, USERS_HEADERS, { ttlMs: 60_000 })
 
-  // Fallback: admin's OAuth token (expires after ~60 min)
-  if (!token) {
-    token = adminEmail ? tokenStore.get(adminEmail) : null
-    if (!token) throw new Error('لا يوجد مشرف مسجل دخوله حالياً. سجّل دخولك مرة أخرى.')
-  }
+// ── Tab management ────────────────────────────────────────────────────
+// Tabs from older versions are brought up to date once, before usersTab
+// first reads them.
+let _tabMigrated = false
+let _cachedTabSheetId = undefined  // undefined = not fetched; null = tab missing
 
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      Authorization:  `Bearer ${token}`,
-      'Content-Type': 'application/json',
-      ...(options.headers || {}),
-    },
-  })
-
-  if (!res.ok) {
-    const body = await res.json().catch(() => ({}))
-    if (res.status === 401) adminEmail = null
-    throw new Error(body?.error?.message || `Sheets API error ${res.status}`)
+async function ensureTab({ token } = {}) {
+  if (!_tabMigrated) {
+    const meta = await sheetFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
+      { fallbackToken: token }
+    )
+    const existing = (meta.sheets || []).find(s => s.properties.title === USERS_TAB)
+    if (existing) {
+      _cachedTabSheetId = existing.properties.sheetId
+      await ensureColumns({ token })
+    }
+    _tabMigrated = true
   }
-  return res.json()
+  // Creates the tab when it is missing
+  await usersTab.ensure({ token })
 }
 
-// ── Tab management ────────────────────────────────────────────────────
-// Once we confirm the tab exists (or create it) we set this flag so
-// subsequent addUser() calls skip the redundant metadata round-trip.
-let _tabEnsured = false
-let _cachedTabSheetId = undefined  // undefined = not fetched; null = tab missing
-
-async function ensureTab() {
-  if (_tabEnsured) return  // skip network call after first successful check
+// "١٨/١٠/٢٠٢٦" (toLocaleDateString('ar-EG'), as older versions wrote addedAt)
+// → "2026-10-18". Anything else is returned as is.
+function legacyDateToIso(value) {
+  const latin = String(value).replace(/[\u0660-\u0669]/g, d => d.charCodeAt(0) - 0x0660).replace(/[\u200e\u200f]/g, '')
+  const m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(latin.trim())
+  return m ? `${m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}` : value
+}
 
-  const meta = await sheetFetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`
+// Tabs from older versions get the missing headers, back-filled ids and
+// sortable addedAt dates the first time we see them.
+async function ensureColumns({ token } = {}) {
+  const data = await sheetFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(a1Range(USERS_TAB, `A:${LAST_COLUMN}`))}`,
+    { fallbackToken: token }
   )
-  const existing = (meta.sheets || []).find(s => s.properties.title === USERS_TAB)
-  if (existing) {
-    _cachedTabSheetId = existing.properties.sheetId
-    _tabEnsured = true
-    return
-  }
+  const rows = data?.values || []
+  if (USERS_HEADERS.every((h, i) => rows[0]?.[i] === h)) return
 
-  await sheetFetch(`https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`, {
-    method: 'POST',
-    body: JSON.stringify({ requests: [{ addSheet: { properties: { title: USERS_TAB } } }] }),
-  })
   await sheetFetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(USERS_TAB + '!A1')}?valueInputOption=USER_ENTERED`,
-    { method: 'PUT', body: JSON.stringify({ values: [USERS_HEADERS] }) }
+    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(a1Range(USERS_TAB, `A1:${LAST_COLUMN}1`))}?valueInputOption=RAW`,
+    { method: 'PUT', fallbackToken: token, body: JSON.stringify({ values: [USERS_HEADERS] }) }
+  )
+  if (rows.length < 2) return
+  const filled = rows.slice(1).map(row => [legacyDateToIso(row[3] || ''), row[4] || newRowId()])
+  await sheetFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(a1Range(USERS_TAB, `D2:E${rows.length}`))}?valueInputOption=RAW`,
+    { method: 'PUT', fallbackToken: token, body: JSON.stringify({ values: filled }) }
   )
-  // Invalidate cached sheet ID so getUsersTabSheetId() re-fetches the new tab's ID
-  _cachedTabSheetId = undefined
-  _tabEnsured = true
 }
 
-async function readAllRows() {
-  const data = await sheetFetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(USERS_TAB + '!A:D')}`
-  )
-  if (!data?.values || data.values.length < 2) return []
-  return data.values.slice(1).map((row, i) => ({
-    __rowIndex: i + 2,
-    email:    (row[0] || '').toLowerCase().trim(),
-    role:      row[1] || 'user',
-    addedBy:   row[2] || '',
-    addedAt:   row[3] || '',
-  })).filter(u => u.email)
+const normalise = email => String(email || '').toLowerCase().trim()
+
+// A users-tab record → user, with __rowIndex
+const toUser = r => ({
+  __rowIndex:  r.__rowIndex,
+  email:       normalise(r.email),
+  role:        r.role || 'user',
+  addedBy:     r.addedBy || '',
+  addedAt:     r.addedAt || '',
+  id:          r.id || '',
+  name:        r.name || '',
+  picture:     r.picture || '',
+  disabled:    String(r.disabled || '').toUpperCase() === 'TRUE',
+  disabledAt:  r.disabledAt || '',
+  disabledBy:  r.disabledBy || '',
+  lastLoginAt: r.lastLoginAt || '',
+})
+
+async function readUsers({ fresh = false, token } = {}) {
+  await ensureTab({ token })
+  return (await usersTab.rows({ fresh, token })).map(toUser).filter(u => u.email)
 }
 
-// ── Cache ─────────────────────────────────────────────────────────────
-let cache     = null
-let cacheTime = 0
-const TTL_MS  = 60_000
+// Record matchers for patchWhere() / removeWhere()
+const byEmail    = email    => { const e = normalise(email); return r => e && normalise(r.email) === e }
+const byId       = id       => r => Boolean(id) && r.id === id && Boolean(normalise(r.email))
+// The user at a row position — and, given `email`, only while it is still that user
+const byRowIndex = (rowIndex, email) => r => r.__rowIndex === rowIndex && Boolean(normalise(r.email))
+  && (!email || normalise(r.email) === normalise(email))
 
-export async function refreshCache() {
+async function patchUsers(match, changes, { token } = {}) {
+  await ensureTab({ token })
+  return (await usersTab.patchWhere(match, changes, { token })).map(toUser)
+}
+
+async function removeUsers(match) {
   await ensureTab()
-  const rows = await readAllRows()
-  cache     = new Map(rows.map(u => [u.email, u]))
-  cacheTime = Date.now()
-  return rows
+  return (await usersTab.removeWhere(match)).map(toUser)
+}
+
+/** Every sheet user, read fresh (with __rowIndex). */
+export async function refreshCache() {
+  return readUsers({ fresh: true })
 }
 
 // ── Public API ────────────────────────────────────────────────────────
 
-/** Called at login time. Bootstrap admins/users always pass; others checked against sheet. */
-export async function lookupUser(email) {
-  const e = email.toLowerCase().trim()
+/**
+ * Called at login time and on every request. Bootstrap admins/users always
+ * pass; others are checked against the sheet. `token` is the caller's Google
+ * token, used to read the tab when neither the service account nor an admin
+ * token is available (a cold start).
+ */
+export async function lookupUser(email, { token } = {}) {
+  const e = normalise(email)
 
   if (_bootstrapAdmins.includes(e)) return { email: e, role: 'admin' }
 
   // Bootstrap users — defined in USER_EMAILS env var, always have role 'user'
   if (_bootstrapUsers.includes(e)) return { email: e, role: 'user' }
 
-  // Need a valid token (service account or admin) to read the sheet
-  if (!(await isReady())) {
+  // Need a valid token (service account, admin or the caller's) to read the sheet
+  if (!(await isReady({ token }))) {
     return null
   }
 
-  if (!cache || Date.now() - cacheTime > TTL_MS) await refreshCache()
-  return cache?.get(e) || null
+  return (await readUsers({ token })).find(u => u.email === e) || null
 }
 
 export async function getAllUsers() {
-  if (!cache || Date.now() - cacheTime > TTL_MS) await refreshCache()
-
-  const sheetUsers  = cache ? [...cache.values()] : []
+  const sheetUsers  = await readUsers()
   const sheetEmails = new Set(sheetUsers.map(u => u.email))
   const envAdmins   = _bootstrapAdmins
     .filter(e => !sheetEmails.has(e))
-    .map(e => ({ email: e, role: 'admin', addedBy: 'env', addedAt: '' }))
+    .map(e => ({ email: e, role: 'admin', addedBy: 'env', addedAt: '', disabled: false }))
   const envUsers    = _bootstrapUsers
     .filter(e => !sheetEmails.has(e) && !_bootstrapAdmins.includes(e))
-    .map(e => ({ email: e, role: 'user', addedBy: 'env', addedAt: '' }))
+    .map(e => ({ email: e, role: 'user', addedBy: 'env', addedAt: '', disabled: false }))
   const envOnly = [...envAdmins, ...envUsers]
 
   return [...envOnly, ...sheetUsers]
 }
 
-export async function addUser(email, role, addedBy) {
-  const e = email.toLowerCase().trim()
-  await ensureTab()
-  const now = new Date().toLocaleDateString('ar-EG')
-  await sheetFetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(USERS_TAB + '!A:D')}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`,
-    { method: 'POST', body: JSON.stringify({ values: [[e, role, addedBy, now]] }) }
-  )
-  cache = null
+export async function addUser(email, role, addedBy, { token } = {}) {
+  await ensureTab({ token })
+  await usersTab.append({
+    email: normalise(email), role, addedBy, addedAt: new Date().toISOString(), id: newRowId(),
+  }, { token })
 }
 
-export async function removeUser(rowIndex, tabSheetId) {
-  await sheetFetch(`https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`, {
-    method: 'POST',
-    body: JSON.stringify({
-      requests: [{ deleteDimension: {
-        range: { sheetId: tabSheetId, dimension: 'ROWS', startIndex: rowIndex - 1, endIndex: rowIndex },
-      }}],
-    }),
-  })
-  cache = null
+/**
+ * Delete the user at a row position (legacy routes); pass `email` to delete
+ * only if that user is still there. Returns the removed user, or null.
+ */
+export async function removeUser(rowIndex, { email } = {}) {
+  const [user] = await removeUsers(byRowIndex(rowIndex, email))
+  return user || null
 }
 
-export async function updateUserRole(rowIndex, role) {
-  await sheetFetch(
-    `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(USERS_TAB + '!B' + rowIndex)}?valueInputOption=USER_ENTERED`,
-    { method: 'PUT', body: JSON.stringify({ values: [[role]] }) }
-  )
-  cache = null
+/**
+ * Change the role of the user at a row position (legacy routes); `email` as
+ * for removeUser(). Returns the user as it was, or null.
+ */
+export async function updateUserRole(rowIndex, role, { email } = {}) {
+  const [user] = await patchUsers(byRowIndex(rowIndex, email), { role })
+  return user || null
+}
+
+/**
+ * Resolve a user's current row from their stable id. Always reads fresh —
+ * a cached position may be stale after another admin deleted a row.
+ * Returns the user record (with __rowIndex), or null.
+ */
+export async function findUserById(id) {
+  const rows = await refreshCache()
+  return rows.find(u => u.id === id) || null
+}
+
+export async function removeUserById(id) {
+  return (await removeUsers(byId(id))).length > 0
+}
+
+export async function updateUserRoleById(id, role) {
+  return (await patchUsers(byId(id), { role })).length > 0
+}
+
+/** A sheet user by email, read fresh (with __rowIndex), or null. Bootstrap-only users have no row. */
+export async function findUserByEmail(email) {
+  const e = normalise(email)
+  const rows = await refreshCache()
+  return rows.find(u => u.email === e) || null
+}
+
+export async function removeUserByEmail(email) {
+  return (await removeUsers(byEmail(email))).length > 0
+}
+
+/**
+ * Change a user's role and/or disabled state: changes = { role?, disabled? }.
+ * `by` is recorded as disabledBy. Returns the updated record, or null.
+ */
+export async function updateUserByEmail(email, { role, disabled } = {}, by = '') {
+  const now = new Date().toISOString()
+  // Decided on the row as it is right before the write
+  const changesFor = user => {
+    const changes = {}
+    if (role !== undefined) changes.role = role
+    if (disabled === true && !user.disabled) {
+      Object.assign(changes, { disabled: 'TRUE', disabledAt: now, disabledBy: by })
+    }
+    if (disabled === false && user.disabled) {
+      Object.assign(changes, { disabled: '', disabledAt: '', disabledBy: '' })
+    }
+    return changes
+  }
+  const [user] = await patchUsers(byEmail(email), r => changesFor(toUser(r)))
+  if (!user) return null
+  const changes = changesFor(user)
+  return { ...user, ...changes, disabled: changes.disabled === undefined ? user.disabled : changes.disabled === 'TRUE' }
+}
+
+/**
+ * Note a login on the user's row: display name, picture and lastLoginAt.
+ * Bootstrap-only users have no row and are skipped.
+ */
+export async function recordUserLogin(email, { name = '', picture = '' } = {}, { token } = {}) {
+  await patchUsers(byEmail(email), { name, picture, lastLoginAt: new Date().toISOString() }, { token })
 }
 
 export async function getUsersTabSheetId() {
@@ -199,9 +286,13 @@ export async function getUsersTabSheetId() {
   return _cachedTabSheetId
 }
 
-/** True if we have a valid token to access sheets (service account or admin). */
-export async function isReady() {
-  const saToken = await getServiceToken()
-  if (saToken) return true
-  return !!(adminEmail && tokenStore.get(adminEmail))
+/** True if `email` comes from ADMIN_EMAILS / USER_EMAILS — known without the sheet. */
+export function isBootstrapUser(email) {
+  const e = String(email || '').toLowerCase().trim()
+  return _bootstrapAdmins.includes(e) || _bootstrapUsers.includes(e)
+}
+
+/** True if we have a token to access sheets: the service account, an admin's, or the caller's own `token`. */
+export async function isReady({ token } = {}) {
+  return Boolean(token) || hasServerToken()
 }
\ No newline at end of file
@@ -0,0 +1,186 @@
+// config/webhookDelivery.js
+//
+// Sends webhook deliveries (webhooks and the delivery log: config/webhookStore.js).
+//
+// A row change becomes one delivery per matching webhook. Deliveries are
+// logged as "pending" first, then sent in the background — the API response
+// does not wait for receivers. A failed attempt (network error, timeout or a
+// non-2xx answer) is retried after each of RETRY_DELAYS_MS in turn; after the
+// last one the delivery is "failed". Failed deliveries can be replayed
+// (POST /api/webhooks/deliveries/:id/replay). Retries are timers in this
+// process, so on serverless hosts a delivery can be left "pending" when the
+// instance is frozen; replay those the same way.
+//
+// Every POST carries:
+//   X-Elbob-Event:     row.created | row.updated | row.deleted
+//   X-Elbob-Delivery:  the delivery id (unchanged on retries and replays)
+//   X-Elbob-Timestamp: Unix seconds when this attempt was signed
+//   X-Elbob-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>", keyed with the webhook secret>
+
+import { createHmac, randomUUID } from 'crypto'
+import { ROW_ID_HEADER } from '../lib/rowIds.js'
+import {
+  webhooksFor, getWebhookForDelivery, getDelivery, addDeliveries, updateDeliveries, checkWebhookHost,
+} from './webhookStore.js'
+
+const RETRY_DELAYS_MS = [10_000, 60_000, 5 * 60_000, 30 * 60_000]
+const MAX_ATTEMPTS    = RETRY_DELAYS_MS.length + 1
+const TIMEOUT_MS      = 10_000
+const MAX_ERROR_CHARS = 300
+
+const eventOf = ({ before, after }) => (!before ? 'row.created' : !after ? 'row.deleted' : 'row.updated')
+
+// header + values → { header: value }, skipping blank headers
+function toRecord(header, values) {
+  if (!values) return null
+  return Object.fromEntries(header.map((h, i) => [h, values[i] ?? '']).filter(([h]) => h))
+}
+
+/** The signature headers for `body`, signed now with `secret`. */
+export function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  return { 'X-Elbob-Timestamp': String(timestamp), 'X-Elbob-Signature': `sha256=${signature}` }
+}
+
+// One POST. Returns the changes to write to the delivery's log row.
+async function attempt(delivery, webhook) {
+  const attempts = (Number(delivery.attempts) || 0) + 1
+  const base     = { attempts, lastAttemptAt: new Date().toISOString(), nextAttemptAt: '' }
+  if (!webhook)        return { ...base, status: 'failed', lastStatus: '', lastError: 'The webhook no longer exists' }
+  if (!webhook.secret) return { ...base, status: 'failed', lastStatus: '', lastError: 'The signing secret can no longer be decrypted — rotate it' }
+
+  // The host may have started resolving to a private address since the webhook was saved
+  const hostError = await checkWebhookHost(webhook.url)
+  if (hostError) return { ...base, status: 'failed', lastStatus: '', lastError: hostError }
+
+  try {
+    const res = await fetch(webhook.url, {
+      method:   'POST',
+      redirect: 'manual',
+      signal:   AbortSignal.timeout(TIMEOUT_MS),
+      headers:  {
+        'Content-Type':     'application/json',
+        'User-Agent':       'Elbob-Webhooks/1',
+        'X-Elbob-Event':    delivery.event,
+        'X-Elbob-Delivery': delivery.id,
+        ...signatureHeaders(webhook.secret, delivery.payload),
+      },
+      body: delivery.payload,
+    })
+    await res.arrayBuffer().catch(() => {})
+    if (res.status >= 200 && res.status < 300) {
+      return { ...base, status: 'delivered', lastStatus: res.status, lastError: '', deliveredAt: base.lastAttemptAt }
+    }
+    return { ...base, status: 'failed', lastStatus: res.status, lastError: `Receiver answered ${res.status}` }
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS / 1000}s` : err.message
+    return { ...base, status: 'failed', lastStatus: '', lastError: String(message).slice(0, MAX_ERROR_CHARS) }
+  }
+}
+
+// A failed attempt with retries left stays "pending" until the next one.
+// Retrying can't help when the webhook or its secret is gone.
+function withRetry(changes, webhook) {
+  if (changes.status !== 'failed' || changes.attempts >= MAX_ATTEMPTS || !webhook?.secret) return changes
+  const delay = RETRY_DELAYS_MS[changes.attempts - 1]
+  return { ...changes, status: 'pending', nextAttemptAt: new Date(Date.now() + delay).toISOString() }
+}
+
+// Retries re-read the delivery and its webhook: one replayed in the meantime
+// is left alone, and a changed URL or secret (or a removed webhook) applies.
+function scheduleRetry({ id, nextAttemptAt }, { token }) {
+  const delay = new Date(nextAttemptAt).getTime() - Date.now()
+  setTimeout(async () => {
+    try {
+      const delivery = await getDelivery(id, { token })
+      if (delivery?.status !== 'pending') return
+      const webhook = await getWebhookForDelivery(delivery.webhookId, { token })
+      const changes = withRetry(await attempt(delivery, webhook), webhook)
+      Object.assign(delivery, changes)
+      await updateDeliveries([{ delivery, changes }], { token })
+      if (changes.status === 'pending') scheduleRetry(delivery, { token })
+    } catch (err) {
+      console.error('[webhooks] Retry failed:', err.message)
+    }
+  }, Math.max(0, delay)).unref()
+}
+
+// First attempt for a batch of new deliveries, one after another, then one
+// write for all their results.
+async function sendAll(pairs, { token }) {
+  const results = []
+  for (const [delivery, webhook] of pairs) {
+    const changes = withRetry(await attempt(delivery, webhook), webhook)
+    Object.assign(delivery, changes)
+    results.push({ delivery, changes })
+  }
+  await updateDeliveries(results, { token })
+  for (const [delivery] of pairs) {
+    if (delivery.status === 'pending') scheduleRetry(delivery, { token })
+  }
+}
+
+/**
+ * Queue webhooks for row changes on one tab.
+ * `changes` is [{ row, before, after }] (row = rowIndex, before/after = values
+ * or null); `header` is the tab's header row, or an async function returning
+ * it — only called when some webhook wants the change. `actor` is
+ * { email, role }. Resolves once the deliveries are logged; never throws.
+ */
+export async function dispatchRowChanges({ workspace, tab, actor, header, changes }, { token } = {}) {
+  try {
+    const events = [...new Set(changes.map(eventOf))]
+    const hooks  = new Map(await Promise.all(events.map(async e => [e, await webhooksFor(workspace, tab, e, { token })])))
+    const wanted = changes.flatMap(change => hooks.get(eventOf(change)).map(webhook => ({ change, webhook })))
+    if (wanted.length === 0) return
+
+    const head       = (typeof header === 'function' ? await header() : header) || []
+    const occurredAt = new Date().toISOString()
+    const deliveries = await addDeliveries(wanted.map(({ change, webhook }) => {
+      const id     = randomUUID()
+      const event  = eventOf(change)
+      const values = change.after || change.before
+      const idAt   = head.indexOf(ROW_ID_HEADER)
+      return {
+        id,
+        webhookId: webhook.id,
+        event,
+        workspace,
+        tab,
+        row:       change.row ?? '',
+        payload:   JSON.stringify({
+          id,    // the delivery id, for receivers to drop duplicates
+          event,
+          occurredAt,
+          workspace,
+          tab,
+          actor,
+          row: {
+            rowIndex: change.row ?? null,
+            id:       idAt === -1 ? null : values[idAt] || null,
+            values,
+            record:   toRecord(head, values),
+            ...(event === 'row.updated' ? { before: toRecord(head, change.before) } : {}),
+          },
+        }),
+      }
+    }), { token })
+
+    sendAll(deliveries.map((d, i) => [d, wanted[i].webhook]), { token })
+      .catch(err => console.error('[webhooks] Delivery failed:', err.message))
+  } catch (err) {
+    console.error('[webhooks] Could not queue deliveries:', err.message)
+  }
+}
+
+/**
+ * Send a logged delivery again, now, once. `delivery` is a raw log row
+ * (getDelivery / findDeliveries). Resolves to its new state; a failure is
+ * final ("failed") — there are no automatic retries after a replay.
+ */
+export async function replayDelivery(delivery, { token } = {}) {
+  const webhook = await getWebhookForDelivery(delivery.webhookId, { token })
+  const changes = await attempt(delivery, webhook)
+  await updateDeliveries([{ delivery, changes }], { token })
+  return { ...delivery, ...changes }
+}
@@ -0,0 +1,301 @@
+// config/webhookStore.js
+//
+// Outbound webhooks: URLs that receive a signed JSON POST when rows change
+// through the sheets routes. Sending is config/webhookDelivery.js.
+//
+// Sheet tab "الويب هوك" columns: id | url | tabs | events | secret | description
+//   | active | createdBy | createdAt | updatedAt | workspace
+// A webhook only sees changes in its `workspace` (config/workspaceStore.js);
+// rows from before workspaces existed (empty) belong to "main". `tabs` is a comma-separated list of tab names ("*" = every data tab; system
+// tabs only when named) and `events` a comma-separated subset of
+// WEBHOOK_EVENTS ("*" = all). `secret` is the signing secret encrypted with
+// WEBHOOK_SECRET_KEY (tokenStore.encryptSecret()); the plain secret is shown
+// once, when the webhook is created or its secret rotated. Secrets of older
+// webhooks, encrypted with the JWT keyring, are re-encrypted with
+// WEBHOOK_SECRET_KEY the first time an instance reads them.
+//
+// URLs must not point at private, loopback or link-local addresses
+// (checkWebhookHost(), also checked before every send) unless
+// WEBHOOK_ALLOW_PRIVATE_HOSTS is "true", for local development.
+//
+// Sheet tab "تسليمات الويب هوك" columns: id | webhookId | event | workspace | tab
+//   | row | status | attempts | lastStatus | lastError | nextAttemptAt | payload
+//   | createdAt | lastAttemptAt | deliveredAt
+// One row per change and webhook. `status` is pending, delivered or failed;
+// `payload` is the exact body that is sent (and signed) on every attempt.
+// Rows older than WEBHOOK_DELIVERY_DAYS (default 14; 0 = keep forever) are
+// deleted automatically, at most once an hour per instance, when deliveries
+// are logged or listed. Updates find their row by id, so rows may be deleted.
+
+import { randomBytes, randomUUID } from 'crypto'
+import { lookup } from 'dns/promises'
+import { BlockList, isIP } from 'net'
+import { createSheetTab, systemTabs } from './sheetTab.js'
+import { tokenStore } from './tokenStore.js'
+import { webhookKey } from './keyring.js'
+import { MAIN_WORKSPACE } from './workspaceStore.js'
+
+export const WEBHOOKS_TAB   = 'الويب هوك'
+export const DELIVERIES_TAB = 'تسليمات الويب هوك'
+export const WEBHOOK_EVENTS = ['row.created', 'row.updated', 'row.deleted']
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'failed']
+export const WEBHOOK_DELIVERY_DAYS = Number(process.env.WEBHOOK_DELIVERY_DAYS ?? 14)
+
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+const LOCAL_HOSTS         = ['localhost', '127.0.0.1', '[::1]']
+const PRUNE_INTERVAL_MS   = 60 * 60_000
+
+// Addresses a webhook may not reach: "this" network, private, carrier-grade
+// NAT, loopback, link-local, benchmarking, multicast and reserved ranges, and
+// their IPv6 counterparts. BlockList checks IPv4-mapped IPv6 addresses
+// against the IPv4 ranges.
+const PRIVATE_RANGES = new BlockList()
+for (const [net, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) PRIVATE_RANGES.addSubnet(net, prefix, 'ipv4')
+for (const [net, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) PRIVATE_RANGES.addSubnet(net, prefix, 'ipv6')
+
+const isPrivateAddress = address => PRIVATE_RANGES.check(address, isIP(address) === 6 ? 'ipv6' : 'ipv4')
+const hostOf           = url => new URL(url).hostname.replace(/^\[|\]$/g, '')
+const PRIVATE_HOST     = 'url must not point at a private, loopback or link-local address'
+
+const webhooksTab = createSheetTab(WEBHOOKS_TAB, [
+  'id', 'url', 'tabs', 'events', 'secret', 'description', 'active', 'createdBy', 'createdAt', 'updatedAt', 'workspace',
+], { ttlMs: 30_000 })
+
+const deliveriesTab = createSheetTab(DELIVERIES_TAB, [
+  'id', 'webhookId', 'event', 'workspace', 'tab', 'row', 'status', 'attempts', 'lastStatus', 'lastError',
+  'nextAttemptAt', 'payload', 'createdAt', 'lastAttemptAt', 'deliveredAt',
+])
+
+const toList    = v => String(v ?? '').split(',').map(s => s.trim()).filter(Boolean)
+const newSecret = () => `whsec_${randomBytes(32).toString('base64url')}`
+
+// The public view of a webhook row: lists as arrays, no secret.
+const toWebhook = ({ __rowIndex, secret, tabs, events, active, workspace, ...record }) => ({
+  ...record, workspace: workspace || MAIN_WORKSPACE, tabs: toList(tabs), events: toList(events), active: active !== 'FALSE',
+})
+
+/** Check a webhook definition. Returns an error message or null. */
+export function checkWebhook({ url, tabs, events, description, active, workspace } = {}, { creating = false } = {}) {
+  if (creating || url !== undefined) {
+    let parsed
+    try { parsed = new URL(url) } catch { return 'url must be an absolute URL' }
+    const local = ALLOW_PRIVATE_HOSTS && parsed.protocol === 'http:' && LOCAL_HOSTS.includes(parsed.hostname)
+    if (parsed.protocol !== 'https:' && !local) return 'url must use https'
+    if (!ALLOW_PRIVATE_HOSTS) {
+      const host = hostOf(url)
+      if (host === 'localhost' || host.endsWith('.localhost') || (isIP(host) && isPrivateAddress(host))) return PRIVATE_HOST
+    }
+  }
+  if (creating || tabs !== undefined) {
+    if (!Array.isArray(tabs) || tabs.length === 0) return 'tabs must be a non-empty array of tab names, or ["*"]'
+    if (tabs.some(t => typeof t !== 'string' || !t.trim() || t.includes(','))) return 'tab names must be non-empty strings without commas'
+  }
+  if (creating || events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')} or "*"`
+    const unknown = events.find(e => e !== '*' && !WEBHOOK_EVENTS.includes(e))
+    if (unknown) return `Unknown event "${unknown}" — use any of ${WEBHOOK_EVENTS.join(', ')} or "*"`
+  }
+  if (description !== undefined && typeof description !== 'string') return 'description must be a string'
+  if (workspace !== undefined && (typeof workspace !== 'string' || !workspace.trim())) return 'workspace must be a workspace id'
+  if (active !== undefined && typeof active !== 'boolean') return 'active must be true or false'
+  return null
+}
+
+/**
+ * Check where a webhook URL (one that passed checkWebhook()) resolves to.
+ * Returns an error message or null; never throws.
+ */
+export async function checkWebhookHost(url) {
+  if (ALLOW_PRIVATE_HOSTS) return null
+  const host = hostOf(url)
+  let addresses
+  try {
+    addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true })
+  } catch {
+    return `url host "${host}" does not resolve`
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address)) ? PRIVATE_HOST : null
+}
+
+let secretsMigrated = false
+
+/**
+ * Re-encrypt secrets still encrypted with the JWT keyring with
+ * WEBHOOK_SECRET_KEY, once per instance, before those keys are retired.
+ * Never throws — they stay readable as long as their keyring key exists.
+ */
+async function migrateSecrets(rows, { token } = {}) {
+  if (secretsMigrated || !webhookKey()) return
+  const stale = r => r.id && r.secret && !tokenStore.isSecretBlob(r.secret) && tokenStore.decryptSecret(r.secret)
+  try {
+    if (rows.some(stale)) {
+      const done = await webhooksTab.patchWhere(stale, r => ({ secret: tokenStore.encryptSecret(tokenStore.decryptSecret(r.secret)) }), { token })
+      console.log(`[webhooks] Re-encrypted ${done.length} signing secret(s) with WEBHOOK_SECRET_KEY`)
+    }
+    secretsMigrated = true
+  } catch (err) {
+    console.error('[webhooks] Could not re-encrypt signing secrets:', err.message)
+  }
+}
+
+// A new secret, encrypted — throws (503) when there is no key to encrypt it with.
+function sealedSecret() {
+  const secret = newSecret()
+  const sealed = tokenStore.encryptSecret(secret)
+  if (!sealed) {
+    throw Object.assign(new Error('Set WEBHOOK_SECRET_KEY to create webhooks or rotate their secrets'),
+      { status: 503, code: 'WEBHOOK_KEY_MISSING' })
+  }
+  return { secret, sealed }
+}
+
+/** Every webhook, oldest first. Secrets are never returned. */
+export async function listWebhooks({ token } = {}) {
+  const rows = await webhooksTab.rows({ token, fresh: true })
+  await migrateSecrets(rows, { token })
+  return rows.filter(r => r.id).map(toWebhook)
+}
+
+/**
+ * Active webhooks of `workspace` wanting `event` on `tab`, as { ...webhook, secret }
+ * where secret is the plain signing secret (null if it can no longer be decrypted).
+ */
+export async function webhooksFor(workspace, tab, event, { token } = {}) {
+  const rows = await webhooksTab.rows({ token })
+  await migrateSecrets(rows, { token })
+  return rows
+    .filter(r => r.id && r.active !== 'FALSE' && (r.workspace || MAIN_WORKSPACE) === workspace)
+    .filter(r => { const t = toList(r.tabs); return t.includes(tab) || (t.includes('*') && !systemTabs().includes(tab)) })
+    .filter(r => { const e = toList(r.events); return e.includes('*') || e.includes(event) })
+    .map(r => ({ ...toWebhook(r), secret: tokenStore.decryptSecret(r.secret) }))
+}
+
+/** A webhook with its plain secret (see webhooksFor), or null. */
+export async function getWebhookForDelivery(id, { token } = {}) {
+  const row = (await webhooksTab.rows({ token })).find(r => r.id === id)
+  return row ? { ...toWebhook(row), secret: tokenStore.decryptSecret(row.secret) } : null
+}
+
+/**
+ * Create a webhook. The definition must have passed checkWebhook() and
+ * checkWebhookHost(). Returns { secret, webhook } — the secret is not shown
+ * again.
+ */
+export async function createWebhook({ url, tabs, events, description = '', workspace = MAIN_WORKSPACE }, createdBy) {
+  const { secret, sealed } = sealedSecret()
+  const now = new Date().toISOString()
+  const record = {
+    id:        randomBytes(6).toString('hex'),
+    url,
+    tabs:      tabs.map(t => t.trim()).join(', '),
+    events:    [...new Set(events)].join(', '),
+    secret:    sealed,
+    description,
+    active:    'TRUE',
+    createdBy,
+    createdAt: now,
+    updatedAt: now,
+    workspace,
+  }
+  await webhooksTab.append(record)
+  return { secret, webhook: toWebhook(record) }
+}
+
+/** Change a webhook's url, workspace, tabs, events, description or active flag. Returns it, or null if unknown. */
+export async function updateWebhook(id, { url, workspace, tabs, events, description, active }) {
+  const changes = { updatedAt: new Date().toISOString() }
+  if (url !== undefined)         changes.url         = url
+  if (workspace !== undefined)   changes.workspace   = workspace
+  if (tabs !== undefined)        changes.tabs        = tabs.map(t => t.trim()).join(', ')
+  if (events !== undefined)      changes.events      = [...new Set(events)].join(', ')
+  if (description !== undefined) changes.description = description
+  if (active !== undefined)      changes.active      = active ? 'TRUE' : 'FALSE'
+  const [row] = await webhooksTab.patchWhere(r => r.id === id, changes)
+  return row ? toWebhook({ ...row, ...changes }) : null
+}
+
+/** Replace a webhook's signing secret. Returns { secret, webhook }, or null if unknown. */
+export async function rotateWebhookSecret(id) {
+  const { secret, sealed } = sealedSecret()
+  const changes = { secret: sealed, updatedAt: new Date().toISOString() }
+  const [row]   = await webhooksTab.patchWhere(r => r.id === id, changes)
+  return row ? { secret, webhook: toWebhook({ ...row, ...changes }) } : null
+}
+
+/** Remove a webhook. Its delivery log stays. Returns it, or null if unknown. */
+export async function removeWebhook(id) {
+  const [row] = await webhooksTab.removeWhere(r => r.id === id)
+  return row ? toWebhook(row) : null
+}
+
+// ── Delivery log ─────────────────────────────────────────────────────
+
+/** The public view of a delivery row. `payload` is parsed back into an object. */
+export function toDelivery({ __rowIndex, payload, attempts, lastStatus, ...record }) {
+  let body = null
+  try { body = JSON.parse(payload) } catch { /* left null */ }
+  return { ...record, attempts: Number(attempts) || 0, lastStatus: lastStatus ? Number(lastStatus) : null, payload: body }
+}
+
+let lastPrune = 0
+
+/**
+ * Delete log rows older than WEBHOOK_DELIVERY_DAYS, at most once per
+ * PRUNE_INTERVAL_MS. Never throws — the log just stays longer until the next try.
+ */
+async function pruneDeliveries({ token } = {}) {
+  if (!WEBHOOK_DELIVERY_DAYS || Date.now() - lastPrune < PRUNE_INTERVAL_MS) return
+  lastPrune = Date.now()
+  try {
+    const cutoff = Date.now() - WEBHOOK_DELIVERY_DAYS * 86_400_000
+    const pruned = await deliveriesTab.removeWhere(r => r.id && new Date(r.createdAt).getTime() < cutoff, { token })
+    if (pruned.length === 0) return
+    console.log(`[webhooks] Pruned ${pruned.length} delivery row(s) older than ${WEBHOOK_DELIVERY_DAYS} days`)
+  } catch (err) {
+    console.error('[webhooks] Delivery prune failed:', err.message)
+  }
+}
+
+/** Log new deliveries (status "pending"). Each record gets its id filled in. */
+export async function addDeliveries(records, { token } = {}) {
+  const createdAt = new Date().toISOString()
+  for (const r of records) Object.assign(r, { id: r.id || randomUUID(), status: 'pending', attempts: 0, createdAt })
+  await deliveriesTab.append(records, { token })
+  pruneDeliveries({ token })
+  return records
+}
+
+/**
+ * Write changes to logged deliveries: [{ delivery, changes }]. Rows are found
+ * by delivery id right before the write; pruned ones are skipped.
+ */
+export async function updateDeliveries(list, { token } = {}) {
+  const changesById = new Map(list.map(({ delivery, changes }) => [delivery.id, changes]))
+  await deliveriesTab.patchWhere(r => changesById.has(r.id), r => changesById.get(r.id), { token })
+}
+
+/** A logged delivery by id — the raw row (payload as sent), or null. */
+export async function getDelivery(id, { token } = {}) {
+  return (await deliveriesTab.rows({ token, fresh: true })).find(r => r.id === id) || null
+}
+
+/** Logged deliveries as raw rows, newest first. Filters: webhookId, status, tab. */
+export async function findDeliveries({ webhookId, status, tab, limit = 100, token } = {}) {
+  await pruneDeliveries({ token })
+  const rows = await deliveriesTab.rows({ token, fresh: true })
+  return rows
+    .filter(r => r.id)
+    .filter(r => (!webhookId || r.webhookId === webhookId) && (!status || r.status === status) && (!tab || r.tab === tab))
+    .reverse()
+    .slice(0, limit)
+}
+
+/** findDeliveries(), in their public form. */
+export async function listDeliveries(filters) {
+  return (await findDeliveries(filters)).map(toDelivery)
+}
@@ -0,0 +1,105 @@
+// config/workspaceStore.js
+//
+// Workspaces: one spreadsheet each (a branch, say), reached through the same
+// /api/sheets/* routes. The spreadsheet in SHEET_ID is the built-in "main"
+// workspace, and it keeps every config tab (users, roles, permissions,
+// schemas, audit log, ...) — those apply across all workspaces.
+//
+// Sheet tab "مساحات العمل" columns: id | name | spreadsheetId | members | createdBy | createdAt
+// `members` lists roles and/or emails, comma-separated ("*" = every signed-in
+// user). Admins can use every workspace. "main" is open to everyone.
+//
+// A request's workspace is its X-Workspace header, else the one picked at
+// login (the `workspace` claim of the access JWT), else "main".
+
+import { createSheetTab } from './sheetTab.js'
+import { sheetFetch } from './userStore.js'
+import { ADMIN_ROLE } from './roleStore.js'
+
+export const WORKSPACES_TAB = 'مساحات العمل'
+export const MAIN_WORKSPACE = 'main'
+
+const WORKSPACE_ID_RE = /^[a-z][a-z0-9-]{1,31}$/
+const SPREADSHEET_RE  = /^[\w-]{20,100}$/
+
+const workspacesTab = createSheetTab(WORKSPACES_TAB, [
+  'id', 'name', 'spreadsheetId', 'members', 'createdBy', 'createdAt',
+], { ttlMs: 30_000 })
+
+const toList = v => String(v ?? '').split(',').map(m => m.trim().toLowerCase()).filter(Boolean)
+
+const MAIN = {
+  id: MAIN_WORKSPACE, name: 'Main', spreadsheetId: process.env.SHEET_ID, members: ['*'],
+  createdBy: 'env', createdAt: '', builtIn: true,
+}
+
+const toWorkspace = ({ __rowIndex, members, ...record }) => ({ ...record, members: toList(members), builtIn: false })
+
+/** Check a workspace definition. Returns an error message or null. */
+export function checkWorkspace({ id, name, spreadsheetId, members } = {}, { creating = false } = {}) {
+  if (creating && !WORKSPACE_ID_RE.test(String(id))) return 'id must be 2–32 lower-case letters, digits or "-", starting with a letter'
+  if (creating && id === MAIN_WORKSPACE) return '"main" is the built-in workspace (SHEET_ID)'
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return 'name must be a non-empty string'
+  if (spreadsheetId !== undefined && !SPREADSHEET_RE.test(String(spreadsheetId))) return 'spreadsheetId is not a valid spreadsheet ID'
+  if (members !== undefined && !Array.isArray(members)) return 'members must be an array of roles and/or emails'
+  return null
+}
+
+/** Every workspace, "main" first. */
+export async function getWorkspaces({ token } = {}) {
+  const rows = await workspacesTab.rows({ token })
+  return [MAIN, ...rows.filter(r => r.id && r.id !== MAIN_WORKSPACE).map(toWorkspace)]
+}
+
+/** A workspace by id, or null. */
+export async function getWorkspace(id, { token } = {}) {
+  if (!id || id === MAIN_WORKSPACE) return MAIN
+  return (await getWorkspaces({ token })).find(w => w.id === id) || null
+}
+
+/** Can `user` (JWT payload or API-key user) work in `workspace`? */
+export function isMember(workspace, user) {
+  if (!workspace || !user) return false
+  if (user.role === ADMIN_ROLE) return true
+  const m = workspace.members
+  return m.includes('*') || m.includes(String(user.role).toLowerCase()) || m.includes(String(user.email).toLowerCase())
+}
+
+/**
+ * Create a workspace. Without a spreadsheetId a new spreadsheet is created
+ * (owned by whoever the Sheets calls run as — usually the service account).
+ * A given spreadsheetId is read once to check we can reach it.
+ */
+export async function createWorkspace({ id, name, spreadsheetId, members = [] }, createdBy) {
+  if (spreadsheetId) {
+    await sheetFetch(`https://sheets.googleapis.com/v4/spreadsheets/${spreadsheetId}?fields=spreadsheetId`)
+  } else {
+    const created = await sheetFetch('https://sheets.googleapis.com/v4/spreadsheets', {
+      method: 'POST',
+      body:   JSON.stringify({ properties: { title: name } }),
+    })
+    spreadsheetId = created.spreadsheetId
+  }
+
+  const record = {
+    id, name: name.trim(), spreadsheetId, members: members.join(', '),
+    createdBy, createdAt: new Date().toISOString(),
+  }
+  await workspacesTab.append(record)
+  return toWorkspace(record)
+}
+
+/** Rename a workspace or change its members. Returns it, or null if unknown. */
+export async function updateWorkspace(id, { name, members }) {
+  const changes = {}
+  if (name !== undefined)    changes.name    = name.trim()
+  if (members !== undefined) changes.members = members.join(', ')
+  const [row] = await workspacesTab.patchWhere(r => r.id === id, changes)
+  return row ? toWorkspace({ ...row, ...changes }) : null
+}
+
+/** Unlink a workspace. The spreadsheet itself is left alone. */
+export async function removeWorkspace(id) {
+  const [row] = await workspacesTab.removeWhere(r => r.id === id)
+  return row ? toWorkspace(row) : null
+}
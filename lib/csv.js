@@ -0,0 +1,54 @@
+// lib/csv.js
+//
+// Minimal RFC 4180 CSV helpers — no dependency needed for this much.
+
+// Excel runs cells starting with these as formulas ("CSV injection").
+// Negative numbers are left alone. Also used to keep imported cells as text.
+export const FORMULA_START = /^[=+@\t\r]|^-(?![\d.])/
+
+/** Byte-order mark: makes Excel open UTF-8 files (Arabic headers) correctly. */
+export const BOM = '\uFEFF'
+
+/** One CSV line (CRLF-terminated) from an array of cell values. */
+export function toCsvRow(values) {
+  return values.map(v => {
+    let cell = v === null || v === undefined ? '' : String(v)
+    if (FORMULA_START.test(cell)) cell = `'${cell}`
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell
+  }).join(',') + '\r\n'
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes, CRLF / LF line endings and a leading
+ * BOM. Completely empty lines are dropped.
+ */
+export function parseCsv(text) {
+  const src  = text.startsWith(BOM) ? text.slice(1) : text
+  const rows = []
+  let row    = []
+  let cell   = ''
+  let quoted = false
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i]
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else cell += ch
+    } else if (ch === '"' && cell === '') {
+      quoted = true
+    } else if (ch === ',') {
+      row.push(cell); cell = ''
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++
+      row.push(cell); cell = ''
+      rows.push(row); row = []
+    } else {
+      cell += ch
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row) }
+
+  return rows.filter(r => r.some(c => c !== ''))
+}
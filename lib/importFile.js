@@ -0,0 +1,51 @@
+// lib/importFile.js
+//
+// Turns an uploaded CSV or XLSX file into rows of text cells, ready to be
+// mapped onto a tab's headers by POST /api/sheets/import.
+
+import ExcelJS      from 'exceljs'
+import { parseCsv } from './csv.js'
+
+export const IMPORT_FORMATS = ['csv', 'xlsx']
+
+/** Work out the upload format from ?format=, the Content-Type, or the file's magic bytes. */
+export function detectFormat(buffer, contentType = '', explicit) {
+  if (explicit) return IMPORT_FORMATS.includes(explicit) ? explicit : null
+  if (contentType.includes('spreadsheetml')) return 'xlsx'
+  if (contentType.includes('csv') || contentType.startsWith('text/')) return 'csv'
+  // XLSX files are ZIP archives — "PK\x03\x04"
+  return buffer.subarray(0, 4).toString('hex') === '504b0304' ? 'xlsx' : 'csv'
+}
+
+// XLSX cells can be numbers, dates, rich text, formulas, hyperlinks...
+function cellText(value) {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) return value.toISOString().slice(0, 10)
+  if (typeof value === 'object') {
+    if ('result' in value)   return cellText(value.result)             // formula
+    if ('richText' in value) return value.richText.map(t => t.text).join('')
+    if ('text' in value)     return String(value.text)                 // hyperlink
+    if ('error' in value)    return ''
+  }
+  return String(value)
+}
+
+/**
+ * Parse an uploaded file. Returns an array of rows (arrays of strings); the
+ * first row is the file's header row. XLSX uses the first worksheet.
+ */
+export async function parseUpload(buffer, format) {
+  if (format === 'csv') return parseCsv(buffer.toString('utf8'))
+
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  const sheet = workbook.worksheets[0]
+  if (!sheet) return []
+
+  const rows = []
+  sheet.eachRow({ includeEmpty: false }, row => {
+    // row.values is 1-based (index 0 is always empty)
+    rows.push(row.values.slice(1).map(cellText))
+  })
+  return rows.map(r => Array.from(r, v => v ?? ''))
+}
@@ -0,0 +1,202 @@
+// lib/report.js
+//
+// Group-by aggregation over tab rows for /api/sheets/report, so the dashboard
+// gets totals instead of downloading whole tabs. All column references are
+// header names.
+//
+// Query string:
+//   groupBy=المورد[,col]              group rows by these columns' values
+//   bucket=التاريخ:month              also group by a date column: day | week | month
+//   metrics=count,sum:السعر,avg:السعر  count | count:col | sum | avg | min | max (:col)
+//   where[...]                        filters, as in lib/rowQuery.js
+//
+// The chart axis is the bucket (or the first groupBy column); any remaining
+// groupBy columns split the result into one series per value.
+
+import { compareCells } from './rowQuery.js'
+
+export const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max']
+export const BUCKETS     = ['day', 'week', 'month']
+
+const list = v => String(v ?? '').split(',').map(s => s.trim()).filter(Boolean)
+
+function toNumber(v) {
+  const s = String(v ?? '').trim().replace(/,/g, '')
+  return s === '' ? NaN : Number(s)
+}
+
+// Float noise from repeated addition (0.1 + 0.2) — trim it for display
+const tidy = n => (n === null ? null : parseFloat(n.toPrecision(12)))
+
+const pad = n => String(n).padStart(2, '0')
+
+/**
+ * The bucket label for a date cell: "2026-03-14" (day), the Monday that starts
+ * its ISO week (week) or "2026-03" (month). Returns null for non-dates.
+ */
+export function dateBucket(value, unit) {
+  const s = String(value ?? '').trim()
+  let date
+  const iso = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/.exec(s)
+  if (iso) {
+    date = new Date(Date.UTC(+iso[1], +iso[2] - 1, +iso[3]))
+  } else if (/^\d{1,2}[-/]\d{1,2}[-/]\d{4}/.test(s)) {
+    const d = new Date(s)
+    if (isNaN(d)) return null
+    date = new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()))
+  } else {
+    return null
+  }
+  if (isNaN(date)) return null
+
+  if (unit === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7))
+  const month = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`
+  return unit === 'month' ? month : `${month}-${pad(date.getUTCDate())}`
+}
+
+/**
+ * Parse report query params against a tab's header row.
+ * Returns { error } on bad input, otherwise { groupBy, bucket, metrics }.
+ */
+export function parseReportQuery(query, header) {
+  const known = name => header.includes(name)
+
+  const groupBy = list(query.groupBy)
+  const unknownGroup = groupBy.find(c => !known(c))
+  if (unknownGroup) return { error: `Unknown column in groupBy: ${unknownGroup}` }
+
+  let bucket = null
+  if (query.bucket) {
+    const at     = String(query.bucket).lastIndexOf(':')
+    const column = at === -1 ? String(query.bucket) : String(query.bucket).slice(0, at)
+    const unit   = at === -1 ? 'month' : String(query.bucket).slice(at + 1)
+    if (!known(column)) return { error: `Unknown column in bucket: ${column}` }
+    if (!BUCKETS.includes(unit)) return { error: `bucket unit must be one of ${BUCKETS.join(', ')}` }
+    bucket = { column, unit }
+  }
+
+  const metrics = []
+  for (const item of list(query.metrics || 'count')) {
+    const [op, column = null] = item.split(':')
+    if (!AGGREGATES.includes(op)) return { error: `Unknown metric "${op}" — use one of ${AGGREGATES.join(', ')}` }
+    if (op !== 'count' && !column) return { error: `Metric "${op}" needs a column, e.g. ${op}:<column>` }
+    if (column !== null && !known(column)) return { error: `Unknown column in metrics: ${column}` }
+    metrics.push({ key: item, op, column })
+  }
+
+  return { groupBy, bucket, metrics }
+}
+
+function newAccumulator() {
+  return { rows: 0, filled: 0, n: 0, sum: 0, min: null, max: null }
+}
+
+function accumulate(acc, value) {
+  if (String(value ?? '').trim() !== '') acc.filled++
+  const n = toNumber(value)
+  if (!Number.isFinite(n)) return
+  acc.n++
+  acc.sum += n
+  acc.min = acc.min === null ? n : Math.min(acc.min, n)
+  acc.max = acc.max === null ? n : Math.max(acc.max, n)
+}
+
+function result(metric, acc) {
+  switch (metric.op) {
+    case 'count': return metric.column ? acc.filled : acc.rows
+    case 'sum':   return tidy(acc.sum)
+    case 'avg':   return acc.n ? tidy(acc.sum / acc.n) : null
+    case 'min':   return acc.min
+    case 'max':   return acc.max
+  }
+}
+
+/**
+ * Aggregate rows (arrays of cell values, header excluded).
+ * Returns {
+ *   groups:  [{ key: { [column]: value }, values: { [metricKey]: number } }],
+ *   totals:  { [metricKey]: number },
+ *   series:  { labels: [], datasets: [{ label, metric, split, data: [] }] },
+ *   skipped: rows left out because their bucket cell is not a date,
+ * }
+ * Groups are ordered by key; numbers and dates sort by value.
+ */
+export function runReport(header, rows, { groupBy = [], bucket = null, metrics }) {
+  const col  = name => header.indexOf(name)
+  const dims = bucket ? [bucket.column, ...groupBy] : groupBy
+
+  const groups = new Map()   // JSON key → { key: [...], accs: [...] }
+  const totals = metrics.map(newAccumulator)
+  let skipped  = 0
+
+  for (const values of rows) {
+    const key = groupBy.map(c => String(values[col(c)] ?? '').trim())
+    if (bucket) {
+      const label = dateBucket(values[col(bucket.column)], bucket.unit)
+      if (label === null) { skipped++; continue }
+      key.unshift(label)
+    }
+
+    const id = JSON.stringify(key)
+    if (!groups.has(id)) groups.set(id, { key, accs: metrics.map(newAccumulator) })
+    const { accs } = groups.get(id)
+    metrics.forEach((m, i) => {
+      for (const acc of [accs[i], totals[i]]) {
+        acc.rows++
+        if (m.column) accumulate(acc, values[col(m.column)])
+      }
+    })
+  }
+
+  const sorted = [...groups.values()].sort((a, b) => {
+    for (let i = 0; i < a.key.length; i++) {
+      const c = compareCells(a.key[i], b.key[i])
+      if (c !== 0) return c
+    }
+    return 0
+  })
+
+  const out = sorted.map(g => ({
+    key:    Object.fromEntries(dims.map((d, i) => [d, g.key[i]])),
+    values: Object.fromEntries(metrics.map((m, i) => [m.key, result(m, g.accs[i])])),
+  }))
+
+  return {
+    groups:  out,
+    totals:  Object.fromEntries(metrics.map((m, i) => [m.key, result(m, totals[i])])),
+    series:  toSeries(sorted, metrics, dims.length),
+    skipped,
+  }
+}
+
+// Chart.js-style { labels, datasets }: the first dimension is the x axis; one
+// dataset per metric × combination of the remaining dimensions. Gaps are null.
+function toSeries(sorted, metrics, dimCount) {
+  if (dimCount === 0) {
+    return {
+      labels:   [''],
+      datasets: metrics.map((m, i) => ({ label: m.key, metric: m.key, split: null, data: [result(m, sorted[0]?.accs[i] ?? newAccumulator())] })),
+    }
+  }
+
+  const labels = [...new Set(sorted.map(g => g.key[0]))]
+  const splits = [...new Set(sorted.map(g => JSON.stringify(g.key.slice(1))))].map(s => JSON.parse(s))
+  const at     = new Map(sorted.map(g => [JSON.stringify(g.key), g]))
+
+  const datasets = []
+  for (const [i, m] of metrics.entries()) {
+    for (const split of splits) {
+      const name = split.join(' / ')
+      datasets.push({
+        label:  dimCount === 1 ? m.key : (metrics.length === 1 ? name : `${name} — ${m.key}`),
+        metric: m.key,
+        split:  dimCount === 1 ? null : split,
+        data:   labels.map(l => {
+          const g = at.get(JSON.stringify([l, ...split]))
+          return g ? result(m, g.accs[i]) : null
+        }),
+      })
+    }
+  }
+  return { labels, datasets }
+}
@@ -0,0 +1,63 @@
+// lib/rowDiff.js
+//
+// Row-level differences between two reads of a tab, used by the live event
+// stream (config/liveEvents.js) and delta sync (GET /api/sheets/changes),
+// and cell-level differences between two versions of a row, for row history
+// (config/rowHistoryStore.js).
+//
+// Rows are matched by stable row ID when the tab has an ID column
+// (lib/rowIds.js); rows without one are matched by position. Matching by
+// position means a deleted row shows up as updates to every row below it and
+// the deletion of the last row — set tabs up with IDs for exact deltas.
+
+import { ROW_ID_HEADER } from './rowIds.js'
+import { rowVersion }    from './rowVersion.js'
+
+/**
+ * A tab's data rows (header excluded), keyed for diffRows():
+ * Map(key → { rowIndex, id, values, version }).
+ */
+export function keyRows(header, rows) {
+  const idAt = header.indexOf(ROW_ID_HEADER)
+  return new Map(rows.map((values, i) => {
+    const id = idAt === -1 ? null : values[idAt] || null
+    return [id ? `id:${id}` : `#${i}`, { rowIndex: i + 2, id, values, version: rowVersion(values) }]
+  }))
+}
+
+/**
+ * What changed from `before` to `after` (both from keyRows(); entries in
+ * `before` only need rowIndex, id and version). Returns
+ * [{ type: 'created' | 'updated' | 'deleted', rowIndex, id, values, version }]
+ * — deleted rows carry their old rowIndex, and their values only when
+ * `before` has them.
+ */
+export function diffRows(before, after) {
+  const changes = []
+  for (const [key, row] of after) {
+    const old = before.get(key)
+    if (!old) changes.push({ type: 'created', ...row })
+    else if (old.version !== row.version) changes.push({ type: 'updated', ...row })
+  }
+  for (const [key, { rowIndex, id, values = null }] of before) {
+    if (!after.has(key)) changes.push({ type: 'deleted', rowIndex, id, values, version: null })
+  }
+  return changes
+}
+
+/**
+ * Which cells differ between two versions of one row:
+ * [{ field, before, after }]. `field` is the column's header, or "column N"
+ * (1-based) when the header cell is blank. The stable ID column is left out.
+ */
+export function diffFields(header, before, after) {
+  const width = Math.max(header.length, before.length, after.length)
+  const out   = []
+  for (let i = 0; i < width; i++) {
+    if (header[i] === ROW_ID_HEADER) continue
+    const from = before[i] ?? ''
+    const to   = after[i] ?? ''
+    if (from !== to) out.push({ field: header[i] || `column ${i + 1}`, before: from, after: to })
+  }
+  return out
+}
@@ -0,0 +1,32 @@
+// lib/rowIds.js
+//
+// Stable row identifiers for data tabs.
+//
+// Positional rowIndex addressing breaks as soon as a row above is deleted, so
+// every tab set up through /api/sheets/ensure-tab gets a hidden "_id" column.
+// IDs are assigned on append and never change; routes that address a row by
+// ID resolve its current position on the server right before writing.
+
+import { randomUUID } from 'crypto'
+
+export const ROW_ID_HEADER = '_id'
+
+export function newRowId() {
+  return randomUUID()
+}
+
+/** True for an ID a client may choose itself (e.g. a UUID made offline). */
+export function isValidRowId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(id)
+}
+
+/**
+ * Return a copy of `values` with `id` written at `idIndex`, padding with empty
+ * cells when the row is shorter than the ID column.
+ */
+export function withRowId(values, idIndex, id) {
+  const row = [...values]
+  while (row.length < idIndex) row.push('')
+  row[idIndex] = id
+  return row
+}
@@ -0,0 +1,157 @@
+// lib/rowQuery.js
+//
+// Server-side filtering, sorting, field projection and pagination for tab
+// listings (/data, /tab-data and everything built on the same query string).
+// All column references are header names.
+//
+// Query string (Express's default parser turns brackets into objects):
+//   where[المورد]=أحمد                 equals
+//   where[السعر][gte]=100             eq | ne | contains | gt | gte | lt | lte | in (comma list)
+//   sort=التاريخ,-السعر                ascending; "-" prefix = descending
+//   fields=التاريخ,السعر               only return these columns
+//   limit=50&cursor=<nextCursor>      page size and position
+//
+// Comparisons are numeric when both sides are numbers, chronological when both
+// look like dates, and case-insensitive text otherwise.
+
+export const OPERATORS = ['eq', 'ne', 'contains', 'gt', 'gte', 'lt', 'lte', 'in']
+
+const MAX_LIMIT = 1000
+
+const list = v => String(v ?? '').split(',').map(s => s.trim()).filter(Boolean)
+
+function toNumber(v) {
+  const s = String(v ?? '').trim().replace(/,/g, '')
+  return s === '' ? NaN : Number(s)
+}
+
+// Only strings that look like dates — Date.parse('5') is a valid date in V8
+function toTime(v) {
+  const s = String(v ?? '').trim()
+  return /^\d{1,4}[-/]\d{1,2}[-/]\d{1,4}/.test(s) ? new Date(s).getTime() : NaN
+}
+
+/** Compare two cell values: numbers, then dates, then text. */
+export function compareCells(a, b) {
+  const na = toNumber(a), nb = toNumber(b)
+  if (!isNaN(na) && !isNaN(nb)) return na - nb
+  const ta = toTime(a), tb = toTime(b)
+  if (!isNaN(ta) && !isNaN(tb)) return ta - tb
+  return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base' })
+}
+
+function matches(cell, op, value) {
+  const text = String(cell ?? '').trim()
+  switch (op) {
+    case 'eq':       return compareCells(text, value) === 0
+    case 'ne':       return compareCells(text, value) !== 0
+    case 'contains': return text.toLowerCase().includes(String(value).toLowerCase())
+    case 'gt':       return text !== '' && compareCells(text, value) > 0
+    case 'gte':      return text !== '' && compareCells(text, value) >= 0
+    case 'lt':       return text !== '' && compareCells(text, value) < 0
+    case 'lte':      return text !== '' && compareCells(text, value) <= 0
+    case 'in':       return list(value).some(v => compareCells(text, v) === 0)
+    default:         return false
+  }
+}
+
+const encodeCursor = offset => Buffer.from(JSON.stringify({ o: offset })).toString('base64url')
+
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString())
+    return Number.isInteger(o) && o >= 0 ? o : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse listing query params against a tab's header row.
+ * Returns { error } on bad input, otherwise a query for applyRowQuery().
+ */
+export function parseRowQuery(query, header) {
+  const known = name => header.includes(name)
+
+  const where = []
+  const rawWhere = query.where ?? {}
+  if (typeof rawWhere !== 'object' || Array.isArray(rawWhere)) return { error: 'where must be where[column]=value' }
+  for (const [column, cond] of Object.entries(rawWhere)) {
+    if (!known(column)) return { error: `Unknown column in where: ${column}` }
+    if (cond !== null && typeof cond === 'object' && !Array.isArray(cond)) {
+      for (const [op, value] of Object.entries(cond)) {
+        if (!OPERATORS.includes(op)) return { error: `Unknown operator "${op}" — use one of ${OPERATORS.join(', ')}` }
+        where.push({ column, op, value: String(value) })
+      }
+    } else {
+      where.push({ column, op: 'eq', value: String(cond) })
+    }
+  }
+
+  const sort = []
+  for (const item of list(query.sort)) {
+    const desc   = item.startsWith('-')
+    const column = desc ? item.slice(1) : item
+    if (!known(column)) return { error: `Unknown column in sort: ${column}` }
+    sort.push({ column, desc })
+  }
+
+  const fields = query.fields ? list(query.fields) : null
+  const unknownField = fields?.find(f => !known(f))
+  if (unknownField) return { error: `Unknown column in fields: ${unknownField}` }
+
+  let limit = null
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit, 10)
+    if (isNaN(limit) || limit < 1) return { error: 'limit must be a positive integer' }
+    limit = Math.min(limit, MAX_LIMIT)
+  }
+
+  let offset = 0
+  if (query.cursor) {
+    offset = decodeCursor(query.cursor)
+    if (offset === null) return { error: 'Invalid cursor' }
+  }
+
+  return { where, sort, fields, limit, offset }
+}
+
+/**
+ * Apply a parsed query to a tab's rows.
+ * `rows` is [{ rowIndex, values, ... }] in sheet order; extra properties are
+ * carried through untouched. Returns { header, rows, total, matched, nextCursor }
+ * where header and each row's values are projected to `fields`.
+ */
+export function applyRowQuery(header, rows, { where = [], sort = [], fields = null, limit = null, offset = 0 } = {}) {
+  const col = name => header.indexOf(name)
+
+  let result = rows.filter(r => where.every(w => matches(r.values[col(w.column)], w.op, w.value)))
+  const matched = result.length
+
+  if (sort.length > 0) {
+    result = [...result].sort((a, b) => {
+      for (const { column, desc } of sort) {
+        const i = col(column)
+        const x = a.values[i] ?? '', y = b.values[i] ?? ''
+        // Empty cells always sort last, whatever the direction
+        if (x === '' && y !== '') return 1
+        if (y === '' && x !== '') return -1
+        const c = compareCells(x, y)
+        if (c !== 0) return desc ? -c : c
+      }
+      return a.rowIndex - b.rowIndex
+    })
+  }
+
+  const end  = limit === null ? result.length : offset + limit
+  const page = result.slice(offset, end)
+
+  const idx = fields ? fields.map(col) : null
+  return {
+    header:     fields ?? header,
+    rows:       idx ? page.map(r => ({ ...r, values: idx.map(i => r.values[i] ?? '') })) : page,
+    total:      rows.length,
+    matched,
+    nextCursor: end < result.length ? encodeCursor(end) : null,
+  }
+}
@@ -0,0 +1,40 @@
+// lib/rowVersion.js
+//
+// Content hashes for optimistic concurrency control.
+//
+// Every row returned by /data, /tab-data and /rows/:id carries a version — a
+// short hash of its current cell values. Clients send it back as If-Match (or
+// `expectedVersion` in the body) when writing; if the row has changed in the
+// meantime the write is rejected with 409 instead of clobbering the edit.
+//
+// Hashing the content (rather than keeping a counter) means edits made
+// directly in Google Sheets change the version too, with no extra column.
+
+import { createHash } from 'crypto'
+
+/** Version of a row of cell values. Trailing empty cells don't count — Sheets drops them on read. */
+export function rowVersion(values = []) {
+  const cells = (values || []).map(v => (v === null || v === undefined ? '' : String(v)))
+  while (cells.length && cells[cells.length - 1] === '') cells.pop()
+  return createHash('sha256').update(JSON.stringify(cells)).digest('base64url').slice(0, 16)
+}
+
+/**
+ * Normalise a client-supplied version. Accepts quoted and weak ETags
+ * ("abc", W/"abc"). Returns null when there is no precondition; "*" matches
+ * any version.
+ */
+export function parseVersion(raw) {
+  if (raw === undefined || raw === null || raw === '') return null
+  return String(raw).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')
+}
+
+/** The version a client expects, from the If-Match header or else a body/query field. */
+export function expectedVersion(req, fallback) {
+  return parseVersion(req.get('If-Match') ?? fallback)
+}
+
+/** True if `current` satisfies the client's precondition (null = no precondition). */
+export function versionMatches(expected, current) {
+  return expected === null || expected === '*' || expected === current
+}
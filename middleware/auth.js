@@ -1,31 +1,166 @@
 // middleware/auth.js
 // Verifies our own JWT on every protected route.
 // The Google access token lives only on the server — never sent to the client.
+//
+// A valid signature is not enough: the token's session must still be active
+// (config/sessionStore.js) and the user must still exist, not be disabled,
+// and have the same role.
+// Anything else is a 401 with a code telling the client to log in again.
+//
+// Machine clients authenticate with an API key instead (config/apiKeyStore.js):
+// "Authorization: Bearer elb_…" or "X-API-Key: elb_…". req.user is then
+// { role: 'api-key', apiKey: { id, name, scopes }, ... } and tab access is
+// decided by the key's scopes.
+//
+// Authenticated responses carry an X-Refresh-Hint header when the client
+// should refresh ahead of time: "access" (POST /api/auth/refresh) and/or
+// "google" (POST /api/auth/refresh-google).
 
 import jwt from 'jsonwebtoken'
+import { tokenStore } from '../config/tokenStore.js'
+import { findKey } from '../config/keyring.js'
+import { getSession, isActive } from '../config/sessionStore.js'
+import { lookupUser, isReady, isBootstrapUser } from '../config/userStore.js'
+import { API_KEY_PREFIX, authenticateApiKey } from '../config/apiKeyStore.js'
+import { ADMIN_ROLE, API_KEY_PERMISSIONS, roleHasPermission } from '../config/roleStore.js'
+import { MAIN_WORKSPACE, getWorkspace, isMember } from '../config/workspaceStore.js'
 
-export function requireAuth(req, res, next) {
+// Hint an access refresh this long before the JWT expires.
+const ACCESS_REFRESH_WINDOW_MS = 2 * 60 * 1000
+
+/** Which tokens the client should refresh now: { access, google }. */
+export function refreshHints(req) {
+  const exp = req.user?.exp
+  return {
+    access: exp ? exp * 1000 - Date.now() < ACCESS_REFRESH_WINDOW_MS : false,
+    google: tokenStore.isExpiringSoon(req.user?.userId, req),
+  }
+}
+
+async function requireApiKey(req, res, next, presented) {
+  let key
+  try {
+    key = await authenticateApiKey(presented)
+  } catch (err) {
+    console.error('[auth] API key check failed:', err.message)
+    return res.status(503).json({ error: 'Could not verify the API key. Please try again.', code: 'API_KEY_CHECK_FAILED' })
+  }
+  if (!key) return res.status(401).json({ error: 'Invalid, expired or revoked API key', code: 'API_KEY_INVALID' })
+
+  // email doubles as the audit-log actor
+  req.user = { userId: `api-key:${key.id}`, name: key.name, email: `api-key:${key.name}`, role: 'api-key', apiKey: key }
+  next()
+}
+
+export async function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization
+  const apiKey     = req.get('X-API-Key')
+    || (authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`) ? authHeader.slice(7) : null)
+  if (apiKey) return requireApiKey(req, res, next, apiKey)
+
   if (!authHeader?.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or malformed Authorization header' })
   }
 
   const token = authHeader.slice(7)
+  let payload
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET)
-    req.user = payload          // { userId, name, email, role, iat, exp }
-    next()
+    // Pick the key by the token's kid — older keys stay valid until retired
+    const key = findKey(jwt.decode(token, { complete: true })?.header?.kid)
+    if (!key) return res.status(401).json({ error: 'Invalid token' })
+    payload = jwt.verify(token, key.secret, { algorithms: ['HS256'] })
   } catch (err) {
     if (err.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Session expired. Please log in again.', code: 'TOKEN_EXPIRED' })
     }
     return res.status(401).json({ error: 'Invalid token' })
   }
+
+  try {
+    // The caller's own Google token lets us read the sessions and users tabs
+    // on a cold start without a service account or a logged-in admin.
+    const googleToken = tokenStore.get(payload.userId, { user: payload })
+    if (!isActive(await getSession(payload.sid, { token: googleToken }))) {
+      return res.status(401).json({ error: 'Session ended. Please log in again.', code: 'SESSION_REVOKED' })
+    }
+
+    // Without sheet access lookupUser() only knows the bootstrap users. A
+    // removed or disabled user must not stay signed in meanwhile — fail closed.
+    if (!isBootstrapUser(payload.email) && !(await isReady({ token: googleToken }))) {
+      return res.status(503).json({ error: 'Could not verify your account. Please try again.', code: 'USER_CHECK_UNAVAILABLE' })
+    }
+    const current = await lookupUser(payload.email, { token: googleToken })
+    if (!current) {
+      return res.status(401).json({ error: 'Your access has been removed.', code: 'USER_REMOVED' })
+    }
+    if (current.disabled) {
+      return res.status(401).json({ error: 'Your account has been disabled.', code: 'USER_DISABLED' })
+    }
+    if (current.role !== payload.role) {
+      return res.status(401).json({ error: 'Your role has changed. Please log in again.', code: 'ROLE_CHANGED' })
+    }
+  } catch (err) {
+    console.error('[auth] session check failed:', err.message)
+    return res.status(503).json({ error: 'Could not verify your session. Please try again.', code: 'SESSION_CHECK_FAILED' })
+  }
+
+  req.user = payload          // { userId, name, email, role, sid, iat, exp }
+
+  const hints = Object.entries(refreshHints(req)).filter(([, due]) => due).map(([name]) => name)
+  if (hints.length > 0) res.set('X-Refresh-Hint', hints.join(', '))
+  next()
 }
 
 export function requireAdmin(req, res, next) {
-  if (req.user?.role !== 'admin') {
+  if (req.user?.role !== ADMIN_ROLE) {
     return res.status(403).json({ error: 'Admin access required' })
   }
   next()
 }
+
+/** True if the authenticated caller holds `permission` (config/roleStore.js). */
+export async function hasPermission(req, permission) {
+  if (req.user?.apiKey) return API_KEY_PERMISSIONS.includes(permission)
+  return roleHasPermission(req.user?.role, permission, { token: tokenStore.get(req.user?.userId, req) })
+}
+
+/**
+ * Route guard, used after requireAuth: the caller's role must grant
+ * `permission`. Replies 403 { code: 'PERMISSION_DENIED', permission } otherwise.
+ */
+export function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      if (await hasPermission(req, permission)) return next()
+    } catch (err) {
+      console.error('[auth] permission check failed:', err.message)
+      return res.status(503).json({ error: 'Could not verify your permissions. Please try again.' })
+    }
+    res.status(403).json({ error: `Your role does not allow ${permission}`, code: 'PERMISSION_DENIED', permission })
+  }
+}
+
+/**
+ * Route guard for /api/sheets/*, used after requireAuth: picks the workspace
+ * (X-Workspace header, else the one chosen at login, else "main") and puts
+ * it in req.workspace. Unknown → 404, not a member → 403.
+ */
+export async function selectWorkspace(req, res, next) {
+  const id = req.get('X-Workspace') || req.user.workspace || MAIN_WORKSPACE
+  let workspace
+  try {
+    workspace = await getWorkspace(id, { token: tokenStore.get(req.user.userId, req) })
+  } catch (err) {
+    console.error('[auth] workspace lookup failed:', err.message)
+    return res.status(503).json({ error: 'Could not load workspaces. Please try again.' })
+  }
+  if (!workspace) {
+    return res.status(404).json({ error: `Unknown workspace "${id}"`, code: 'WORKSPACE_NOT_FOUND' })
+  }
+  if (!isMember(workspace, req.user)) {
+    return res.status(403).json({ error: `You are not a member of "${id}"`, code: 'WORKSPACE_FORBIDDEN' })
+  }
+  req.workspace = workspace
+  res.set('X-Workspace', workspace.id)
+  next()
+}
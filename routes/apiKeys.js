@@ -0,0 +1,73 @@
+// routes/apiKeys.js
+//
+// Admin management of the API keys accepted by requireAuth for machine
+// clients (config/apiKeyStore.js).
+
+import { Router }                         from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { recordAudit }                    from '../config/auditStore.js'
+import { isProtectedTab }                 from '../config/permissionStore.js'
+import {
+  API_KEYS_TAB, checkScopes, listApiKeys, createApiKey, revokeApiKey,
+} from '../config/apiKeyStore.js'
+
+const router = Router()
+
+// ── GET /api/api-keys ────────────────────────────────────────────────
+// Every key, newest first. Hashes are never returned.
+router.get('/', requireAuth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    res.json({ apiKeys: await listApiKeys() })
+  } catch (err) {
+    console.error('[api-keys GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load API keys' })
+  }
+})
+
+// ── POST /api/api-keys ───────────────────────────────────────────────
+// Body: { name, scopes: ['write:مشتريات', 'read:*'], expiresAt?: ISO date }
+// The response holds the key itself — the only time it is ever shown.
+router.post('/', requireAuth, requirePermission('api-keys:manage'), async (req, res) => {
+  const { name, scopes, expiresAt } = req.body || {}
+  if (!name || typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'name is required' })
+
+  const scopeError = checkScopes(scopes, isProtectedTab)
+  if (scopeError) return res.status(400).json({ error: scopeError })
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const t = new Date(expiresAt).getTime()
+    if (isNaN(t)) return res.status(400).json({ error: 'expiresAt must be a valid date' })
+    if (t <= Date.now()) return res.status(400).json({ error: 'expiresAt must be in the future' })
+  }
+
+  try {
+    const { key, apiKey } = await createApiKey({ name: name.trim(), scopes, expiresAt, createdBy: req.user.email })
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/api-keys', tab: API_KEYS_TAB,
+      before: null, after: apiKey,
+    })
+    res.status(201).json({ success: true, key, apiKey })
+  } catch (err) {
+    console.error('[api-keys POST]', err)
+    res.status(500).json({ error: err.message || 'Failed to create API key' })
+  }
+})
+
+// ── DELETE /api/api-keys/:id ─────────────────────────────────────────
+// Revokes the key. The row stays for the record.
+router.delete('/:id', requireAuth, requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.id, req.user.email)
+    if (!apiKey) return res.status(404).json({ error: 'No active API key with this id' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/api-keys/:id', tab: API_KEYS_TAB,
+      before: { ...apiKey, revokedAt: null, revokedBy: null, active: true }, after: apiKey,
+    })
+    res.json({ success: true, apiKey })
+  } catch (err) {
+    console.error('[api-keys DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to revoke API key' })
+  }
+})
+
+export default router
@@ -0,0 +1,36 @@
+// routes/audit.js
+//
+// Read access to the audit log written by config/auditStore.js.
+
+import { Router }                         from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { queryAudit }                     from '../config/auditStore.js'
+
+const router = Router()
+
+const MAX_LIMIT = 1000
+
+// ── GET /api/audit?user=&tab=&workspace=&from=&to=&limit= ────────────
+// from / to accept ISO dates or timestamps. Newest entries first.
+router.get('/', requireAuth, requirePermission('audit:read'), async (req, res) => {
+  const { user, tab, workspace, from, to } = req.query
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ error: `${name} must be a valid date` })
+    }
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 200
+  if (isNaN(limit) || limit < 1) return res.status(400).json({ error: 'Invalid limit' })
+
+  try {
+    const result = await queryAudit({ user, tab, workspace, from, to, limit: Math.min(limit, MAX_LIMIT) })
+    res.json(result)
+  } catch (err) {
+    console.error('[audit GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load audit log' })
+  }
+})
+
+export default router
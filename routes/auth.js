@@ -3,13 +3,32 @@
 import { Router }      from 'express'
 import jwt             from 'jsonwebtoken'
 import fetch           from 'node-fetch'
-import { requireAuth } from '../middleware/auth.js'
+import { requireAuth, requirePermission, hasPermission, refreshHints } from '../middleware/auth.js'
 import { tokenStore }  from '../config/tokenStore.js'
+import { recordAudit } from '../config/auditStore.js'
+import { verifyGoogleIdToken } from '../config/googleIdToken.js'
+import { currentKey, describeKeys, findKey } from '../config/keyring.js'
+import { ADMIN_ROLE, getRole, getRoles, roleHasPermission } from '../config/roleStore.js'
+import { MAIN_WORKSPACE, getWorkspace, isMember } from '../config/workspaceStore.js'
+import {
+  INVITATIONS_TAB, INVITE_DEFAULT_DAYS, INVITE_MAX_DAYS, listInvitations, findPendingInvitation,
+  createInvitation, revokeInvitation, markInvitationAccepted,
+} from '../config/invitationStore.js'
+import {
+  DOMAINS_TAB, normalizeDomain, checkDomain, getDomains, findDomainFor, setDomain, removeDomain,
+} from '../config/domainStore.js'
+import {
+  SESSIONS_TAB, newSessionId, createSession, rotateRefreshToken, getSession, isActive,
+  setSessionGoogleToken, listSessions, revokeSession, revokeUserSessions,
+} from '../config/sessionStore.js'
 import {
   setAdminEmail, lookupUser, getAllUsers, addUser,
   removeUser, updateUserRole, getUsersTabSheetId,
-  refreshCache, isReady,
+  refreshCache, isReady, isBootstrapUser, USERS_TAB,
+  findUserById, removeUserById, updateUserRoleById,
+  findUserByEmail, removeUserByEmail, updateUserByEmail, recordUserLogin,
 } from '../config/userStore.js'
+import { listLogins, recordLogin } from '../config/loginHistoryStore.js'
 
 const router = Router()
 
@@ -20,21 +39,130 @@ const BOOTSTRAP_ADMINS = (process.env.ADMIN_EMAILS || '')
 const BOOTSTRAP_USERS = (process.env.USER_EMAILS || '')
   .split(',').map(x => x.trim().toLowerCase()).filter(Boolean)
 
+// User record as stored in the audit log (no internal row bookkeeping).
+const auditUser = u => u && {
+  email: u.email, role: u.role, addedBy: u.addedBy, addedAt: u.addedAt, id: u.id, disabled: !!u.disabled,
+}
+
+const MAX_LOGINS = 500
+
+// Access JWTs are short-lived; the refresh token (config/sessionStore.js)
+// keeps the user signed in and slides forward on every refresh.
+const ACCESS_TOKEN_TTL    = process.env.JWT_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_MS    = (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000
+const GOOGLE_TOKEN_TTL_MS = 55 * 60 * 1000  // Google tokens live 60 min; use 55
+
+// ── Helper: sign an access JWT for a session ─────────────────────────
+// The Google token travels encrypted (AES-256-GCM) inside the JWT so the
+// backend survives cold starts — the client sees only a base64 blob.
+function signAccessToken({ sid, email, name, picture, role, workspace, encryptedGoogleToken, googleTokenExpiresAt }) {
+  const payload = {
+    userId:    email,
+    sid,
+    name:      name || email,
+    email,
+    picture:   picture || null,
+    role,
+    workspace: workspace || MAIN_WORKSPACE,
+    encryptedGoogleToken,
+    googleTokenExpiresAt: Number(googleTokenExpiresAt) || 0,
+  }
+  const { kid, secret } = currentKey()
+  const token = jwt.sign(payload, secret, { expiresIn: ACCESS_TOKEN_TTL, keyid: kid })
+  return { token, payload, expiresAt: jwt.decode(token).exp * 1000 }
+}
+
+// ── Helper: validate a role name from a request body ─────────────────
+// Sends 400 and returns false unless the role exists (config/roleStore.js).
+async function checkRoleExists(res, role) {
+  if (role && typeof role === 'string' && (await getRole(role))) return true
+  const names = (await getRoles()).map(r => r.role)
+  res.status(400).json({ error: `role must be one of: ${[ADMIN_ROLE, ...names.filter(n => n !== ADMIN_ROLE)].join(', ')}` })
+  return false
+}
+
+// ── Helper: guard admin-level roles ──────────────────────────────────
+// Granting, changing or removing a role that itself holds users:manage-admins
+// (admin, or any custom role given "*") needs users:manage-admins on top of
+// users:manage — otherwise a manager could promote someone past themselves.
+// `roles` are the roles involved (old and new). Sends 403 and returns false.
+async function checkAdminChange(req, res, ...roles) {
+  let adminLevel = false
+  for (const role of roles.filter(Boolean)) {
+    if (role === ADMIN_ROLE || (await roleHasPermission(role, 'users:manage-admins'))) adminLevel = true
+  }
+  if (!adminLevel || (await hasPermission(req, 'users:manage-admins'))) return true
+  res.status(403).json({
+    error: 'Only admins can grant, change or remove admin-level roles',
+    code: 'PERMISSION_DENIED', permission: 'users:manage-admins',
+  })
+  return false
+}
+
+// ── Helper: first-login enrolment ────────────────────────────────────
+// Someone missing from the users tab still gets in with a pending invitation
+// or, failing that, a verified email on an allow-listed domain. Adds the user
+// row and returns { email, role }, or null if neither applies.
+async function enrol(email, profile, { token } = {}) {
+  if (profile.email_verified !== true && profile.email_verified !== 'true') return null
+
+  const invitation = await findPendingInvitation(email, { token })
+  const domain     = invitation ? null : await findDomainFor(email, { token })
+  const role       = invitation?.role || domain?.role
+  // The role may have been deleted since
+  if (!role || !(await getRole(role, { token }))) return null
+
+  const addedBy = invitation ? invitation.invitedBy : `domain:${domain.domain}`
+  await addUser(email, role, addedBy, { token })
+  if (invitation) await markInvitationAccepted(invitation.id, { token })
+  await recordAudit({
+    actor: email, route: 'POST /api/auth/verify', tab: USERS_TAB,
+    before: null, after: { email, role, addedBy, invitation: invitation?.id },
+  }, { token })
+  return { email, role }
+}
+
+// Return user WITHOUT encryptedGoogleToken — that stays server-side only
+const publicUser = p => ({
+  userId: p.userId, name: p.name, email: p.email, picture: p.picture, role: p.role, workspace: p.workspace,
+})
+
 // ── POST /api/auth/verify ────────────────────────────────────────────
+// Body: { idToken } and/or { googleAccessToken }, plus an optional
+// { workspace } id to work in by default (see config/workspaceStore.js).
+// An ID token is verified locally (config/googleIdToken.js) and decides who
+// the user is; an access token alone is checked against Google's userinfo.
+// A googleAccessToken sent alongside an ID token is only carried for Sheets
+// calls made on the user's behalf.
 router.post('/verify', async (req, res) => {
-  const { googleAccessToken } = req.body
-  if (!googleAccessToken || typeof googleAccessToken !== 'string')
-    return res.status(400).json({ error: 'googleAccessToken is required' })
+  const { googleAccessToken, idToken, workspace } = req.body
+  if (googleAccessToken !== undefined && typeof googleAccessToken !== 'string')
+    return res.status(400).json({ error: 'googleAccessToken must be a string' })
+  if (idToken !== undefined && typeof idToken !== 'string')
+    return res.status(400).json({ error: 'idToken must be a string' })
+  if (!googleAccessToken && !idToken)
+    return res.status(400).json({ error: 'idToken or googleAccessToken is required' })
+  if (workspace !== undefined && typeof workspace !== 'string')
+    return res.status(400).json({ error: 'workspace must be a string' })
 
   try {
     // 1. Verify with Google
-    const gRes = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
-      headers: { Authorization: `Bearer ${googleAccessToken}` },
-    })
-    if (!gRes.ok) return res.status(401).json({ error: 'Invalid or expired Google token' })
+    let profile
+    if (idToken) {
+      try {
+        profile = await verifyGoogleIdToken(idToken)
+      } catch (e) {
+        return res.status(e.status || 401).json({ error: e.message })
+      }
+    } else {
+      const gRes = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
+        headers: { Authorization: `Bearer ${googleAccessToken}` },
+      })
+      if (!gRes.ok) return res.status(401).json({ error: 'Invalid or expired Google token' })
+      profile = await gRes.json()
+    }
 
-    const profile = await gRes.json()
-    const email   = (profile.email || '').toLowerCase().trim()
+    const email = (profile.email || '').toLowerCase().trim()
     if (!email) return res.status(401).json({ error: 'Could not retrieve email from Google' })
 
     // 2. If bootstrap admin → register as the active admin token provider
@@ -43,64 +171,278 @@ router.post('/verify', async (req, res) => {
     // 3. Look up user (bootstrap env check + sheet check)
     let found
     try {
-      found = await lookupUser(email)
+      found = await lookupUser(email, { token: googleAccessToken })
     } catch (e) {
       console.warn('[auth/verify] lookupUser error:', e.message)
       // Sheet unreachable — only let bootstrap admins through
       found = BOOTSTRAP_ADMINS.includes(email) ? { email, role: 'admin' } : null
     }
 
+    if (!found) {
+      try {
+        found = await enrol(email, profile, { token: googleAccessToken })
+      } catch (e) {
+        console.warn('[auth/verify] enrolment error:', e.message)
+      }
+    }
+
     if (!found) {
       return res.status(403).json({ error: 'غير مصرح لك بالدخول. تواصل مع المدير لإضافتك.' })
     }
+    if (found.disabled) {
+      return res.status(403).json({ error: 'تم إيقاف حسابك. تواصل مع المدير.', code: 'USER_DISABLED' })
+    }
 
     // 4. If admin, register their email
     if (found.role === 'admin') setAdminEmail(email)
 
-    // 5. Store token in memory cache (best-effort for same warm instance)
-    tokenStore.set(email, googleAccessToken)
+    // 5. The workspace picked at login must be one the user belongs to
+    if (workspace && workspace !== MAIN_WORKSPACE) {
+      const ws = await getWorkspace(workspace, { token: googleAccessToken })
+      if (!ws) return res.status(400).json({ error: `Unknown workspace "${workspace}"`, code: 'WORKSPACE_NOT_FOUND' })
+      if (!isMember(ws, { email, role: found.role }))
+        return res.status(403).json({ error: `You are not a member of "${workspace}"`, code: 'WORKSPACE_FORBIDDEN' })
+    }
 
-    // 6. Issue JWT — embed encrypted Google token so backend survives cold starts.
-    //    AES-256-GCM encrypted — client sees only a base64 blob, not the actual token.
-    const encryptedGoogleToken = tokenStore.encrypt(googleAccessToken)
-    const googleTokenExpiresAt = Date.now() + 55 * 60 * 1000  // 55 min from now
+    // 6. Store token in memory cache (best-effort for same warm instance)
+    if (googleAccessToken) tokenStore.set(email, googleAccessToken)
 
-    const payload = {
-      userId: email,
-      name:   profile.name || profile.given_name || email,
+    // 7. Record the session — requireAuth rejects tokens without an active one
+    const session = {
+      sid:     newSessionId(),
       email,
-      picture: profile.picture || null,
-      role:   found.role,
-      encryptedGoogleToken,
-      googleTokenExpiresAt,
+      name:    profile.name || profile.given_name || email,
+      picture: profile.picture || '',
+      role:    found.role,
+      workspace: workspace || MAIN_WORKSPACE,
+      // ID-token-only logins have no Google token until /refresh-google
+      encryptedGoogleToken: googleAccessToken ? tokenStore.encrypt(googleAccessToken) : '',
+      googleTokenExpiresAt: googleAccessToken ? Date.now() + GOOGLE_TOKEN_TTL_MS : 0,
+    }
+    const userAgent    = req.get('User-Agent') || ''
+    const refreshToken = await createSession({
+      ...session,
+      expiresAt: Date.now() + REFRESH_TOKEN_MS,
+      userAgent,
+    }, { token: googleAccessToken })
+
+    // 8. Note the login on the user row and in the login history. A failure
+    //    here is logged but doesn't fail the login.
+    try {
+      await Promise.all([
+        recordUserLogin(email, { name: session.name, picture: session.picture }, { token: googleAccessToken }),
+        recordLogin({
+          email, ip: req.ip, userAgent, sid: session.sid,
+          method: idToken ? 'idToken' : 'accessToken',
+        }, { token: googleAccessToken }),
+      ])
+    } catch (e) {
+      console.warn('[auth/verify] login record failed:', e.message)
     }
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '1y',
-    })
 
-    // Return user WITHOUT encryptedGoogleToken — that stays server-side only
-    const publicUser = { userId: payload.userId, name: payload.name, email: payload.email, picture: payload.picture, role: payload.role }
-    return res.json({ token, user: publicUser })
+    // 9. Issue the access JWT
+    const { token, payload, expiresAt } = signAccessToken(session)
+    return res.json({
+      token,
+      tokenExpiresAt:       expiresAt,
+      refreshToken,
+      googleTokenExpiresAt: session.googleTokenExpiresAt,
+      user:                 publicUser(payload),
+    })
   } catch (err) {
     console.error('[auth/verify]', err)
     return res.status(500).json({ error: 'Authentication failed. Please try again.' })
   }
 })
 
+// ── Helper: Google tokens for /refresh ───────────────────────────────
+// /refresh has no valid access JWT. Clients may still send the last one as
+// "Authorization: Bearer …" (expired is fine — only its signature is checked);
+// the Google token inside lets us read the sessions and users tabs on a cold
+// start without a service account or a logged-in admin.
+function lastAccessToken(req) {
+  const header = req.headers.authorization
+  if (!header?.startsWith('Bearer ')) return null
+  try {
+    const raw = header.slice(7)
+    const key = findKey(jwt.decode(raw, { complete: true })?.header?.kid)
+    if (!key) return null
+    const payload = jwt.verify(raw, key.secret, { algorithms: ['HS256'], ignoreExpiration: true })
+    return tokenStore.get(payload.userId, { user: payload })
+  } catch {
+    return null
+  }
+}
+
+// The Google token stored on a session, while it is still valid
+function sessionGoogleToken(session) {
+  return Number(session?.googleTokenExpiresAt) > Date.now() ? tokenStore.decrypt(session.encryptedGoogleToken) : null
+}
+
+// ── POST /api/auth/refresh ───────────────────────────────────────────
+// Body: { refreshToken }. The access JWT may already have expired, so no
+// valid Authorization header is needed; send the last one anyway when there
+// is no service account (see lastAccessToken). Returns a new access JWT and a
+// new refresh token; the old refresh token stops working. Presenting a
+// refresh token twice revokes the session (code REFRESH_TOKEN_REUSED) —
+// clients must not run two refreshes in parallel.
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {}
+  if (!refreshToken || typeof refreshToken !== 'string')
+    return res.status(400).json({ error: 'refreshToken is required' })
+
+  try {
+    const callerToken = lastAccessToken(req)
+
+    // Same checks as requireAuth, so they can't be skipped: without sheet
+    // access fail closed — before the refresh token is used up.
+    const existing    = await getSession(refreshToken.split('.')[0], { token: callerToken })
+    const googleToken = sessionGoogleToken(existing) || callerToken
+    if (isActive(existing) && !isBootstrapUser(existing.email) && !(await isReady({ token: googleToken }))) {
+      return res.status(503).json({ error: 'Could not verify your account. Please try again.', code: 'USER_CHECK_UNAVAILABLE' })
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, { expiresAt: Date.now() + REFRESH_TOKEN_MS }, { token: googleToken })
+    if (rotated.error === 'reused') {
+      console.warn('[auth/refresh] refresh token reuse — session revoked')
+      return res.status(401).json({ error: 'Session ended. Please log in again.', code: 'REFRESH_TOKEN_REUSED' })
+    }
+    if (rotated.error) {
+      return res.status(401).json({ error: 'Session ended. Please log in again.', code: 'SESSION_REVOKED' })
+    }
+
+    // A removed, disabled or re-roled user gets no new token
+    const { session } = rotated
+    const current = await lookupUser(session.email, { token: googleToken })
+    if (!current || current.disabled || current.role !== session.role) {
+      await revokeSession(session.sid, 'refresh', { token: googleToken })
+      if (!current) return res.status(401).json({ error: 'Your access has been removed.', code: 'USER_REMOVED' })
+      return current.disabled
+        ? res.status(401).json({ error: 'Your account has been disabled.', code: 'USER_DISABLED' })
+        : res.status(401).json({ error: 'Your role has changed. Please log in again.', code: 'ROLE_CHANGED' })
+    }
+
+    const { token, payload, expiresAt } = signAccessToken(session)
+    res.json({
+      token,
+      tokenExpiresAt:       expiresAt,
+      refreshToken:         rotated.refreshToken,
+      googleTokenExpiresAt: payload.googleTokenExpiresAt,
+      user:                 publicUser(payload),
+      refresh:              refreshHints({ user: payload }),
+    })
+  } catch (err) {
+    console.error('[auth/refresh]', err)
+    res.status(500).json({ error: 'Failed to refresh session' })
+  }
+})
+
+// ── POST /api/auth/refresh-google ────────────────────────────────────
+// Body: { googleAccessToken } — a new token obtained silently on the client.
+// Swaps it into the session and returns a new access JWT carrying it.
+router.post('/refresh-google', requireAuth, async (req, res) => {
+  if (req.user.apiKey) return res.status(400).json({ error: 'API keys have no Google session' })
+  const { googleAccessToken } = req.body || {}
+  if (!googleAccessToken || typeof googleAccessToken !== 'string')
+    return res.status(400).json({ error: 'googleAccessToken is required' })
+
+  try {
+    const gRes = await fetch('https://www.googleapis.com/oauth2/v3/userinfo', {
+      headers: { Authorization: `Bearer ${googleAccessToken}` },
+    })
+    if (!gRes.ok) return res.status(401).json({ error: 'Invalid or expired Google token' })
+    const profile = await gRes.json()
+    if ((profile.email || '').toLowerCase().trim() !== req.user.email)
+      return res.status(403).json({ error: 'Google account does not match the signed-in user' })
+
+    tokenStore.set(req.user.email, googleAccessToken)
+    if (req.user.role === 'admin') setAdminEmail(req.user.email)
+
+    const encryptedGoogleToken = tokenStore.encrypt(googleAccessToken)
+    const googleTokenExpiresAt = Date.now() + GOOGLE_TOKEN_TTL_MS
+    await setSessionGoogleToken(req.user.sid, encryptedGoogleToken, googleTokenExpiresAt, { token: googleAccessToken })
+
+    const { token, expiresAt } = signAccessToken({ ...req.user, encryptedGoogleToken, googleTokenExpiresAt })
+    res.json({ token, tokenExpiresAt: expiresAt, googleTokenExpiresAt })
+  } catch (err) {
+    console.error('[auth/refresh-google]', err)
+    res.status(500).json({ error: 'Failed to refresh Google token' })
+  }
+})
+
 // ── GET /api/auth/me ─────────────────────────────────────────────────
 router.get('/me', requireAuth, (req, res) => {
-  res.json({ user: req.user })
+  res.json({ user: req.user, refresh: refreshHints(req) })
 })
 
 // ── POST /api/auth/logout ────────────────────────────────────────────
-router.post('/logout', requireAuth, (req, res) => {
-  res.json({ success: true })
+// Revokes the caller's session; the token stops working on every instance.
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, req.user.email, { token: tokenStore.get(req.user.userId, req) })
+    tokenStore.delete(req.user.userId)
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[auth/logout]', err)
+    res.status(500).json({ error: 'Failed to log out' })
+  }
 })
 
-// ── GET /api/auth/users ──────────────────────────────────────────────
-router.get('/users', requireAuth, async (req, res) => {
-  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' })
+// ── GET /api/auth/sessions?email= ────────────────────────────────────
+// Active sessions, newest first — all users, or one.
+router.get('/sessions', requireAuth, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    const email = req.query.email ? String(req.query.email).toLowerCase().trim() : undefined
+    res.json({ sessions: await listSessions({ email }) })
+  } catch (err) {
+    console.error('[auth/sessions GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to list sessions' })
+  }
+})
+
+// ── DELETE /api/auth/sessions?email= ─────────────────────────────────
+// Force-logout: revokes every active session of a user.
+router.delete('/sessions', requireAuth, requirePermission('sessions:manage'), async (req, res) => {
+  const email = String(req.query.email || '').toLowerCase().trim()
+  if (!email) return res.status(400).json({ error: 'email query param is required' })
+
+  try {
+    const revoked = await revokeUserSessions(email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/sessions', tab: SESSIONS_TAB,
+      before: { email }, after: { revoked },
+    })
+    res.json({ success: true, revoked })
+  } catch (err) {
+    console.error('[auth/sessions DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to revoke sessions' })
+  }
+})
+
+// ── DELETE /api/auth/sessions/:sid ───────────────────────────────────
+router.delete('/sessions/:sid', requireAuth, requirePermission('sessions:manage'), async (req, res) => {
+  try {
+    if (!(await revokeSession(req.params.sid, req.user.email)))
+      return res.status(404).json({ error: 'Session not found or already ended' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/sessions/:sid', tab: SESSIONS_TAB,
+      before: { sid: req.params.sid }, after: null,
+    })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[auth/sessions DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to revoke session' })
+  }
+})
 
+// ── GET /api/auth/keys ───────────────────────────────────────────────
+// Which signing / encryption keys are configured and which one is current.
+router.get('/keys', requireAuth, requirePermission('keys:read'), (req, res) => {
+  res.json({ keys: describeKeys() })
+})
+
+// ── GET /api/auth/users ──────────────────────────────────────────────
+router.get('/users', requireAuth, requirePermission('users:read'), async (req, res) => {
   // If no token available yet (cold start, no service account)
   if (!(await isReady())) {
     const users = BOOTSTRAP_ADMINS.map(e => ({ email: e, role: 'admin', addedBy: 'env', addedAt: '' }))
@@ -108,8 +450,8 @@ router.get('/users', requireAuth, async (req, res) => {
   }
 
   try {
-    const [users, sheetId] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
-    res.json({ users, sheetId, sheetReady: true })
+    const [users, sheetId, invitations] = await Promise.all([getAllUsers(), getUsersTabSheetId(), listInvitations()])
+    res.json({ users, invitations, sheetId, sheetReady: true })
   } catch (err) {
     console.error('[auth/users GET]', err)
     const users = BOOTSTRAP_ADMINS.map(e => ({ email: e, role: 'admin', addedBy: 'env', addedAt: '' }))
@@ -118,12 +460,11 @@ router.get('/users', requireAuth, async (req, res) => {
 })
 
 // ── POST /api/auth/users ─────────────────────────────────────────────
-router.post('/users', requireAuth, async (req, res) => {
-  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' })
-
+router.post('/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
   const { email, role } = req.body
   if (!email || !role) return res.status(400).json({ error: 'email and role are required' })
-  if (!['admin', 'user'].includes(role)) return res.status(400).json({ error: 'role must be admin or user' })
+  if (!(await checkRoleExists(res, role))) return
+  if (!(await checkAdminChange(req, res, role))) return
 
   const e = email.toLowerCase().trim()
   if (BOOTSTRAP_ADMINS.includes(e))
@@ -138,6 +479,10 @@ router.post('/users', requireAuth, async (req, res) => {
       return res.status(409).json({ error: 'المستخدم مضاف بالفعل' })
 
     await addUser(e, role, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/auth/users', tab: USERS_TAB,
+      before: null, after: { email: e, role, addedBy: req.user.email },
+    })
     const [users, sheetId] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
     res.json({ success: true, users, sheetId, sheetReady: true })
   } catch (err) {
@@ -146,17 +491,115 @@ router.post('/users', requireAuth, async (req, res) => {
   }
 })
 
+// ── GET /api/auth/users/:email ───────────────────────────────────────
+// One user with their latest logins.
+router.get('/users/:email([^/]+@[^/]+)', requireAuth, requirePermission('users:read'), async (req, res) => {
+  const email = req.params.email.toLowerCase().trim()
+  try {
+    const user = await findUserByEmail(email)
+      || (await getAllUsers()).find(u => u.email === email)  // bootstrap-only users have no row
+    if (!user) return res.status(404).json({ error: 'User not found' })
+    res.json({ user, logins: await listLogins(email, { limit: 20 }) })
+  } catch (err) {
+    console.error('[auth/users/:email GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load user' })
+  }
+})
+
+// ── GET /api/auth/users/:email/logins?limit= ─────────────────────────
+router.get('/users/:email([^/]+@[^/]+)/logins', requireAuth, requirePermission('users:read'), async (req, res) => {
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 50
+  if (isNaN(limit) || limit < 1) return res.status(400).json({ error: 'Invalid limit' })
+  try {
+    res.json({ logins: await listLogins(req.params.email, { limit: Math.min(limit, MAX_LOGINS) }) })
+  } catch (err) {
+    console.error('[auth/users/:email/logins GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load login history' })
+  }
+})
+
+// ── PUT /api/auth/users/:email ───────────────────────────────────────
+// Body: { role?, disabled? } — a disabled user keeps their row but can't log
+// in, and their open sessions end.
+router.put('/users/:email([^/]+@[^/]+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const email = req.params.email.toLowerCase().trim()
+  const { role, disabled } = req.body || {}
+  if (role === undefined && disabled === undefined)
+    return res.status(400).json({ error: 'role or disabled is required' })
+  if (disabled !== undefined && typeof disabled !== 'boolean')
+    return res.status(400).json({ error: 'disabled must be true or false' })
+  if (role !== undefined && !(await checkRoleExists(res, role))) return
+  if (disabled && email === req.user.email)
+    return res.status(400).json({ error: 'You cannot disable your own account' })
+  if (BOOTSTRAP_ADMINS.includes(email) || BOOTSTRAP_USERS.includes(email))
+    return res.status(400).json({ error: 'This user is defined in the server settings (ADMIN_EMAILS / USER_EMAILS)' })
+
+  try {
+    const before = await findUserByEmail(email)
+    if (!before) return res.status(404).json({ error: 'User not found' })
+    if (!(await checkAdminChange(req, res, role, before.role))) return
+
+    const after = await updateUserByEmail(email, { role, disabled }, req.user.email)
+    await refreshCache()
+    if (after.role !== before.role || (after.disabled && !before.disabled)) {
+      await revokeUserSessions(email, req.user.email)
+    }
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/auth/users/:email', tab: USERS_TAB, row: before.__rowIndex,
+      before: auditUser(before), after: auditUser(after),
+    })
+    res.json({ success: true, user: after })
+  } catch (err) {
+    console.error('[auth/users/:email PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to update user' })
+  }
+})
+
+// ── DELETE /api/auth/users/:email ────────────────────────────────────
+router.delete('/users/:email([^/]+@[^/]+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const email = req.params.email.toLowerCase().trim()
+  if (BOOTSTRAP_ADMINS.includes(email) || BOOTSTRAP_USERS.includes(email))
+    return res.status(400).json({ error: 'This user is defined in the server settings (ADMIN_EMAILS / USER_EMAILS)' })
+
+  try {
+    const before = await findUserByEmail(email)
+    if (!before) return res.status(404).json({ error: 'User not found' })
+    if (!(await checkAdminChange(req, res, before.role))) return
+    if (!(await removeUserByEmail(email))) return res.status(404).json({ error: 'User not found' })
+    await refreshCache()
+    await revokeUserSessions(email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/users/:email', tab: USERS_TAB, row: before.__rowIndex,
+      before: auditUser(before), after: null,
+    })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[auth/users/:email DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove user' })
+  }
+})
+
 // ── PUT /api/auth/users/:rowIndex ────────────────────────────────────
-router.put('/users/:rowIndex', requireAuth, async (req, res) => {
-  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' })
+// Kept for existing clients — prefer PUT /users/:email. Row positions shift
+// when users are removed.
+router.put('/users/:rowIndex(\\d+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
   const rowNum = parseInt(req.params.rowIndex)
   const { role } = req.body
-  if (!role || !['admin', 'user'].includes(role)) return res.status(400).json({ error: 'Valid role required' })
   if (isNaN(rowNum) || rowNum < 2) return res.status(400).json({ error: 'Invalid rowIndex' })
+  if (!(await checkRoleExists(res, role))) return
 
   try {
-    await updateUserRole(rowNum, role)
+    const before = (await refreshCache()).find(u => u.__rowIndex === rowNum)
+    if (!before) return res.status(404).json({ error: 'No user at this row' })
+    if (!(await checkAdminChange(req, res, role, before.role))) return
+    // The row may have moved since — then nothing is written
+    if (!(await updateUserRole(rowNum, role, { email: before.email }))) return res.status(404).json({ error: 'No user at this row' })
     await refreshCache()
+    if (before.role !== role) await revokeUserSessions(before.email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/auth/users/:rowIndex', tab: USERS_TAB, row: rowNum,
+      before: auditUser(before), after: { ...auditUser(before), role },
+    })
     const [users, sheetId] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
     res.json({ success: true, users, sheetId, sheetReady: true })
   } catch (err) {
@@ -166,16 +609,29 @@ router.put('/users/:rowIndex', requireAuth, async (req, res) => {
 })
 
 // ── DELETE /api/auth/users/:rowIndex ─────────────────────────────────
-router.delete('/users/:rowIndex', requireAuth, async (req, res) => {
-  if (req.user?.role !== 'admin') return res.status(403).json({ error: 'Admin only' })
+// Kept for existing clients — prefer DELETE /users/:email.
+router.delete('/users/:rowIndex(\\d+)', requireAuth, requirePermission('users:manage'), async (req, res) => {
   const rowNum  = parseInt(req.params.rowIndex)
   const sheetId = parseInt(req.query.sheetId)
   if (isNaN(rowNum) || rowNum < 2) return res.status(400).json({ error: 'Invalid rowIndex' })
   if (isNaN(sheetId)) return res.status(400).json({ error: 'sheetId query param required' })
 
   try {
-    await removeUser(rowNum, sheetId)
+    // Only ever a user's row of the users tab, whatever sheetId says
+    if (sheetId !== await getUsersTabSheetId()) {
+      return res.status(400).json({ error: 'sheetId is not the users tab' })
+    }
+    const before = (await refreshCache()).find(u => u.__rowIndex === rowNum)
+    if (!before) return res.status(404).json({ error: 'No user at this row' })
+    if (!(await checkAdminChange(req, res, before.role))) return
+    // The row may have moved since — then nothing is deleted
+    if (!(await removeUser(rowNum, { email: before.email }))) return res.status(404).json({ error: 'No user at this row' })
     await refreshCache()
+    await revokeUserSessions(before.email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/users/:rowIndex', tab: USERS_TAB, row: rowNum,
+      before: auditUser(before), after: null,
+    })
     const [users, sid] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
     res.json({ success: true, users, sheetId: sid, sheetReady: true })
   } catch (err) {
@@ -184,4 +640,164 @@ router.delete('/users/:rowIndex', requireAuth, async (req, res) => {
   }
 })
 
+// ── PUT /api/auth/users/by-id/:id ────────────────────────────────────
+// Same as PUT /users/:rowIndex, but addressed by the user's stable id.
+router.put('/users/by-id/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const { role } = req.body
+  if (!(await checkRoleExists(res, role))) return
+
+  try {
+    const before = await findUserById(req.params.id)
+    if (!before) return res.status(404).json({ error: 'User not found' })
+    if (!(await checkAdminChange(req, res, role, before.role))) return
+    if (!(await updateUserRoleById(req.params.id, role)))
+      return res.status(404).json({ error: 'User not found' })
+    await refreshCache()
+    if (before.role !== role) await revokeUserSessions(before.email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/auth/users/by-id/:id', tab: USERS_TAB, row: before.__rowIndex,
+      before: auditUser(before), after: { ...auditUser(before), role },
+    })
+    const [users, sheetId] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
+    res.json({ success: true, users, sheetId, sheetReady: true })
+  } catch (err) {
+    console.error('[auth/users/by-id PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to update role' })
+  }
+})
+
+// ── DELETE /api/auth/users/by-id/:id ─────────────────────────────────
+router.delete('/users/by-id/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const before = await findUserById(req.params.id)
+    if (!before) return res.status(404).json({ error: 'User not found' })
+    if (!(await checkAdminChange(req, res, before.role))) return
+    if (!(await removeUserById(req.params.id)))
+      return res.status(404).json({ error: 'User not found' })
+    await refreshCache()
+    await revokeUserSessions(before.email, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/users/by-id/:id', tab: USERS_TAB, row: before.__rowIndex,
+      before: auditUser(before), after: null,
+    })
+    const [users, sheetId] = await Promise.all([getAllUsers(), getUsersTabSheetId()])
+    res.json({ success: true, users, sheetId, sheetReady: true })
+  } catch (err) {
+    console.error('[auth/users/by-id DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove user' })
+  }
+})
+
+// ── GET /api/auth/invitations?all=true ───────────────────────────────
+// Pending and expired invitations (also part of GET /users); `all` adds
+// accepted and revoked ones.
+router.get('/invitations', requireAuth, requirePermission('users:read'), async (req, res) => {
+  try {
+    res.json({ invitations: await listInvitations({ all: req.query.all === 'true' }) })
+  } catch (err) {
+    console.error('[auth/invitations GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load invitations' })
+  }
+})
+
+// ── POST /api/auth/invitations ───────────────────────────────────────
+// Body: { email, role, expiresInDays? } — the user is added on their first login.
+router.post('/invitations', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const { email, role, expiresInDays = INVITE_DEFAULT_DAYS } = req.body || {}
+  const e = String(email || '').toLowerCase().trim()
+  if (!/^[^@\s]+@[^@\s]+$/.test(e)) return res.status(400).json({ error: 'A valid email is required' })
+  const days = Number(expiresInDays)
+  if (!Number.isInteger(days) || days < 1 || days > INVITE_MAX_DAYS)
+    return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${INVITE_MAX_DAYS}` })
+  if (!(await checkRoleExists(res, role))) return
+  if (!(await checkAdminChange(req, res, role))) return
+
+  try {
+    if (BOOTSTRAP_ADMINS.includes(e) || BOOTSTRAP_USERS.includes(e) || (await getAllUsers()).find(u => u.email === e))
+      return res.status(409).json({ error: 'المستخدم مضاف بالفعل' })
+    if (await findPendingInvitation(e))
+      return res.status(409).json({ error: 'This email already has a pending invitation', code: 'INVITE_PENDING' })
+
+    const invitation = await createInvitation({ email: e, role, days, invitedBy: req.user.email })
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/auth/invitations', tab: INVITATIONS_TAB,
+      before: null, after: invitation,
+    })
+    res.status(201).json({ success: true, invitation })
+  } catch (err) {
+    console.error('[auth/invitations POST]', err)
+    res.status(500).json({ error: err.message || 'Failed to create invitation' })
+  }
+})
+
+// ── DELETE /api/auth/invitations/:id ─────────────────────────────────
+router.delete('/invitations/:id', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const invitation = await revokeInvitation(req.params.id, req.user.email)
+    if (!invitation) return res.status(404).json({ error: 'No pending invitation with this id' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/invitations/:id', tab: INVITATIONS_TAB,
+      before: { ...invitation, revokedAt: '', revokedBy: '', status: 'pending' }, after: invitation,
+    })
+    res.json({ success: true, invitation })
+  } catch (err) {
+    console.error('[auth/invitations DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to revoke invitation' })
+  }
+})
+
+// ── GET /api/auth/domains ────────────────────────────────────────────
+router.get('/domains', requireAuth, requirePermission('users:read'), async (req, res) => {
+  try {
+    res.json({ domains: await getDomains() })
+  } catch (err) {
+    console.error('[auth/domains GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load domains' })
+  }
+})
+
+// ── PUT /api/auth/domains/:domain ────────────────────────────────────
+// Body: { role } — verified accounts on this domain join with this role on
+// their first login. Admin-level roles can't be handed out this way.
+router.put('/domains/:domain', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const domain = normalizeDomain(req.params.domain)
+  const { role } = req.body || {}
+  const domainError = checkDomain(domain)
+  if (domainError) return res.status(400).json({ error: domainError })
+  if (!(await checkRoleExists(res, role))) return
+  if (role === ADMIN_ROLE || (await roleHasPermission(role, 'users:manage-admins')))
+    return res.status(400).json({ error: 'Domains cannot grant an admin-level role — invite admins by email' })
+
+  try {
+    const before = (await getDomains()).find(d => d.domain === domain) || null
+    const after  = await setDomain(domain, role, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/auth/domains/:domain', tab: DOMAINS_TAB,
+      before, after,
+    })
+    res.json({ success: true, domain: after })
+  } catch (err) {
+    console.error('[auth/domains PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to save domain' })
+  }
+})
+
+// ── DELETE /api/auth/domains/:domain ─────────────────────────────────
+// Stops new enrolments only; users who already joined stay.
+router.delete('/domains/:domain', requireAuth, requirePermission('users:manage'), async (req, res) => {
+  const domain = normalizeDomain(req.params.domain)
+  try {
+    const before = (await getDomains()).find(d => d.domain === domain)
+    if (!before || !(await removeDomain(domain))) return res.status(404).json({ error: 'Domain is not allow-listed' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/auth/domains/:domain', tab: DOMAINS_TAB,
+      before, after: null,
+    })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[auth/domains DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove domain' })
+  }
+})
+
 export default router
\ No newline at end of file
@@ -0,0 +1,75 @@
+// routes/permissions.js
+//
+// Admin management of the per-tab access rules enforced by routes/sheets.js.
+
+import { Router }                         from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import {
+  PERMISSIONS_TAB, ACTIONS, getRules, setRule, removeRule, isProtectedTab,
+} from '../config/permissionStore.js'
+import { USERS_TAB }   from '../config/userStore.js'
+import { systemTabs }  from '../config/sheetTab.js'
+import { recordAudit } from '../config/auditStore.js'
+
+const router = Router()
+
+// ── GET /api/permissions ─────────────────────────────────────────────
+router.get('/', requireAuth, requirePermission('permissions:manage'), async (req, res) => {
+  try {
+    const rules = await getRules()
+    res.json({ rules, actions: ACTIONS, protectedTabs: [...new Set([USERS_TAB, ...systemTabs()])] })
+  } catch (err) {
+    console.error('[permissions GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load permissions' })
+  }
+})
+
+// ── PUT /api/permissions/:tabName ────────────────────────────────────
+// Body: { read: [...], append: [...], edit: [...], delete: [...] }
+// Each list holds roles and/or emails ("*" = every signed-in user).
+router.put('/:tabName', requireAuth, requirePermission('permissions:manage'), async (req, res) => {
+  const { tabName } = req.params
+  if (isProtectedTab(tabName)) {
+    return res.status(400).json({ error: `"${tabName}" is a system tab and is always admin-only` })
+  }
+
+  const body = req.body || {}
+  for (const action of ACTIONS) {
+    const v = body[action]
+    if (v !== undefined && !Array.isArray(v) && typeof v !== 'string') {
+      return res.status(400).json({ error: `${action} must be an array or a comma-separated string` })
+    }
+  }
+
+  try {
+    const before = (await getRules()).find(r => r.tab === tabName) || null
+    const rule   = await setRule(tabName, body, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/permissions/:tabName', tab: PERMISSIONS_TAB,
+      before, after: rule,
+    })
+    res.json({ success: true, rule })
+  } catch (err) {
+    console.error('[permissions PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to save permissions' })
+  }
+})
+
+// ── DELETE /api/permissions/:tabName ─────────────────────────────────
+// Removes the rule; the tab falls back to being open to every signed-in user.
+router.delete('/:tabName', requireAuth, requirePermission('permissions:manage'), async (req, res) => {
+  try {
+    const before = (await getRules()).find(r => r.tab === req.params.tabName)
+    if (!before || !(await removeRule(req.params.tabName))) return res.status(404).json({ error: 'No rule for this tab' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/permissions/:tabName', tab: PERMISSIONS_TAB,
+      before, after: null,
+    })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[permissions DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove permissions' })
+  }
+})
+
+export default router
@@ -0,0 +1,86 @@
+// routes/roles.js
+//
+// Named roles and their permissions (config/roleStore.js). Users hold one
+// role; requirePermission() checks it on every route.
+
+import { Router }                         from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { recordAudit }                    from '../config/auditStore.js'
+import { getAllUsers }                    from '../config/userStore.js'
+import {
+  ROLES_TAB, PERMISSIONS, DEFAULT_ROLES, checkRoleDefinition, getRole, getRoles, setRole, removeRole,
+} from '../config/roleStore.js'
+
+const router = Router()
+
+// ── GET /api/roles ───────────────────────────────────────────────────
+// Every role plus the permission catalog, for the role editor and user forms.
+router.get('/', requireAuth, requirePermission('users:read'), async (req, res) => {
+  try {
+    res.json({ roles: await getRoles(), permissions: PERMISSIONS })
+  } catch (err) {
+    console.error('[roles GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load roles' })
+  }
+})
+
+// ── PUT /api/roles/:role ─────────────────────────────────────────────
+// Body: { permissions: ['sheets:read', ...], description? }
+// Creates the role or replaces its definition. Takes effect on the next request.
+router.put('/:role', requireAuth, requirePermission('roles:manage'), async (req, res) => {
+  const name = String(req.params.role).toLowerCase().trim()
+  const { permissions, description } = req.body || {}
+
+  const error = checkRoleDefinition(name, permissions)
+  if (error) return res.status(400).json({ error })
+  if (description !== undefined && typeof description !== 'string') {
+    return res.status(400).json({ error: 'description must be a string' })
+  }
+
+  try {
+    const before = await getRole(name)
+    const role   = await setRole(name, { permissions, description }, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/roles/:role', tab: ROLES_TAB,
+      before, after: role,
+    })
+    res.json({ success: true, role })
+  } catch (err) {
+    console.error('[roles PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to save role' })
+  }
+})
+
+// ── DELETE /api/roles/:role ──────────────────────────────────────────
+// A built-in role goes back to its default definition. A custom role can only
+// be deleted once no user holds it.
+router.delete('/:role', requireAuth, requirePermission('roles:manage'), async (req, res) => {
+  const name = String(req.params.role).toLowerCase().trim()
+
+  try {
+    const before = await getRole(name)
+    if (!before?.customized) {
+      return res.status(404).json({ error: before ? 'This role has its default definition already' : 'Role not found' })
+    }
+
+    if (!(name in DEFAULT_ROLES)) {
+      const holders = (await getAllUsers()).filter(u => u.role === name).map(u => u.email)
+      if (holders.length > 0) {
+        return res.status(409).json({ error: `${holders.length} user(s) still have this role`, code: 'ROLE_IN_USE', users: holders })
+      }
+    }
+
+    await removeRole(name)
+    const after = await getRole(name)
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/roles/:role', tab: ROLES_TAB,
+      before, after,
+    })
+    res.json({ success: true, role: after })
+  } catch (err) {
+    console.error('[roles DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove role' })
+  }
+})
+
+export default router
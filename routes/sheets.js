@@ -4,35 +4,38 @@
 // The frontend NEVER talks to Google directly — it talks to us.
 // We retrieve the Google token from the server-side store and attach it.
 
-import { Router }          from 'express'
-import fetch               from 'node-fetch'
-import { requireAuth }     from '../middleware/auth.js'
-import { getServiceToken } from '../config/serviceAccount.js'
-import { tokenStore }      from '../config/tokenStore.js'
+import { Router, raw }     from 'express'
+import ExcelJS             from 'exceljs'
+import { requireAuth, requirePermission, hasPermission, selectWorkspace } from '../middleware/auth.js'
+import {
+  sheetsFetch, sheetsErrorFrom, requestToken, SheetsError, getQuotaUsage, breakerState,
+} from '../config/sheetsClient.js'
+import { canAccess }       from '../config/permissionStore.js'
+import { cacheSlot, invalidateTab, etagOf } from '../config/sheetCache.js'
+import { colIndexToLetter, a1Range } from '../config/sheetTab.js'
+import { recordAudit }     from '../config/auditStore.js'
+import { dispatchRowChanges } from '../config/webhookDelivery.js'
+import { publishRowChanges, subscribeEvents, toSse } from '../config/liveEvents.js'
+import { saveCursor, loadCursor } from '../config/syncCursors.js'
+import { TRASH_TAB, fitsInTrash, addToTrash, listTrash, getTrashEntry, removeFromTrash } from '../config/trashStore.js'
+import { recordRowVersions, rowHistory } from '../config/rowHistoryStore.js'
+import {
+  getSchema, setSchema, validateRow, checkSchemaDefinition, toDataValidationRequests,
+} from '../config/schemaStore.js'
+import { ROW_ID_HEADER, newRowId, withRowId, isValidRowId } from '../lib/rowIds.js'
+import { rowVersion, parseVersion, expectedVersion, versionMatches } from '../lib/rowVersion.js'
+import { parseRowQuery, applyRowQuery } from '../lib/rowQuery.js'
+import { keyRows, diffRows, diffFields } from '../lib/rowDiff.js'
+import { BOM, FORMULA_START, toCsvRow } from '../lib/csv.js'
+import { parseReportQuery, runReport } from '../lib/report.js'
+import { detectFormat, parseUpload } from '../lib/importFile.js'
 
 const router = Router()
 
-const SHEET_ID = process.env.SHEET_ID
-
-// ── Helper: convert 1-based column index to letter(s) (e.g. 1→A, 26→Z, 27→AA) ──
-function colIndexToLetter(index) {
-  let letter = ''
-  while (index > 0) {
-    const mod = (index - 1) % 26
-    letter = String.fromCharCode(65 + mod) + letter
-    index  = Math.floor((index - 1) / 26)
-  }
-  return letter
-}
-
 // ── Helper: get a valid Google token (service account preferred) ─────
+// Falls back to the user's OAuth token from the JWT (expires after ~60 min).
 async function getGoogleToken(req, res) {
-  // Primary: service account token (never expires, auto-refreshes)
-  const saToken = await getServiceToken()
-  if (saToken) return saToken
-
-  // Fallback: user's OAuth token from JWT (expires after ~60 min)
-  const token = tokenStore.get(req.user.userId, req)
+  const token = await requestToken(req)
   if (!token) {
     res.status(401).json({
       error: 'Google session expired. Please reconnect Google Sheets.',
@@ -43,55 +46,531 @@ async function getGoogleToken(req, res) {
   return token
 }
 
+// ── Helper: send a Sheets client error (config/sheetsClient.js) ─────
+// GOOGLE_TOKEN_EXPIRED lets the frontend silently refresh the token and
+// retry; SHEETS_QUOTA_EXCEEDED and SHEETS_UNAVAILABLE come with Retry-After.
+function sendSheetsError(res, err) {
+  console.error('[sheets] Google error:', err.code, err.message)
+  if (err.retryAfterMs != null) res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)))
+  return res.status(err.status).json({ error: err.message, code: err.code })
+}
+
 // ── Helper: forward Google API errors cleanly ───────────────────────
 async function handleGoogleError(googleRes, res) {
-  const body = await googleRes.json().catch(() => ({}))
-  const msg  = body?.error?.message || `Google API error ${googleRes.status}`
-  console.error('[sheets] Google error:', msg)
-  // If Google returns 401, include GOOGLE_TOKEN_EXPIRED code so the
-  // frontend can silently refresh the token and retry the request.
-  const extra = googleRes.status === 401 ? { code: 'GOOGLE_TOKEN_EXPIRED' } : {}
-  return res.status(googleRes.status).json({ error: msg, ...extra })
+  return sendSheetsError(res, await sheetsErrorFrom(googleRes))
+}
+
+// ── Helper: the 500 for a failed handler ────────────────────────────
+// Timeouts, an open circuit breaker and the like keep their own status.
+function sendFailure(res, err, message) {
+  if (err instanceof SheetsError) return sendSheetsError(res, err)
+  return res.status(500).json({ error: message })
+}
+
+// ── Helper: enforce per-tab access rules (config/permissionStore.js) ──
+// `tabName` must be the exact title of a tab in the spreadsheet (404
+// otherwise) — Google also resolves other spellings of a title, such as the
+// quoted form, and those must not get past the rules. `{ mayCreate: true }`
+// (ensure-tab) also accepts a name no tab has yet. Names with ' or ! are
+// refused outright. Sends an error and returns false when the caller may not
+// `action` the tab.
+async function checkTabAccess(req, res, tabName, action, googleToken, { mayCreate = false } = {}) {
+  if (typeof tabName !== 'string' || /['!]/.test(tabName)) {
+    res.status(400).json({ error: 'Tab names cannot contain \' or !', code: 'INVALID_TAB_NAME' })
+    return false
+  }
+  try {
+    const found = await resolveTabTitle(req, tabName, googleToken)
+    if (found.gRes) { await handleGoogleError(found.gRes, res); return false }
+    if (!found.title && !mayCreate) {
+      res.status(404).json({ error: `No tab named "${tabName}"`, code: 'TAB_NOT_FOUND' })
+      return false
+    }
+    const title = found.title ?? found.similar ?? tabName
+    if (await canAccess(req.user, title, action, { token: googleToken })) return true
+    res.status(403).json({ error: `You do not have ${action} access to "${tabName}"`, code: 'TAB_FORBIDDEN' })
+  } catch (err) {
+    if (err instanceof SheetsError) { sendSheetsError(res, err); return false }
+    console.error('[sheets] Permission check failed:', err.message)
+    res.status(503).json({ error: 'Could not verify tab permissions. Please try again.' })
+  }
+  return false
+}
+
+// ── Helper: read the current values of specific rows ────────────────
+// Used to capture "before" values for the audit log. Returns { gRes } when
+// Google refuses the read, otherwise { rows: Map(rowIndex → values[]) }.
+async function readRows(req, sheetName, rowNums, googleToken) {
+  const params = new URLSearchParams(rowNums.map(n => ['ranges', a1Range(sheetName, `${n}:${n}`)]))
+  const gRes   = await sheetsFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values:batchGet?${params}`,
+    { token: googleToken, user: req.user.email }
+  )
+  if (!gRes.ok) return { gRes }
+  const data = await gRes.json()
+  return { rows: new Map(rowNums.map((n, i) => [n, data.valueRanges?.[i]?.values?.[0] || []])) }
+}
+
+// ── Helper: read a tab's header row ─────────────────────────────────
+// Returns { gRes } when Google refuses the read, otherwise { header: [...] }.
+async function readHeader(req, sheetName, googleToken) {
+  const gRes = await sheetsFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(sheetName, '1:1'))}`,
+    { token: googleToken, user: req.user.email }
+  )
+  if (!gRes.ok) return { gRes }
+  const data = await gRes.json()
+  return { header: data.values?.[0] || [] }
+}
+
+// ── Helper: validate rows against the tab's schema (config/schemaStore.js) ──
+// `header` is the tab's header row; `rows` is [{ row, values }] where `row`
+// identifies the row in the error report. Returns the per-field errors ([]
+// when every row is valid); throws if the schema can't be loaded.
+async function schemaErrors(req, sheetName, header, rows, googleToken, { partial = false } = {}) {
+  const schema = await getSchema(req.workspace.id, sheetName, { token: googleToken })
+  if (schema.length === 0) return []
+  return rows.flatMap(({ row, values }) =>
+    validateRow(schema, header, values, { partial }).map(e => ({ row, ...e })))
+}
+
+// Sends 400 with the per-field errors and returns false if any row is invalid.
+async function checkSchema(req, res, sheetName, header, rows, googleToken, options) {
+  try {
+    const fields = await schemaErrors(req, sheetName, header, rows, googleToken, options)
+    if (fields.length === 0) return true
+    res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_FAILED', fields })
+  } catch (err) {
+    console.error('[sheets] Schema check failed:', err.message)
+    res.status(503).json({ error: 'Could not load the tab schema. Please try again.' })
+  }
+  return false
+}
+
+// ── Helper: store a tab's schema and mirror it into Sheets data validation ──
+// Pushing the rules is best-effort: the server-side check is what counts.
+async function applySchema(req, tabName, schema, header, sheetId, googleToken) {
+  const stored   = await setSchema(req.workspace.id, tabName, schema, req.user.email, { token: googleToken })
+  const requests = toDataValidationRequests(stored, header, sheetId)
+  if (requests.length === 0) return { schema: stored, dataValidation: true }
+
+  const gRes = await sheetsFetch(`https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}:batchUpdate`, {
+    method:  'POST',
+    token:   googleToken,
+    user:    req.user.email,
+    body:    JSON.stringify({ requests }),
+  })
+  if (!gRes.ok) {
+    const body = await gRes.json().catch(() => ({}))
+    console.warn('[sheets] Could not push data validation:', body?.error?.message || gRes.status)
+  }
+  return { schema: stored, dataValidation: gRes.ok }
+}
+
+// ── Read cache (config/sheetCache.js) ───────────────────────────────
+// ?fresh=true skips the cached copy. (Not Cache-Control: no-cache — fetch()
+// adds that to every request carrying If-None-Match.)
+const bypassCache = req => req.query.fresh === 'true'
+
+// Forget cached reads of a tab once this backend has written to it
+const invalidate = (req, tabName, options) => invalidateTab(req.workspace.spreadsheetId, tabName, options)
+
+// ── Helper: fetch the spreadsheet's tab list (title + numeric sheetId) ──
+// Cached. Returns { gRes } when Google refuses the read, otherwise { tabs: [properties] }.
+async function readTabs(req, googleToken, { fresh = bypassCache(req) } = {}) {
+  const slot = await cacheSlot(req.workspace.spreadsheetId, null, '', { bypass: fresh })
+  if (slot.hit) return { tabs: slot.hit.data }
+
+  const gRes = await sheetsFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}?fields=sheets.properties`,
+    { token: googleToken, user: req.user.email }
+  )
+  if (!gRes.ok) return { gRes }
+  const meta = await gRes.json()
+  return { tabs: slot.save((meta.sheets || []).map(s => s.properties)).data }
+}
+
+// ── Helper: match a requested tab name to a real tab ────────────────
+// Returns { gRes } when Google refuses the read, otherwise { title } — the
+// exact title, or null — and `similar`, a title that differs only in letter
+// case (Google treats those as the same tab). A miss re-reads the tab list in
+// case the cached one predates the tab.
+async function resolveTabTitle(req, tabName, googleToken) {
+  let meta = await readTabs(req, googleToken)
+  if (!meta.gRes && !meta.tabs.some(t => t.title === tabName)) meta = await readTabs(req, googleToken, { fresh: true })
+  if (meta.gRes) return meta
+  if (meta.tabs.some(t => t.title === tabName)) return { title: tabName, similar: null }
+  const similar = meta.tabs.find(t => t.title.toLowerCase() === tabName.toLowerCase())
+  return { title: null, similar: similar?.title ?? null }
+}
+
+// ── Helper: read a tab's values ─────────────────────────────────────
+// Cached. `range` is an A1 range within the tab ('' = the whole tab).
+// Returns { gRes } when Google refuses the read, otherwise { values, etag }.
+async function readValues(req, tabName, range, googleToken) {
+  const slot = await cacheSlot(req.workspace.spreadsheetId, tabName, range, { bypass: bypassCache(req) })
+  if (slot.hit) return { values: slot.hit.data, etag: slot.hit.etag }
+
+  const gRes = await sheetsFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName, range))}`,
+    { token: googleToken, user: req.user.email }
+  )
+  if (!gRes.ok) return { gRes }
+  const fresh = slot.save((await gRes.json()).values || [])
+  return { values: fresh.data, etag: fresh.etag }
+}
+
+// ── Helper: find the current row position of a stable row ID ────────
+// Returns { gRes } when Google refuses a read, otherwise { header, rowIndex }
+// where rowIndex is null if the tab has no ID column or the ID is unknown.
+async function findRowById(req, sheetName, id, googleToken) {
+  const head = await readHeader(req, sheetName, googleToken)
+  if (head.gRes) return head
+
+  const idIndex = head.header.indexOf(ROW_ID_HEADER)
+  if (idIndex === -1) return { header: head.header, rowIndex: null }
+
+  const col  = colIndexToLetter(idIndex + 1)
+  const gRes = await sheetsFetch(
+    `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(sheetName, `${col}:${col}`))}`,
+    { token: googleToken, user: req.user.email }
+  )
+  if (!gRes.ok) return { gRes }
+  const data = await gRes.json()
+  const pos  = (data.values || []).findIndex((cell, i) => i > 0 && cell[0] === id)
+  return { header: head.header, rowIndex: pos === -1 ? null : pos + 1 }
+}
+
+// ── Helper: hide a tab's ID column, stamping IDs onto existing rows ──
+// Called by ensure-tab when the ID column is first added. Returns { gRes }
+// if Google refuses a call, otherwise {}.
+async function setupIdColumn(req, tabName, sheetId, idIndex, googleToken, { backfill }) {
+  if (backfill) {
+    const valRes = await sheetsFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName))}`,
+      { token: googleToken, user: req.user.email }
+    )
+    if (!valRes.ok) return { gRes: valRes }
+    const rowCount = ((await valRes.json()).values || []).length
+    if (rowCount > 1) {
+      const col  = colIndexToLetter(idIndex + 1)
+      const ids  = Array.from({ length: rowCount - 1 }, () => [newRowId()])
+      const gRes = await sheetsFetch(
+        `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName, `${col}2:${col}${rowCount}`))}?valueInputOption=RAW`,
+        {
+          method:  'PUT',
+          token:   googleToken,
+          user:    req.user.email,
+          body:    JSON.stringify({ values: ids }),
+        }
+      )
+      if (!gRes.ok) return { gRes }
+    }
+  }
+
+  const gRes = await sheetsFetch(`https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}:batchUpdate`, {
+    method:  'POST',
+    token:   googleToken,
+    user:    req.user.email,
+    body: JSON.stringify({
+      requests: [{
+        updateDimensionProperties: {
+          range:      { sheetId, dimension: 'COLUMNS', startIndex: idIndex, endIndex: idIndex + 1 },
+          properties: { hiddenByUser: true },
+          fields:     'hiddenByUser',
+        },
+      }],
+    }),
+  })
+  return gRes.ok ? {} : { gRes }
+}
+
+// ── Helper: read a JSON body ────────────────────────────────────────
+// On Vercel serverless, body-parser may not fire for PUT — fall back to the raw stream.
+async function readBody(req) {
+  if (req.body && typeof req.body === 'object' && Object.keys(req.body).length) return req.body
+  try {
+    const raw = await new Promise((resolve, reject) => {
+      let data = ''
+      req.on('data', chunk => { data += chunk })
+      req.on('end', () => resolve(data))
+      req.on('error', reject)
+    })
+    return raw ? JSON.parse(raw) : {}
+  } catch { return {} }
+}
+
+// ── Helper: reject a write whose precondition failed ────────────────
+// Includes the row as it is now so the client can merge and retry.
+function sendConflict(res, rowNum, current) {
+  res.status(409).json({
+    error:   'This row was changed by someone else. Reload it and try again.',
+    code:    'VERSION_CONFLICT',
+    current: { rowIndex: rowNum, values: current, version: rowVersion(current) },
+  })
+}
+
+// ── Helper: reply with a tab listing ────────────────────────────────
+// Applies the filter / sort / fields / limit / cursor query params
+// (lib/rowQuery.js) to the tab's values. values[], rowIndexes[] and
+// versions[] stay aligned; index 0 is the header row.
+// `listing` is readValues()' { values, etag }. The response ETag covers the
+// values, the query and the workspace, so a client that already has this
+// listing gets 304 before anything is built. If-None-Match is compared here
+// rather than through req.fresh, which never matches when the request also
+// says Cache-Control: no-cache — and fetch() adds that to conditional requests.
+function sendListing(req, res, { values, etag }, extra) {
+  const tag = `W/"${etagOf([etag, req.workspace.id, req.originalUrl, extra])}"`
+  res.set('Cache-Control', 'private, no-cache')
+  res.set('ETag', tag)
+  const known = (req.get('If-None-Match') || '').split(',').map(t => t.trim().replace(/^W\//, ''))
+  if (known.includes(tag.slice(2)) || known.includes('*')) return res.status(304).end()
+
+  const [header = [], ...body] = values
+  const query = parseRowQuery(req.query, header)
+  if (query.error) return res.status(400).json({ error: query.error })
+
+  const rows = body.map((v, i) => ({ rowIndex: i + 2, values: v, version: rowVersion(v) }))
+  const page = applyRowQuery(header, rows, query)
+  res.json({
+    values:     values.length ? [page.header, ...page.rows.map(r => r.values)] : [],
+    rowIndexes: values.length ? [null, ...page.rows.map(r => r.rowIndex)] : [],
+    versions:   values.length ? [null, ...page.rows.map(r => r.version)] : [],
+    total:      page.total,
+    matched:    page.matched,
+    nextCursor: page.nextCursor,
+    ...extra,
+  })
 }
 
+// ── Helper: "PUT /api/sheets/row/:rowIndex" — route label for the audit log ──
+const routeLabel = req => `${req.method} ${req.baseUrl}${req.route.path}`
+
+// ── Helper: report row changes — audit log, row history, live events, webhooks ──
+// `changes` is [{ row, before, after }] for one tab (row = rowIndex; before /
+// after = values, null for an append / delete). Without `header` the tab's
+// header row is read, once, only if row history or a webhook needs it. Never
+// throws.
+async function recordRowChanges(req, tabName, changes, googleToken, header) {
+  const actor = { email: req.user.email, role: req.user.role }
+  let   head  = header
+  const getHeader = async () => (head ??= (await readHeader(req, tabName, googleToken)).header)
+
+  publishRowChanges({ workspace: req.workspace.id, tab: tabName, actor, changes })
+  await recordAudit(changes.map(c => ({
+    actor: req.user.email, route: routeLabel(req), workspace: req.workspace.id, tab: tabName, ...c,
+  })), { token: googleToken })
+  await recordRowVersions({
+    workspace: req.workspace.id,
+    tab:       tabName,
+    header:    getHeader,
+    changedBy: req.user.email,
+    route:     routeLabel(req),
+    changes,
+  }, { token: googleToken })
+  await dispatchRowChanges({
+    workspace: req.workspace.id,
+    tab:       tabName,
+    actor,
+    header:    getHeader,
+    changes,
+  }, { token: googleToken })
+}
+
+// ── Helper: append rows at the end of a tab ─────────────────────────
+// Uses the Sheets API native append endpoint — it locates the first empty
+// row automatically and inserts new rows into the grid if the sheet is full,
+// avoiding "exceeds grid limits" errors from manual row calculation.
+// Returns { gRes } when Google refuses, otherwise { result, firstRow } where
+// firstRow is the first appended rowIndex (null if Google didn't say).
+async function appendRows(req, sheetName, rows, googleToken) {
+  const range = encodeURIComponent(a1Range(sheetName, 'A1'))
+  const url   = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${range}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`
+  const gRes  = await sheetsFetch(url, {
+    method:  'POST',
+    token:   googleToken,
+    user:    req.user.email,
+    body:    JSON.stringify({ values: rows }),
+  })
+  if (!gRes.ok) return { gRes }
+  await invalidate(req, sheetName)
+  const result = await gRes.json()
+
+  // updatedRange looks like "Sheet1!A12:F13" — first appended row is 12
+  const firstRow = parseInt(/![A-Z]+(\d+)/.exec(result.updates?.updatedRange || '')?.[1], 10)
+  return { result, firstRow: isNaN(firstRow) ? null : firstRow }
+}
+
+// ── Helper: overwrite one row's cells, from column A ────────────────
+// Returns { gRes } when Google refuses, otherwise { result, stored } where
+// stored(previous) is the whole row as Sheets now stores it (USER_ENTERED
+// may reformat values; cells beyond the written range are unchanged).
+async function writeRow(req, sheetName, rowNum, rowValues, googleToken) {
+  // Determine last column letter dynamically based on values array length
+  const lastCol = colIndexToLetter(rowValues.length)
+  const range   = a1Range(sheetName, `A${rowNum}:${lastCol}${rowNum}`)
+  const url     = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED&includeValuesInResponse=true`
+  const gRes    = await sheetsFetch(url, {
+    method:  'PUT',
+    token:   googleToken,
+    user:    req.user.email,
+    body:    JSON.stringify({ values: [rowValues] }),
+  })
+  if (!gRes.ok) return { gRes }
+  await invalidate(req, sheetName)
+  const result  = await gRes.json()
+  const written = result.updatedData?.values?.[0] ?? rowValues
+  return { result, stored: previous => [...written, ...previous.slice(written.length)] }
+}
+
+// ── Helper: move one row to the recycle bin (rows below move up) ────
+// The row is copied to the trash tab (config/trashStore.js) before it is
+// deleted, and the copy is taken out again if Google refuses the delete.
+// `values` / `header` are the row's cells and the tab's header row. Returns
+// { gRes } when Google refuses, otherwise { result, trashId }.
+async function removeRow(req, tabName, sheetId, rowNum, googleToken, { values, header }) {
+  const idAt    = header.indexOf(ROW_ID_HEADER)
+  const trashId = await addToTrash({
+    workspace: req.workspace.id,
+    tab:       tabName,
+    rowIndex:  rowNum,
+    rowId:     idAt === -1 ? '' : values[idAt],
+    header,
+    values,
+    deletedBy: req.user.email,
+  }, { token: googleToken })
+
+  const url  = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}:batchUpdate`
+  const gRes = await sheetsFetch(url, {
+    method:  'POST',
+    token:   googleToken,
+    user:    req.user.email,
+    body: JSON.stringify({
+      requests: [{
+        deleteDimension: {
+          range: {
+            sheetId,
+            dimension:  'ROWS',
+            startIndex: rowNum - 1,
+            endIndex:   rowNum,
+          },
+        },
+      }],
+    }),
+  })
+  if (!gRes.ok) {
+    await removeFromTrash([trashId], { token: googleToken })
+      .catch(err => console.error('[sheets] Could not take a row back out of the trash:', err.message))
+    return { gRes }
+  }
+  await invalidate(req, tabName)
+  return { result: await gRes.json(), trashId }
+}
+
+// ── Shared write path: overwrite one row ────────────────────────────
+// Used by PUT /row/:rowIndex and PUT /rows/:id once the row position is known
+// and the caller's edit access has been checked. Validates against the schema,
+// enforces the client's version precondition (`expected`, null = none), keeps
+// the row's stable ID, writes, records the audit entry and responds.
+async function updateRow(req, res, { sheetName, rowNum, values, header, expected, googleToken }) {
+  // values may arrive as [..] or [[..]] — the Sheets API wants the latter
+  let rowValues = Array.isArray(values[0]) ? values[0] : values
+  if (!(await checkSchema(req, res, sheetName, header, [{ row: rowNum, values: rowValues }], googleToken, { partial: true }))) return
+
+  const before = await readRows(req, sheetName, [rowNum], googleToken)
+  if (before.gRes) return handleGoogleError(before.gRes, res)
+  const previous = before.rows.get(rowNum)
+  if (!versionMatches(expected, rowVersion(previous))) return sendConflict(res, rowNum, previous)
+
+  // Never let a row update overwrite (or blank) the row's ID
+  const idIndex = header.indexOf(ROW_ID_HEADER)
+  if (idIndex !== -1 && rowValues.length > idIndex) {
+    rowValues = withRowId(rowValues, idIndex, previous[idIndex] || newRowId())
+  }
+
+  const write = await writeRow(req, sheetName, rowNum, rowValues, googleToken)
+  if (write.gRes) return handleGoogleError(write.gRes, res)
+
+  await recordRowChanges(req, sheetName, [{ row: rowNum, before: previous, after: rowValues }], googleToken, header)
+
+  const version = rowVersion(write.stored(previous))
+  res.set('ETag', `"${version}"`)
+  res.json({ ...write.result, version })
+}
+
+// Sent instead of deleting a row the recycle bin can't hold
+const TOO_LARGE_FOR_TRASH = 'This row is too large to keep in the recycle bin, so it was not deleted. Shorten its longest cells and try again.'
+function sendTooLargeForTrash(res) {
+  return res.status(413).json({ error: TOO_LARGE_FOR_TRASH, code: 'ROW_TOO_LARGE_FOR_TRASH' })
+}
+
+// ── Shared write path: delete one row ───────────────────────────────
+// Used by DELETE /row/:rowIndex and DELETE /rows/:id once the row position is
+// known and the caller's delete access has been checked. `expected` is the
+// client's version precondition (null = none). The row goes to the recycle
+// bin; the response carries its trashId for a restore.
+async function deleteRow(req, res, { tabName, sheetId, rowNum, header, expected, googleToken }) {
+  const before = await readRows(req, tabName, [rowNum], googleToken)
+  if (before.gRes) return handleGoogleError(before.gRes, res)
+  const previous = before.rows.get(rowNum)
+  if (!versionMatches(expected, rowVersion(previous))) return sendConflict(res, rowNum, previous)
+
+  if (!header) {
+    const head = await readHeader(req, tabName, googleToken)
+    if (head.gRes) return handleGoogleError(head.gRes, res)
+    header = head.header
+  }
+
+  if (!fitsInTrash({ header, values: previous })) return sendTooLargeForTrash(res)
+
+  const removal = await removeRow(req, tabName, sheetId, rowNum, googleToken, { values: previous, header })
+  if (removal.gRes) return handleGoogleError(removal.gRes, res)
+
+  await recordRowChanges(req, tabName, [{ row: rowNum, before: previous, after: null }], googleToken, header)
+
+  res.json({ ...removal.result, trashId: removal.trashId })
+}
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/quota
+// Google Sheets calls made by this server instance over the last minute,
+// per user ("system" = the server's own config tabs), and whether the
+// circuit breaker is holding calls back. Google's default quota is 60 reads
+// and 60 writes per minute per user, 300 each per project.
+// ─────────────────────────────────────────────────────────────────────
+router.get('/quota', requireAuth, requirePermission('usage:read'), (req, res) => {
+  res.json({ windowSeconds: 60, breaker: breakerState(), users: getQuotaUsage() })
+})
+
 // ─────────────────────────────────────────────────────────────────────
 // GET /api/sheets/data
-// Returns all rows from the first sheet tab.
+// Returns rows from the first sheet tab, plus versions[] (one per row, null
+// for the header) for use as If-Match on later writes.
+// Supports the listing query params — see GET /tab-data.
 // ─────────────────────────────────────────────────────────────────────
-router.get('/data', requireAuth, async (req, res) => {
+router.get('/data', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
   try {
     // Step 1: get sheet metadata (tab name + sheetId)
-    const metaRes = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
-      { headers: { Authorization: `Bearer ${googleToken}` } }
-    )
-    if (!metaRes.ok) return handleGoogleError(metaRes, res)
+    const meta = await readTabs(req, googleToken)
+    if (meta.gRes) return handleGoogleError(meta.gRes, res)
 
-    const meta       = await metaRes.json()
-    const firstSheet = meta.sheets[0].properties
+    const firstSheet = meta.tabs[0]
     const sheetName  = firstSheet.title
     const sheetId    = firstSheet.sheetId
 
-    // Step 2: fetch values
-    const valRes = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(sheetName + '!A:Z')}`,
-      { headers: { Authorization: `Bearer ${googleToken}` } }
-    )
-    if (!valRes.ok) return handleGoogleError(valRes, res)
+    if (!(await checkTabAccess(req, res, sheetName, 'read', googleToken))) return
 
-    const data = await valRes.json()
+    // Step 2: fetch values
+    const listing = await readValues(req, sheetName, '', googleToken)
+    if (listing.gRes) return handleGoogleError(listing.gRes, res)
 
-    res.json({
-      values:    data.values || [],
-      sheetName,
-      sheetId,
-    })
+    sendListing(req, res, listing, { sheetName, sheetId })
   } catch (err) {
     console.error('[sheets/data]', err)
-    res.status(500).json({ error: 'Failed to fetch sheet data' })
+    sendFailure(res, err, 'Failed to fetch sheet data')
   }
 })
 
@@ -99,7 +578,7 @@ router.get('/data', requireAuth, async (req, res) => {
 // POST /api/sheets/append
 // Body: { values: [...], sheetName: "Sheet1" }
 // ─────────────────────────────────────────────────────────────────────
-router.post('/append', requireAuth, async (req, res) => {
+router.post('/append', requireAuth, requirePermission('sheets:append'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
@@ -107,52 +586,48 @@ router.post('/append', requireAuth, async (req, res) => {
   if (!Array.isArray(values) || !sheetName) {
     return res.status(400).json({ error: 'values (array) and sheetName are required' })
   }
+  if (!(await checkTabAccess(req, res, sheetName, 'append', googleToken))) return
 
   try {
-    // Use the Sheets API native append endpoint — it locates the first empty
-    // row automatically and inserts new rows into the grid if the sheet is
-    // full, avoiding "exceeds grid limits" errors from manual row calculation.
-    const range = encodeURIComponent(`${sheetName}!A1`)
-    const url = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${range}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`
-    const gRes = await fetch(url, {
-      method:  'POST',
-      headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ values }),
-    })
-    if (!gRes.ok) return handleGoogleError(gRes, res)
-    res.json(await gRes.json())
+    const head = await readHeader(req, sheetName, googleToken)
+    if (head.gRes) return handleGoogleError(head.gRes, res)
+
+    const input = Array.isArray(values[0]) ? values : [values]
+    if (!(await checkSchema(req, res, sheetName, head.header, input.map((v, i) => ({ row: i, values: v })), googleToken))) return
+
+    // Tabs set up through ensure-tab carry a hidden ID column — stamp new rows
+    const idIndex = head.header.indexOf(ROW_ID_HEADER)
+    const ids     = idIndex === -1 ? [] : input.map(() => newRowId())
+    const rows    = idIndex === -1 ? input : input.map((row, i) => withRowId(row, idIndex, ids[i]))
+
+    const appended = await appendRows(req, sheetName, rows, googleToken)
+    if (appended.gRes) return handleGoogleError(appended.gRes, res)
+
+    const { firstRow } = appended
+    await recordRowChanges(req, sheetName, rows.map((row, i) => ({
+      row: firstRow === null ? null : firstRow + i, before: null, after: row,
+    })), googleToken, head.header)
+
+    res.json({ ...appended.result, ids })
   } catch (err) {
     console.error('[sheets/append]', err)
-    res.status(500).json({ error: 'Failed to append row' })
+    sendFailure(res, err, 'Failed to append row')
   }
 })
 
 // ─────────────────────────────────────────────────────────────────────
 // PUT /api/sheets/row/:rowIndex
-// Body: { values: [...], sheetName: "Sheet1" }
+// Body: { values: [...], sheetName: "Sheet1", expectedVersion? }
+// Header: If-Match: "<version>" (optional; takes precedence over expectedVersion)
 // ─────────────────────────────────────────────────────────────────────
-router.put('/row/:rowIndex', requireAuth, async (req, res) => {
+router.put('/row/:rowIndex', requireAuth, requirePermission('sheets:edit'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
   const { rowIndex } = req.params
-
-  // Robustly read body — on Vercel serverless, body-parser may not fire for PUT
-  let parsedBody = req.body
-  if (!parsedBody || typeof parsedBody !== 'object' || !Object.keys(parsedBody).length) {
-    try {
-      const raw = await new Promise((resolve, reject) => {
-        let data = ''
-        req.on('data', chunk => { data += chunk })
-        req.on('end', () => resolve(data))
-        req.on('error', reject)
-      })
-      parsedBody = raw ? JSON.parse(raw) : {}
-    } catch { parsedBody = {} }
-  }
-
-  const { values, sheetName } = parsedBody
-  if (!values || !sheetName) {
+  const body = await readBody(req)
+  const { values, sheetName } = body
+  if (!Array.isArray(values) || !sheetName) {
     return res.status(400).json({ error: 'values and sheetName are required' })
   }
 
@@ -160,31 +635,25 @@ router.put('/row/:rowIndex', requireAuth, async (req, res) => {
   if (isNaN(rowNum) || rowNum < 2) {
     return res.status(400).json({ error: 'Invalid rowIndex' })
   }
+  if (!(await checkTabAccess(req, res, sheetName, 'edit', googleToken))) return
 
   try {
-    // Determine last column letter dynamically based on values array length
-    const colCount  = Array.isArray(values[0]) ? values[0].length : values.length
-    const lastCol   = colIndexToLetter(colCount)
-    const range = `${sheetName}!A${rowNum}:${lastCol}${rowNum}`
-    const url   = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`
-    const gRes  = await fetch(url, {
-      method:  'PUT',
-      headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
-      body:    JSON.stringify({ values }),
-    })
-    if (!gRes.ok) return handleGoogleError(gRes, res)
-    res.json(await gRes.json())
+    const head = await readHeader(req, sheetName, googleToken)
+    if (head.gRes) return handleGoogleError(head.gRes, res)
+    const expected = expectedVersion(req, body.expectedVersion)
+    await updateRow(req, res, { sheetName, rowNum, values, header: head.header, expected, googleToken })
   } catch (err) {
     console.error('[sheets/row PUT]', err)
-    res.status(500).json({ error: 'Failed to update row' })
+    sendFailure(res, err, 'Failed to update row')
   }
 })
 
 // ─────────────────────────────────────────────────────────────────────
 // DELETE /api/sheets/row/:rowIndex
-// Query: ?sheetId=0
+// Query: ?sheetId=0[&expectedVersion=] — or an If-Match header
+// The row is moved to the recycle bin (GET /trash) — see deleteRow().
 // ─────────────────────────────────────────────────────────────────────
-router.delete('/row/:rowIndex', requireAuth, async (req, res) => {
+router.delete('/row/:rowIndex', requireAuth, requirePermission('sheets:delete'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
@@ -202,51 +671,474 @@ router.delete('/row/:rowIndex', requireAuth, async (req, res) => {
   }
 
   try {
-    const url  = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`
-    const gRes = await fetch(url, {
-      method:  'POST',
-      headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        requests: [{
-          deleteDimension: {
-            range: {
-              sheetId:    sheetIdNum,
-              dimension:  'ROWS',
-              startIndex: rowNum - 1,
-              endIndex:   rowNum,
-            },
-          },
-        }],
-      }),
-    })
-    if (!gRes.ok) return handleGoogleError(gRes, res)
-    res.json(await gRes.json())
+    // The route is addressed by numeric sheetId — resolve the tab title for the ACL check
+    const meta = await readTabs(req, googleToken)
+    if (meta.gRes) return handleGoogleError(meta.gRes, res)
+    const tab = meta.tabs.find(t => t.sheetId === sheetIdNum)
+    if (!tab) return res.status(404).json({ error: `No tab with sheetId ${sheetIdNum}` })
+    if (!(await checkTabAccess(req, res, tab.title, 'delete', googleToken))) return
+
+    const expected = expectedVersion(req, req.query.expectedVersion)
+    await deleteRow(req, res, { tabName: tab.title, sheetId: sheetIdNum, rowNum, expected, googleToken })
   } catch (err) {
     console.error('[sheets/row DELETE]', err)
-    res.status(500).json({ error: 'Failed to delete row' })
+    sendFailure(res, err, 'Failed to delete row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/rows/:id?tabName=مشتريات بضاعة
+// Returns the row with this stable ID, wherever it currently sits.
+// ─────────────────────────────────────────────────────────────────────
+router.get('/rows/:id', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const found = await findRowById(req, tabName, req.params.id, googleToken)
+    if (found.gRes) return handleGoogleError(found.gRes, res)
+    if (!found.rowIndex) return res.status(404).json({ error: 'Row not found' })
+
+    const row = await readRows(req, tabName, [found.rowIndex], googleToken)
+    if (row.gRes) return handleGoogleError(row.gRes, res)
+    const values  = row.rows.get(found.rowIndex)
+    const version = rowVersion(values)
+    res.set('ETag', `"${version}"`)
+    res.json({ id: req.params.id, rowIndex: found.rowIndex, headers: found.header, values, version })
+  } catch (err) {
+    console.error('[sheets/rows GET]', err)
+    sendFailure(res, err, 'Failed to fetch row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// PUT /api/sheets/rows/:id
+// Body: { values: [...], sheetName: "Sheet1", expectedVersion? }
+// Header: If-Match: "<version>" (optional)
+// ─────────────────────────────────────────────────────────────────────
+router.put('/rows/:id', requireAuth, requirePermission('sheets:edit'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const body = await readBody(req)
+  const { values, sheetName } = body
+  if (!Array.isArray(values) || !sheetName) {
+    return res.status(400).json({ error: 'values and sheetName are required' })
+  }
+  if (!(await checkTabAccess(req, res, sheetName, 'edit', googleToken))) return
+
+  try {
+    const found = await findRowById(req, sheetName, req.params.id, googleToken)
+    if (found.gRes) return handleGoogleError(found.gRes, res)
+    if (!found.rowIndex) return res.status(404).json({ error: 'Row not found' })
+
+    const expected = expectedVersion(req, body.expectedVersion)
+    await updateRow(req, res, { sheetName, rowNum: found.rowIndex, values, header: found.header, expected, googleToken })
+  } catch (err) {
+    console.error('[sheets/rows PUT]', err)
+    sendFailure(res, err, 'Failed to update row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// DELETE /api/sheets/rows/:id?tabName=مشتريات بضاعة
+// ─────────────────────────────────────────────────────────────────────
+router.delete('/rows/:id', requireAuth, requirePermission('sheets:delete'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'delete', googleToken))) return
+
+  try {
+    const meta = await readTabs(req, googleToken)
+    if (meta.gRes) return handleGoogleError(meta.gRes, res)
+    const tab = meta.tabs.find(t => t.title === tabName)
+    if (!tab) return res.status(404).json({ error: `No tab named "${tabName}"` })
+
+    const found = await findRowById(req, tabName, req.params.id, googleToken)
+    if (found.gRes) return handleGoogleError(found.gRes, res)
+    if (!found.rowIndex) return res.status(404).json({ error: 'Row not found' })
+
+    const expected = expectedVersion(req, req.query.expectedVersion)
+    await deleteRow(req, res, { tabName, sheetId: tab.sheetId, rowNum: found.rowIndex, header: found.header, expected, googleToken })
+  } catch (err) {
+    console.error('[sheets/rows DELETE]', err)
+    sendFailure(res, err, 'Failed to delete row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// Row history (config/rowHistoryStore.js)
+//   GET  /api/sheets/rows/:id/history?tabName=
+//   GET  /api/sheets/row/:rowIndex/history?tabName=
+//   POST /api/sheets/rows/:id/revert         Body: { sheetName, versionId, expectedVersion? }
+//   POST /api/sheets/row/:rowIndex/revert    (same body)
+// History lists a row's versions newest first, each with the cells it changed
+// and who changed them. The last one, "original", is the row as it was before
+// the oldest recorded update. Revert writes a chosen version back through
+// updateRow(), so it is validated, version-checked and recorded like any edit.
+// ─────────────────────────────────────────────────────────────────────
+
+// Finds the row a history route is about. Sends an error and returns null,
+// or returns { header, rowNum, rowId, values } — rowNum / values are null when
+// a row looked up by ID is no longer in the tab.
+async function locateRow(req, res, tabName, googleToken) {
+  if (req.params.id) {
+    const found = await findRowById(req, tabName, req.params.id, googleToken)
+    if (found.gRes) { handleGoogleError(found.gRes, res); return null }
+    if (!found.header.includes(ROW_ID_HEADER)) {
+      res.status(404).json({ error: 'Row not found' })
+      return null
+    }
+    const current = found.rowIndex && await readRows(req, tabName, [found.rowIndex], googleToken)
+    if (current?.gRes) { handleGoogleError(current.gRes, res); return null }
+    return {
+      header: found.header,
+      rowNum: found.rowIndex,
+      rowId:  req.params.id,
+      values: current ? current.rows.get(found.rowIndex) : null,
+    }
+  }
+
+  const rowNum = parseInt(req.params.rowIndex, 10)
+  if (isNaN(rowNum) || rowNum < 2) {
+    res.status(400).json({ error: 'Invalid rowIndex' })
+    return null
+  }
+  const head = await readHeader(req, tabName, googleToken)
+  if (head.gRes) { handleGoogleError(head.gRes, res); return null }
+  const current = await readRows(req, tabName, [rowNum], googleToken)
+  if (current.gRes) { handleGoogleError(current.gRes, res); return null }
+  const values = current.rows.get(rowNum)
+  const idAt   = head.header.indexOf(ROW_ID_HEADER)
+  return { header: head.header, rowNum, rowId: idAt === -1 ? null : values[idAt] || null, values }
+}
+
+// A row's versions, newest first, as served by the history route
+async function rowVersions(req, tabName, { rowId, rowNum }, googleToken) {
+  const entries = await rowHistory({
+    workspace: req.workspace.id, tab: tabName, rowId, rowIndex: rowNum, token: googleToken,
+  })
+  if (entries.length === 0) return []
+  const versions = entries.map(e => ({
+    versionId: e.id,
+    version:   rowVersion(e.after),
+    rowIndex:  e.rowIndex,
+    header:    e.header,
+    values:    e.after,
+    changes:   diffFields(e.header, e.before, e.after),
+    changedBy: e.changedBy,
+    changedAt: e.changedAt,
+    route:     e.route,
+  })).reverse()
+  const oldest = entries[0]
+  versions.push({
+    versionId: 'original',
+    version:   rowVersion(oldest.before),
+    rowIndex:  oldest.rowIndex,
+    header:    oldest.header,
+    values:    oldest.before,
+    changes:   [],
+    changedBy: null,
+    changedAt: null,
+    route:     null,
+  })
+  return versions
+}
+
+// Shared by both history routes, once tab access has been checked
+async function sendRowHistory(req, res, { tabName, googleToken }) {
+  const row = await locateRow(req, res, tabName, googleToken)
+  if (!row) return
+  const versions = await rowVersions(req, tabName, row, googleToken)
+  if (!row.rowNum && versions.length === 0) return res.status(404).json({ error: 'Row not found' })
+
+  res.json({
+    tabName,
+    id:       row.rowId,
+    rowIndex: row.rowNum,
+    current:  row.values && { values: row.values, version: rowVersion(row.values) },
+    versions: versions.map(({ header, ...v }) => v),
+  })
+}
+
+// Shared by both revert routes, once edit access has been checked
+async function revertRow(req, res, { sheetName, versionId, expected, googleToken }) {
+  const row = await locateRow(req, res, sheetName, googleToken)
+  if (!row) return
+  if (!row.rowNum) return res.status(404).json({ error: 'Row not found' })
+
+  const target = (await rowVersions(req, sheetName, row, googleToken)).find(v => v.versionId === versionId)
+  if (!target) return res.status(404).json({ error: 'No version with this id for this row' })
+
+  // Back under today's columns; cells the version had empty are cleared
+  const { values } = remapValues(target.header, target.values, row.header)
+  const padded     = [...values, ...Array(Math.max(0, row.header.length - values.length)).fill('')]
+  await updateRow(req, res, { sheetName, rowNum: row.rowNum, values: padded, header: row.header, expected, googleToken })
+}
+
+router.get('/rows/:id/history', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    await sendRowHistory(req, res, { tabName, googleToken })
+  } catch (err) {
+    console.error('[sheets/rows history]', err)
+    sendFailure(res, err, 'Failed to load row history')
+  }
+})
+
+router.get('/row/:rowIndex/history', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    await sendRowHistory(req, res, { tabName, googleToken })
+  } catch (err) {
+    console.error('[sheets/row history]', err)
+    sendFailure(res, err, 'Failed to load row history')
+  }
+})
+
+router.post('/rows/:id/revert', requireAuth, requirePermission('sheets:edit'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const body = await readBody(req)
+  const { sheetName, versionId } = body
+  if (!sheetName || !versionId) return res.status(400).json({ error: 'sheetName and versionId are required' })
+  if (!(await checkTabAccess(req, res, sheetName, 'edit', googleToken))) return
+
+  try {
+    const expected = expectedVersion(req, body.expectedVersion)
+    await revertRow(req, res, { sheetName, versionId, expected, googleToken })
+  } catch (err) {
+    console.error('[sheets/rows revert]', err)
+    sendFailure(res, err, 'Failed to revert row')
+  }
+})
+
+router.post('/row/:rowIndex/revert', requireAuth, requirePermission('sheets:edit'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const body = await readBody(req)
+  const { sheetName, versionId } = body
+  if (!sheetName || !versionId) return res.status(400).json({ error: 'sheetName and versionId are required' })
+  if (!(await checkTabAccess(req, res, sheetName, 'edit', googleToken))) return
+
+  try {
+    const expected = expectedVersion(req, body.expectedVersion)
+    await revertRow(req, res, { sheetName, versionId, expected, googleToken })
+  } catch (err) {
+    console.error('[sheets/row revert]', err)
+    sendFailure(res, err, 'Failed to revert row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/trash?tabName=&deletedBy=&limit=
+// Deleted rows of this workspace (config/trashStore.js), newest first, from
+// the tabs the caller can read.
+// ─────────────────────────────────────────────────────────────────────
+const MAX_TRASH_LIMIT = 1000
+
+router.get('/trash', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName, deletedBy } = req.query
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 200
+  if (isNaN(limit) || limit < 1) return res.status(400).json({ error: 'Invalid limit' })
+  if (tabName && !(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const entries  = await listTrash({ workspace: req.workspace.id, tab: tabName, deletedBy, token: googleToken })
+    const readable = new Map()
+    for (const tab of new Set(entries.map(e => e.tab))) {
+      readable.set(tab, await canAccess(req.user, tab, 'read', { token: googleToken }))
+    }
+    const visible = entries.filter(e => readable.get(e.tab))
+    res.json({ total: visible.length, entries: visible.slice(0, Math.min(limit, MAX_TRASH_LIMIT)) })
+  } catch (err) {
+    console.error('[sheets/trash GET]', err)
+    sendFailure(res, err, 'Failed to load the recycle bin')
+  }
+})
+
+// Put each value back under the column it was deleted from, in case columns
+// were added, moved or removed since. Returns { values, dropped } where
+// dropped lists non-empty columns the tab no longer has.
+function remapValues(fromHeader, values, toHeader) {
+  if (fromHeader.length === 0 || rowVersion(fromHeader) === rowVersion(toHeader)) return { values, dropped: [] }
+  const out = toHeader.map(h => { const i = fromHeader.indexOf(h); return i === -1 ? '' : values[i] ?? '' })
+  while (out.length && out.at(-1) === '') out.pop()
+  const dropped = fromHeader.filter((h, i) => h && !toHeader.includes(h) && (values[i] ?? '') !== '')
+  return { values: out, dropped }
+}
+
+// ─────────────────────────────────────────────────────────────────────
+// POST /api/sheets/trash/:id/restore
+// Appends the row back to the end of its tab, with its stable ID, and takes it
+// out of the recycle bin. 409 ROW_EXISTS if a row with that ID is already
+// there; 404 if the tab is gone.
+// ─────────────────────────────────────────────────────────────────────
+router.post('/trash/:id/restore', requireAuth, requirePermission('sheets:append'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  try {
+    const entry = await getTrashEntry(req.workspace.id, req.params.id, { token: googleToken })
+    if (!entry) return res.status(404).json({ error: 'No deleted row with this id' })
+    if (!(await checkTabAccess(req, res, entry.tab, 'append', googleToken))) return
+
+    const meta = await readTabs(req, googleToken)
+    if (meta.gRes) return handleGoogleError(meta.gRes, res)
+    if (!meta.tabs.some(t => t.title === entry.tab)) {
+      return res.status(404).json({ error: `The tab "${entry.tab}" no longer exists` })
+    }
+
+    const head = await readHeader(req, entry.tab, googleToken)
+    if (head.gRes) return handleGoogleError(head.gRes, res)
+    const { values, dropped } = remapValues(entry.header, entry.values, head.header)
+
+    if (entry.rowId && head.header.includes(ROW_ID_HEADER)) {
+      const found = await findRowById(req, entry.tab, entry.rowId, googleToken)
+      if (found.gRes) return handleGoogleError(found.gRes, res)
+      if (found.rowIndex) {
+        return res.status(409).json({ error: 'A row with this ID is already in the tab', code: 'ROW_EXISTS', rowIndex: found.rowIndex })
+      }
+    }
+    if (!(await checkSchema(req, res, entry.tab, head.header, [{ row: null, values }], googleToken))) return
+
+    const appended = await appendRows(req, entry.tab, [values], googleToken)
+    if (appended.gRes) return handleGoogleError(appended.gRes, res)
+    await recordRowChanges(req, entry.tab, [{ row: appended.firstRow, before: null, after: values }], googleToken, head.header)
+    await removeFromTrash([entry.id], { token: googleToken })
+
+    res.json({
+      success:  true,
+      tabName:  entry.tab,
+      rowIndex: appended.firstRow,
+      id:       entry.rowId,
+      values,
+      version:  rowVersion(values),
+      droppedColumns: dropped,
+    })
+  } catch (err) {
+    console.error('[sheets/trash restore]', err)
+    sendFailure(res, err, 'Failed to restore row')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// DELETE /api/sheets/trash/:id
+// POST   /api/sheets/trash/purge   Body: { ids: [...] } | { tabName } | { all: true }
+// Deletes rows from the recycle bin for good. Rows also expire on their own
+// after TRASH_RETENTION_DAYS.
+// ─────────────────────────────────────────────────────────────────────
+async function purgeTrash(req, res, entries, googleToken) {
+  const purged = await removeFromTrash(entries.map(e => e.id), { token: googleToken })
+  await recordAudit(entries.map(e => ({
+    actor: req.user.email, route: routeLabel(req), workspace: req.workspace.id, tab: TRASH_TAB,
+    before: e, after: null,
+  })), { token: googleToken })
+  res.json({ success: true, purged })
+}
+
+router.delete('/trash/:id', requireAuth, requirePermission('trash:purge'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  try {
+    const entry = await getTrashEntry(req.workspace.id, req.params.id, { token: googleToken })
+    if (!entry) return res.status(404).json({ error: 'No deleted row with this id' })
+    await purgeTrash(req, res, [entry], googleToken)
+  } catch (err) {
+    console.error('[sheets/trash DELETE]', err)
+    sendFailure(res, err, 'Failed to purge row')
+  }
+})
+
+router.post('/trash/purge', requireAuth, requirePermission('trash:purge'), selectWorkspace, async (req, res) => {
+  const { ids, tabName, all } = req.body || {}
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' })
+  }
+  if (!ids && !tabName && all !== true) {
+    return res.status(400).json({ error: 'Send ids, tabName, or all: true to empty the whole recycle bin' })
+  }
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  try {
+    const entries = (await listTrash({ workspace: req.workspace.id, tab: tabName, token: googleToken }))
+      .filter(e => !ids || ids.includes(e.id))
+    await purgeTrash(req, res, entries, googleToken)
+  } catch (err) {
+    console.error('[sheets/trash purge]', err)
+    sendFailure(res, err, 'Failed to purge rows')
   }
 })
 
 // ─────────────────────────────────────────────────────────────────────
 // POST /api/sheets/ensure-tab
-// Body: { tabName: "مشتريات بضاعة", headers: ["col1", "col2", ...] }
+// Body: { tabName: "مشتريات بضاعة", headers: ["col1", "col2", ...], schema? }
 // Creates a new sheet tab if it doesn't already exist, then writes headers.
-// Returns: { created: true/false, sheetId, tabName }
+// A hidden "_id" column is always added after the given headers (lib/rowIds.js).
+// Optional schema: { [header]: { type, required, min, max, options } } — see
+// config/schemaStore.js. It replaces the tab's registered schema.
+// Returns: { created: true/false, sheetId, tabName, schema? }
 // ─────────────────────────────────────────────────────────────────────
-router.post('/ensure-tab', requireAuth, async (req, res) => {
+router.post('/ensure-tab', requireAuth, requirePermission('tabs:manage'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
-  const { tabName, headers } = req.body
+  const { tabName, headers, schema } = req.body
   if (!tabName || !Array.isArray(headers) || headers.length === 0) {
     return res.status(400).json({ error: 'tabName and headers[] are required' })
   }
+  const schemaError = schema === undefined ? null : checkSchemaDefinition(schema, headers)
+  if (schemaError) return res.status(400).json({ error: schemaError })
+  if (!(await checkTabAccess(req, res, tabName, 'edit', googleToken, { mayCreate: true }))) return
+
+  const wanted = headers.includes(ROW_ID_HEADER) ? headers : [...headers, ROW_ID_HEADER]
+
+  // Registers the schema (if any) once the header row is final, and audits
+  // the change — `previous` is the header row before, null for a new tab
+  const done = async (created, sheetId, header, previous = null) => {
+    const schemaBefore = schema === undefined || created ? undefined : await getSchema(req.workspace.id, tabName, { token: googleToken })
+    const extra = schema === undefined ? {} : await applySchema(req, tabName, schema, header, sheetId, googleToken)
+    if (created || header.length > previous.length || schema !== undefined) {
+      await recordAudit({
+        actor: req.user.email, route: routeLabel(req), workspace: req.workspace.id, tab: tabName,
+        before: created ? null : { headers: previous, ...(schemaBefore && { schema: schemaBefore }) },
+        after:  { headers: header, ...(extra.schema && { schema: extra.schema }) },
+      }, { token: googleToken })
+    }
+    return res.json({ created, sheetId, tabName, ...extra })
+  }
 
   try {
-    // 1. Fetch existing sheets
-    const metaRes = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}?fields=sheets.properties`,
-      { headers: { Authorization: `Bearer ${googleToken}` } }
+    // 1. Fetch existing sheets (not cached — we are about to change them)
+    const metaRes = await sheetsFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}?fields=sheets.properties`,
+      { token: googleToken, user: req.user.email }
     )
     if (!metaRes.ok) return handleGoogleError(metaRes, res)
 
@@ -258,36 +1150,44 @@ router.post('/ensure-tab', requireAuth, async (req, res) => {
       const sheetId = existing.properties.sheetId
 
       // Read current header row to check for missing columns
-      const readUrl = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(tabName + '!1:1')}`
-      const readRes = await fetch(readUrl, { headers: { Authorization: `Bearer ${googleToken}` } })
+      const readUrl = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName, '1:1'))}`
+      const readRes = await sheetsFetch(readUrl, { token: googleToken, user: req.user.email })
       if (!readRes.ok) return handleGoogleError(readRes, res)
       const readData   = await readRes.json()
       const currentRow = readData.values?.[0] || []
 
-      const missing = headers.filter(h => !currentRow.includes(h))
+      const missing = wanted.filter(h => !currentRow.includes(h))
       if (missing.length > 0) {
         // Append missing headers to the end of row 1
         const nextCol  = colIndexToLetter(currentRow.length + 1)
         const lastCol  = colIndexToLetter(currentRow.length + missing.length)
-        const range    = `${tabName}!${nextCol}1:${lastCol}1`
-        const writeUrl = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`
-        const writeRes = await fetch(writeUrl, {
+        const range    = a1Range(tabName, `${nextCol}1:${lastCol}1`)
+        const writeUrl = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(range)}?valueInputOption=USER_ENTERED`
+        const writeRes = await sheetsFetch(writeUrl, {
           method:  'PUT',
-          headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
+          token:   googleToken,
+          user:    req.user.email,
           body: JSON.stringify({ values: [missing] }),
         })
         if (!writeRes.ok) return handleGoogleError(writeRes, res)
+
+        if (missing.includes(ROW_ID_HEADER)) {
+          const idIndex = currentRow.length + missing.indexOf(ROW_ID_HEADER)
+          const setup   = await setupIdColumn(req, tabName, sheetId, idIndex, googleToken, { backfill: true })
+          if (setup.gRes) return handleGoogleError(setup.gRes, res)
+        }
       }
 
-      return res.json({ created: false, sheetId, tabName })
+      return done(false, sheetId, [...currentRow, ...missing], currentRow)
     }
 
     // 2. Create the new tab
-    const addRes = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}:batchUpdate`,
+    const addRes = await sheetsFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}:batchUpdate`,
       {
         method:  'POST',
-        headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
+        token:   googleToken,
+        user:    req.user.email,
         body: JSON.stringify({
           requests: [{ addSheet: { properties: { title: tabName } } }],
         }),
@@ -299,53 +1199,463 @@ router.post('/ensure-tab', requireAuth, async (req, res) => {
     const newSheetId = addData.replies[0].addSheet.properties.sheetId
 
     // 3. Write header row
-    const headerUrl = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(tabName + '!A1')}?valueInputOption=USER_ENTERED`
-    const hRes = await fetch(headerUrl, {
+    const headerUrl = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName, 'A1'))}?valueInputOption=USER_ENTERED`
+    const hRes = await sheetsFetch(headerUrl, {
       method:  'PUT',
-      headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify({ values: [headers] }),
+      token:   googleToken,
+      user:    req.user.email,
+      body: JSON.stringify({ values: [wanted] }),
     })
     if (!hRes.ok) return handleGoogleError(hRes, res)
 
-    return res.json({ created: true, sheetId: newSheetId, tabName })
+    const setup = await setupIdColumn(req, tabName, newSheetId, wanted.indexOf(ROW_ID_HEADER), googleToken, { backfill: false })
+    if (setup.gRes) return handleGoogleError(setup.gRes, res)
+
+    return done(true, newSheetId, wanted)
   } catch (err) {
     console.error('[sheets/ensure-tab]', err)
-    res.status(500).json({ error: 'Failed to ensure tab' })
+    sendFailure(res, err, 'Failed to ensure tab')
+  } finally {
+    // Headers, IDs or the tab itself may have changed, even on a failure part-way
+    await invalidate(req, tabName, { tabList: true })
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/schema?tabName=مشتريات بضاعة
+// Returns the column schema registered for a tab ([] if none).
+// ─────────────────────────────────────────────────────────────────────
+router.get('/schema', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    res.json({ tabName, schema: await getSchema(req.workspace.id, tabName, { token: googleToken }) })
+  } catch (err) {
+    console.error('[sheets/schema]', err)
+    sendFailure(res, err, 'Failed to fetch schema')
   }
 })
 
 // ─────────────────────────────────────────────────────────────────────
 // GET /api/sheets/tab-data?tabName=مشتريات بضاعة
-// Returns all rows (including header) from the specified tab.
+// Returns rows (including header) from the specified tab, with rowIndexes[]
+// and versions[] aligned with values[] (null for the header row).
+// Optional query params (header names; see lib/rowQuery.js):
+//   where[col]=v | where[col][op]=v, sort=col,-col, fields=col,col, limit, cursor
+// Response adds total (all rows), matched (after filtering) and nextCursor.
+// ─────────────────────────────────────────────────────────────────────
+router.get('/tab-data', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const listing = await readValues(req, tabName, '', googleToken)
+    if (listing.gRes) return handleGoogleError(listing.gRes, res)
+
+    sendListing(req, res, listing, { tabName })
+  } catch (err) {
+    console.error('[sheets/tab-data]', err)
+    sendFailure(res, err, 'Failed to fetch tab data')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/events?tabs=مشتريات,جرد
+// Server-Sent Events: row.created / row.updated / row.deleted for the tabs the
+// caller can read (all of them, or those in ?tabs=), and "resync" when the
+// client should reload (config/liveEvents.js). Send Last-Event-ID when
+// reconnecting to get missed events. The stream ends when the JWT expires —
+// reconnect with a fresh one.
+// ─────────────────────────────────────────────────────────────────────
+const EVENTS_HEARTBEAT_MS = 25_000
+
+router.get('/events', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const tabs = req.query.tabs ? String(req.query.tabs).split(',').map(t => t.trim()).filter(Boolean) : null
+
+  res.set({
+    'Content-Type':      'text/event-stream; charset=utf-8',
+    'Cache-Control':     'no-cache, no-transform',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+  res.write('retry: 5000\n\n')
+
+  const unsubscribe = subscribeEvents({
+    workspace: req.workspace,
+    tabs,
+    token:     googleToken,
+    canRead:   tab => canAccess(req.user, tab, 'read', { token: googleToken }).catch(() => false),
+    send:      event => { if (!res.writableEnded) res.write(toSse(event)) },
+  }, { lastEventId: req.get('Last-Event-ID') })
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENTS_HEARTBEAT_MS)
+  const expiry    = req.user.exp && setTimeout(() => res.end(), req.user.exp * 1000 - Date.now())
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    clearTimeout(expiry)
+    unsubscribe()
+  })
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/changes?tabName=مشتريات&cursor=
+// Delta sync (config/syncCursors.js): the rows created, updated and deleted
+// since `cursor`, plus the cursor to send next time. Without a cursor, or
+// with one the server no longer knows, `reset` is true and `created` holds
+// every row. Deleted rows carry the rowIndex they had at the old cursor.
+// ─────────────────────────────────────────────────────────────────────
+router.get('/changes', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName, cursor } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const listing = await readValues(req, tabName, '', googleToken)
+    if (listing.gRes) return handleGoogleError(listing.gRes, res)
+
+    const [header = [], ...rows] = listing.values
+    const now  = keyRows(header, rows)
+    const last = cursor ? await loadCursor(req.workspace.spreadsheetId, tabName, String(cursor), header) : null
+    const changes = diffRows(last || new Map(), now)
+    const ofType  = type => changes.filter(c => c.type === type).map(({ type, ...row }) => row)
+
+    res.json({
+      tabName,
+      header,
+      reset:   !last,
+      cursor:  await saveCursor(req.workspace.spreadsheetId, tabName, header, now),
+      created: ofType('created'),
+      updated: ofType('updated'),
+      deleted: ofType('deleted').map(({ rowIndex, id }) => ({ rowIndex, id })),
+    })
+  } catch (err) {
+    console.error('[sheets/changes]', err)
+    sendFailure(res, err, 'Failed to load changes')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// GET /api/sheets/report?tabName=مشتريات بضاعة&bucket=التاريخ:month&groupBy=المورد&metrics=sum:السعر,count
+// Aggregates a tab on the server (lib/report.js). Accepts the same where[...]
+// filters as /tab-data. Returns groups[], totals and chart-ready series.
+// ─────────────────────────────────────────────────────────────────────
+router.get('/report', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const tab = await readValues(req, tabName, '', googleToken)
+    if (tab.gRes) return handleGoogleError(tab.gRes, res)
+
+    const [header = [], ...body] = tab.values
+    const filter = parseRowQuery({ where: req.query.where }, header)
+    if (filter.error) return res.status(400).json({ error: filter.error })
+    const report = parseReportQuery(req.query, header)
+    if (report.error) return res.status(400).json({ error: report.error })
+
+    const { rows, total, matched } = applyRowQuery(header, body.map((v, i) => ({ rowIndex: i + 2, values: v })), filter)
+    res.json({
+      tabName,
+      groupBy: report.groupBy,
+      bucket:  report.bucket,
+      metrics: report.metrics.map(m => m.key),
+      total,
+      matched,
+      ...runReport(header, rows.map(r => r.values), report),
+    })
+  } catch (err) {
+    console.error('[sheets/report]', err)
+    sendFailure(res, err, 'Failed to build report')
+  }
+})
+
 // ─────────────────────────────────────────────────────────────────────
-router.get('/tab-data', requireAuth, async (req, res) => {
+// GET /api/sheets/export?tabName=مشتريات بضاعة&format=csv|xlsx|json
+// Downloads a tab as a file. Accepts the same where / sort / fields / limit
+// params as /tab-data. The hidden _id column is left out unless listed in
+// fields. CSV is UTF-8 with a BOM so Excel shows Arabic headers correctly.
+// ─────────────────────────────────────────────────────────────────────
+const EXPORT_FORMATS = {
+  csv:  'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+}
+const EXPORT_CHUNK_ROWS = 500
+
+router.get('/export', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
   const { tabName } = req.query
+  const format = String(req.query.format || 'csv').toLowerCase()
   if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` })
+  }
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
 
   try {
-    const valRes = await fetch(
-      `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values/${encodeURIComponent(tabName + '!A:Z')}`,
-      { headers: { Authorization: `Bearer ${googleToken}` } }
+    const tab = await readValues(req, tabName, '', googleToken)
+    if (tab.gRes) return handleGoogleError(tab.gRes, res)
+
+    const [header = [], ...body] = tab.values
+    const query = parseRowQuery(req.query, header)
+    if (query.error) return res.status(400).json({ error: query.error })
+    if (!query.fields) query.fields = header.filter(h => h !== ROW_ID_HEADER)
+
+    const page = applyRowQuery(header, body.map((v, i) => ({ rowIndex: i + 2, values: v })), query)
+
+    const filename = `${tabName}.${format}`
+    res.set('Content-Type', EXPORT_FORMATS[format])
+    res.set('Content-Disposition', `attachment; filename="export.${format}"; filename*=UTF-8''${encodeURIComponent(filename)}`)
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false })
+      // Worksheet names: max 31 chars, no []:*?/\
+      const sheet = workbook.addWorksheet(String(tabName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31))
+      sheet.addRow(page.header).commit()
+      for (const r of page.rows) {
+        // Keep numbers numeric so sums and filters work in Excel
+        sheet.addRow(r.values.map(v => (/^-?\d+(\.\d+)?$/.test(v) ? Number(v) : v))).commit()
+      }
+      sheet.commit()
+      return await workbook.commit()
+    }
+
+    // CSV / JSON — written in chunks rather than one big string
+    const encodeRow = format === 'csv'
+      ? r => toCsvRow(r.values)
+      : (r, i) => (i === 0 ? '' : ',\n') + JSON.stringify(Object.fromEntries(page.header.map((h, j) => [h, r.values[j] ?? ''])))
+
+    res.write(format === 'csv' ? BOM + toCsvRow(page.header) : '[\n')
+    for (let i = 0; i < page.rows.length; i += EXPORT_CHUNK_ROWS) {
+      res.write(page.rows.slice(i, i + EXPORT_CHUNK_ROWS).map((r, j) => encodeRow(r, i + j)).join(''))
+    }
+    res.end(format === 'csv' ? '' : '\n]\n')
+  } catch (err) {
+    console.error('[sheets/export]', err)
+    if (res.headersSent) return res.destroy(err)
+    sendFailure(res, err, 'Failed to export tab')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// POST /api/sheets/import?tabName=مشتريات بضاعة[&dryRun=true]
+// Body: the raw CSV or XLSX file (Content-Type text/csv or the XLSX type;
+// ?format=csv|xlsx overrides detection). The file's first row is its header.
+// Query:
+//   mapping={"Supplier":"المورد"}  file column → tab header, as JSON.
+//                                   Default: file columns named like a tab header.
+//   dedupe=col,col     tab headers that identify a row; rows whose values match
+//                      an existing row (or an earlier row in the file) are skipped
+//   dryRun=true        validate and report only — nothing is written
+//   skipInvalid=true   on commit, write the valid rows instead of refusing
+// Rows are checked against the tab's schema and written in chunked appends.
+// Report rows are file line numbers (the header is line 1).
+// ─────────────────────────────────────────────────────────────────────
+const IMPORT_CHUNK_ROWS = 500
+
+router.post('/import', requireAuth, requirePermission('sheets:append'), selectWorkspace, raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName } = req.query
+  const dryRun      = req.query.dryRun === 'true'
+  const skipInvalid = req.query.skipInvalid === 'true'
+  if (!tabName) return res.status(400).json({ error: 'tabName query param is required' })
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the CSV or XLSX file as the request body' })
+  }
+
+  const format = detectFormat(req.body, req.get('Content-Type') || '', req.query.format)
+  if (!format) return res.status(400).json({ error: 'format must be csv or xlsx' })
+
+  let mapping = null
+  if (req.query.mapping) {
+    try { mapping = JSON.parse(req.query.mapping) } catch { /* handled below */ }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+      return res.status(400).json({ error: 'mapping must be a JSON object of file column → tab header' })
+    }
+  }
+  if (!(await checkTabAccess(req, res, tabName, 'append', googleToken))) return
+
+  try {
+    let fileRows
+    try {
+      fileRows = await parseUpload(req.body, format)
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read the ${format.toUpperCase()} file: ${err.message}` })
+    }
+    const [fileHeader = [], ...fileBody] = fileRows
+    if (fileBody.length === 0) return res.status(400).json({ error: 'The file has no data rows' })
+
+    // Not cached: duplicate checks must see the rows as they are now
+    const valRes = await sheetsFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName))}`,
+      { token: googleToken, user: req.user.email }
     )
     if (!valRes.ok) return handleGoogleError(valRes, res)
+    const [header = [], ...existing] = (await valRes.json()).values || []
+    if (header.length === 0) return res.status(400).json({ error: 'The tab has no header row — call /ensure-tab first' })
+
+    // 1. Map file columns onto tab columns: [[fileIndex, tabIndex], ...]
+    const norm    = v => String(v ?? '').trim().toLowerCase()
+    const columns = []
+    if (mapping) {
+      for (const [from, to] of Object.entries(mapping)) {
+        const fileIndex = fileHeader.indexOf(from)
+        const tabIndex  = to === ROW_ID_HEADER ? -1 : header.indexOf(to)
+        if (fileIndex === -1) return res.status(400).json({ error: `mapping: the file has no column "${from}"` })
+        if (tabIndex  === -1) return res.status(400).json({ error: `mapping: the tab has no column "${to}"` })
+        columns.push([fileIndex, tabIndex])
+      }
+    } else {
+      fileHeader.forEach((name, fileIndex) => {
+        const tabIndex = header.findIndex(h => h !== ROW_ID_HEADER && norm(h) === norm(name))
+        if (tabIndex !== -1) columns.push([fileIndex, tabIndex])
+      })
+    }
+    if (columns.length === 0) {
+      return res.status(400).json({ error: 'No file columns match the tab headers — pass a mapping' })
+    }
+
+    const dedupe  = String(req.query.dedupe || '').split(',').map(c => c.trim()).filter(Boolean)
+    const unknown = dedupe.find(c => !header.includes(c))
+    if (unknown) return res.status(400).json({ error: `dedupe: the tab has no column "${unknown}"` })
+    const keyOf = values => dedupe.map(c => norm(values[header.indexOf(c)])).join('\u0000')
+
+    // 2. Build, validate and de-duplicate every file row
+    const schema = await getSchema(req.workspace.id, tabName, { token: googleToken })
+    const width  = Math.max(...columns.map(([, t]) => t)) + 1
+    const seen   = new Map()  // dedupe key → { existingRowIndex } | { duplicateOfRow }
+    if (dedupe.length > 0) {
+      existing.forEach((values, i) => {
+        const key = keyOf(values)
+        // Rows with every dedupe column empty never count as duplicates
+        if (key.replace(/\u0000/g, '') && !seen.has(key)) seen.set(key, { existingRowIndex: i + 2 })
+      })
+    }
+
+    const errors = [], duplicateRows = [], accepted = []
+    fileBody.forEach((src, i) => {
+      const line   = i + 2
+      const values = Array(width).fill('')
+      for (const [f, t] of columns) values[t] = String(src[f] ?? '').trim()
+
+      const rowErrors = validateRow(schema, header, values)
+      if (rowErrors.length > 0) {
+        errors.push(...rowErrors.map(e => ({ row: line, ...e })))
+        return
+      }
+      if (dedupe.length > 0) {
+        const key = keyOf(values)
+        if (seen.has(key)) { duplicateRows.push({ row: line, ...seen.get(key) }); return }
+        seen.set(key, { duplicateOfRow: line })
+      }
+      accepted.push({ line, values })
+    })
+
+    const report = {
+      tabName,
+      dryRun,
+      format,
+      totalRows:      fileBody.length,
+      valid:          accepted.length,
+      invalid:        new Set(errors.map(e => e.row)).size,
+      duplicates:     duplicateRows.length,
+      mapping:        Object.fromEntries(columns.map(([f, t]) => [fileHeader[f], header[t]])),
+      ignoredColumns: fileHeader.filter((_, f) => !columns.some(([c]) => c === f)),
+      errors,
+      duplicateRows,
+    }
+    if (dryRun) return res.json(report)
+
+    if (report.invalid > 0 && !skipInvalid) {
+      return res.status(400).json({
+        error: 'The file has invalid rows — fix them or pass skipInvalid=true',
+        code:  'VALIDATION_FAILED',
+        ...report,
+      })
+    }
+
+    // 3. Commit in chunks. A leading "=", "+", "-" or "@" would turn a cell
+    //    into a formula (USER_ENTERED) — imported files are data, so force
+    //    those to text, as CSV export does.
+    const idIndex      = header.indexOf(ROW_ID_HEADER)
+    const insertedRows = []
+    const url = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName, 'A1'))}:append?valueInputOption=USER_ENTERED&insertDataOption=INSERT_ROWS`
+
+    for (let i = 0; i < accepted.length; i += IMPORT_CHUNK_ROWS) {
+      const chunk = accepted.slice(i, i + IMPORT_CHUNK_ROWS).map(({ line, values }) => {
+        const safe = values.map(v => (FORMULA_START.test(v) ? `'${v}` : v))
+        const id   = idIndex === -1 ? null : newRowId()
+        return { line, id, values: id ? withRowId(safe, idIndex, id) : safe }
+      })
 
-    const data = await valRes.json()
-    res.json({ values: data.values || [], tabName })
+      const gRes = await sheetsFetch(url, {
+        method:  'POST',
+        token:   googleToken,
+        user:    req.user.email,
+        body:    JSON.stringify({ values: chunk.map(c => c.values) }),
+      })
+      if (!gRes.ok) {
+        // Earlier chunks are already in the sheet — say exactly what was written
+        const err = await sheetsErrorFrom(gRes)
+        console.error('[sheets/import] Google error:', err.code, err.message)
+        return res.status(err.status).json({
+          error: err.message,
+          code:  err.code,
+          ...report,
+          inserted: insertedRows.length,
+          insertedRows,
+        })
+      }
+      await invalidate(req, tabName)
+      const result   = await gRes.json()
+      const firstRow = parseInt(/![A-Z]+(\d+)/.exec(result.updates?.updatedRange || '')?.[1], 10)
+
+      const written = chunk.map((c, j) => ({ row: c.line, rowIndex: isNaN(firstRow) ? null : firstRow + j, id: c.id }))
+      insertedRows.push(...written)
+      await recordRowChanges(req, tabName, chunk.map((c, j) => ({
+        row: written[j].rowIndex, before: null, after: c.values,
+      })), googleToken, header)
+    }
+
+    res.json({ ...report, inserted: insertedRows.length, insertedRows })
   } catch (err) {
-    console.error('[sheets/tab-data]', err)
-    res.status(500).json({ error: 'Failed to fetch tab data' })
+    console.error('[sheets/import]', err)
+    sendFailure(res, err, 'Failed to import file')
   }
 })
 
 // ─────────────────────────────────────────────────────────────────────
 // POST /api/sheets/batch-rows
-// Body: { sheetName, updates: [{ rowIndex, values: [...] }] }
-// Updates multiple rows in a single Google Sheets batchUpdate call.
+// Body: { sheetName, updates: [{ rowIndex, values: [...], expectedVersion? }] }
+// Updates multiple rows in a single Google Sheets batchUpdate call. If any
+// row's expectedVersion no longer matches, nothing is written (409).
 // ─────────────────────────────────────────────────────────────────────
-router.post('/batch-rows', requireAuth, async (req, res) => {
+router.post('/batch-rows', requireAuth, requirePermission('sheets:edit'), selectWorkspace, async (req, res) => {
   const googleToken = await getGoogleToken(req, res)
   if (!googleToken) return
 
@@ -363,25 +1673,241 @@ router.post('/batch-rows', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Each update must have a values array' })
     }
   }
+  if (!(await checkTabAccess(req, res, sheetName, 'edit', googleToken))) return
 
   try {
-    const url  = `https://sheets.googleapis.com/v4/spreadsheets/${SHEET_ID}/values:batchUpdate`
-    const gRes = await fetch(url, {
+    const head = await readHeader(req, sheetName, googleToken)
+    if (head.gRes) return handleGoogleError(head.gRes, res)
+
+    const rowNums   = updates.map(u => parseInt(u.rowIndex, 10))
+    const checkRows = updates.map((u, i) => ({ row: rowNums[i], values: u.values }))
+    if (!(await checkSchema(req, res, sheetName, head.header, checkRows, googleToken, { partial: true }))) return
+
+    const before  = await readRows(req, sheetName, rowNums, googleToken)
+    if (before.gRes) return handleGoogleError(before.gRes, res)
+
+    // All-or-nothing: if any row's precondition fails, nothing is written
+    const conflicts = updates
+      .map((u, i) => ({ u, rowNum: rowNums[i], current: before.rows.get(rowNums[i]) }))
+      .filter(({ u, current }) => !versionMatches(parseVersion(u.expectedVersion), rowVersion(current)))
+      .map(({ rowNum, current }) => ({ rowIndex: rowNum, values: current, version: rowVersion(current) }))
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: 'Some rows were changed by someone else. Reload them and try again.',
+        code:  'VERSION_CONFLICT',
+        conflicts,
+      })
+    }
+
+    // Never let a row update overwrite (or blank) the row's ID
+    const idIndex = head.header.indexOf(ROW_ID_HEADER)
+    const rows    = updates.map((u, i) => idIndex !== -1 && u.values.length > idIndex
+      ? withRowId(u.values, idIndex, before.rows.get(rowNums[i])[idIndex] || newRowId())
+      : u.values)
+
+    const url  = `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values:batchUpdate`
+    const gRes = await sheetsFetch(url, {
       method:  'POST',
-      headers: { Authorization: `Bearer ${googleToken}`, 'Content-Type': 'application/json' },
+      token:   googleToken,
+      user:    req.user.email,
       body: JSON.stringify({
         valueInputOption: 'USER_ENTERED',
-        data: updates.map(({ rowIndex, values }) => ({
-          range:  `${sheetName}!A${rowIndex}`,
-          values: [values],
+        includeValuesInResponse: true,
+        data: rowNums.map((rowIndex, i) => ({
+          range:  a1Range(sheetName, `A${rowIndex}`),
+          values: [rows[i]],
         })),
       }),
     })
     if (!gRes.ok) return handleGoogleError(gRes, res)
-    res.json({ updated: updates.length })
+    await invalidate(req, sheetName)
+    const result = await gRes.json()
+
+    await recordRowChanges(req, sheetName, rowNums.map((rowNum, i) => ({
+      row: rowNum, before: before.rows.get(rowNum), after: rows[i],
+    })), googleToken, head.header)
+
+    // New version per row, as Sheets now stores it (see updateRow)
+    const versions = rowNums.map((rowNum, i) => {
+      const written  = result.responses?.[i]?.updatedData?.values?.[0] ?? rows[i]
+      const previous = before.rows.get(rowNum)
+      return rowVersion([...written, ...previous.slice(written.length)])
+    })
+    res.json({ updated: updates.length, versions })
   } catch (err) {
     console.error('[sheets/batch-rows]', err)
-    res.status(500).json({ error: 'Failed to batch update rows' })
+    sendFailure(res, err, 'Failed to batch update rows')
+  }
+})
+
+// ─────────────────────────────────────────────────────────────────────
+// POST /api/sheets/sync
+// Body: { tabName, mutations: [{ clientId?, op, id?, rowIndex?, values?, version? }] }
+// Applies a queue of offline edits, in order, and answers with one result per
+// mutation (same order, clientId echoed):
+//   applied   written — `duplicate: true` when an earlier attempt already did it
+//   conflict  the row changed (or is gone) since the client's `version`;
+//             `current` holds it as it is now (null if gone). Nothing written.
+//   rejected  invalid, not allowed or failed validation (`code`, `error`, `fields`)
+//   skipped   not tried, because Google failed on an earlier mutation
+// op "create" appends `values`; a client-made `id` (tabs with an ID column)
+// makes resending the queue safe. "update" and "delete" find the row by `id`,
+// else `rowIndex`, and need the `version` the client's copy was based on
+// ("*" = whatever is there now).
+// ─────────────────────────────────────────────────────────────────────
+const MAX_SYNC_MUTATIONS = 100
+
+const SYNC_OPS = {
+  create: { permission: 'sheets:append', action: 'append' },
+  update: { permission: 'sheets:edit',   action: 'edit' },
+  delete: { permission: 'sheets:delete', action: 'delete' },
+}
+
+const rejected = (code, error, extra) => ({ status: 'rejected', code, error, ...extra })
+
+// Apply one mutation to the tab. `tab.rows` is the tab's data rows as Google
+// has them, kept current as mutations are applied. Throws when Google refuses
+// a write or the schema can't be loaded.
+async function applyMutation(req, tab, m, googleToken) {
+  const { name, sheetId, header, rows, idAt } = tab
+  const op = SYNC_OPS[m?.op]
+  if (!op) return rejected('INVALID_MUTATION', 'op must be create, update or delete')
+  if (!(await hasPermission(req, op.permission)) || !(await canAccess(req.user, name, op.action, { token: googleToken }))) {
+    return rejected('TAB_FORBIDDEN', `You do not have ${op.action} access to "${name}"`)
+  }
+  if (m.op !== 'delete' && !Array.isArray(m.values)) return rejected('INVALID_MUTATION', 'values must be an array')
+  const located = rowIndex => ({
+    rowIndex, id: idAt === -1 ? null : rows[rowIndex - 2][idAt] || null, version: rowVersion(rows[rowIndex - 2]),
+  })
+
+  if (m.op === 'create') {
+    if (m.id !== undefined && (idAt === -1 || !isValidRowId(m.id))) {
+      return rejected('INVALID_MUTATION', idAt === -1 ? 'This tab has no ID column' : 'id must be 8–64 letters, digits, "-" or "_"')
+    }
+    const id = idAt === -1 ? null : m.id || newRowId()
+    const existing = id ? rows.findIndex(r => r[idAt] === id) : -1
+    if (existing !== -1) return { status: 'applied', duplicate: true, ...located(existing + 2) }
+
+    const values = id ? withRowId(m.values, idAt, id) : m.values
+    const fields = await schemaErrors(req, name, header, [{ row: null, values }], googleToken)
+    if (fields.length) return rejected('VALIDATION_FAILED', 'Validation failed', { fields })
+
+    const appended = await appendRows(req, name, [values], googleToken)
+    if (appended.gRes) throw await sheetsErrorFrom(appended.gRes)
+    const rowIndex = appended.firstRow ?? rows.length + 2
+    while (rows.length < rowIndex - 2) rows.push([])
+    rows[rowIndex - 2] = values
+    await recordRowChanges(req, name, [{ row: appended.firstRow, before: null, after: values }], googleToken, header)
+    return { status: 'applied', ...located(rowIndex) }
+  }
+
+  // update / delete — find the row
+  let rowIndex = null
+  if (m.id !== undefined && idAt !== -1) {
+    const pos = rows.findIndex(r => r[idAt] === m.id)
+    rowIndex  = pos === -1 ? null : pos + 2
+  } else {
+    const n = parseInt(m.rowIndex, 10)
+    if (isNaN(n) || n < 2) return rejected('INVALID_MUTATION', 'id or a valid rowIndex is required')
+    rowIndex = n - 2 < rows.length ? n : null
+  }
+  const expected = parseVersion(m.version)
+  if (expected === null) return rejected('VERSION_REQUIRED', 'version is required — the version your copy of the row was based on, or "*"')
+
+  if (rowIndex === null) {
+    // Deleting a row that is already gone is what the client wanted
+    if (m.op === 'delete' && m.id !== undefined) return { status: 'applied', duplicate: true, rowIndex: null, id: m.id }
+    return { status: 'conflict', code: 'ROW_NOT_FOUND', current: null }
+  }
+  const previous = rows[rowIndex - 2]
+
+  if (m.op === 'delete') {
+    if (!versionMatches(expected, rowVersion(previous))) return { status: 'conflict', code: 'VERSION_CONFLICT', current: { ...located(rowIndex), values: previous } }
+    if (!fitsInTrash({ header, values: previous })) return rejected('ROW_TOO_LARGE_FOR_TRASH', TOO_LARGE_FOR_TRASH)
+    const removal = await removeRow(req, name, sheetId, rowIndex, googleToken, { values: previous, header })
+    if (removal.gRes) throw await sheetsErrorFrom(removal.gRes)
+    const { id } = located(rowIndex)
+    rows.splice(rowIndex - 2, 1)
+    await recordRowChanges(req, name, [{ row: rowIndex, before: previous, after: null }], googleToken, header)
+    return { status: 'applied', rowIndex, id, trashId: removal.trashId }
+  }
+
+  // Never let a row update overwrite (or blank) the row's ID
+  const values = idAt !== -1 && m.values.length > idAt
+    ? withRowId(m.values, idAt, previous[idAt] || newRowId())
+    : m.values
+  if (!versionMatches(expected, rowVersion(previous))) {
+    // An earlier attempt may have written exactly this
+    const same = rowVersion([...values, ...previous.slice(values.length)]) === rowVersion(previous)
+    if (same) return { status: 'applied', duplicate: true, ...located(rowIndex) }
+    return { status: 'conflict', code: 'VERSION_CONFLICT', current: { ...located(rowIndex), values: previous } }
+  }
+  const fields = await schemaErrors(req, name, header, [{ row: rowIndex, values }], googleToken, { partial: true })
+  if (fields.length) return rejected('VALIDATION_FAILED', 'Validation failed', { fields })
+
+  const write = await writeRow(req, name, rowIndex, values, googleToken)
+  if (write.gRes) throw await sheetsErrorFrom(write.gRes)
+  rows[rowIndex - 2] = write.stored(previous)
+  await recordRowChanges(req, name, [{ row: rowIndex, before: previous, after: values }], googleToken, header)
+  return { status: 'applied', ...located(rowIndex) }
+}
+
+router.post('/sync', requireAuth, requirePermission('sheets:read'), selectWorkspace, async (req, res) => {
+  const googleToken = await getGoogleToken(req, res)
+  if (!googleToken) return
+
+  const { tabName, mutations } = req.body || {}
+  if (!tabName || !Array.isArray(mutations) || mutations.length === 0) {
+    return res.status(400).json({ error: 'tabName and mutations[] are required' })
+  }
+  if (mutations.length > MAX_SYNC_MUTATIONS) {
+    return res.status(400).json({ error: `At most ${MAX_SYNC_MUTATIONS} mutations per request` })
+  }
+  if (!(await checkTabAccess(req, res, tabName, 'read', googleToken))) return
+
+  try {
+    const meta = await readTabs(req, googleToken)
+    if (meta.gRes) return handleGoogleError(meta.gRes, res)
+    const props = meta.tabs.find(t => t.title === tabName)
+    if (!props) return res.status(404).json({ error: `Tab "${tabName}" not found` })
+
+    // The tab as Google has it now — not the cache, since it decides the writes
+    const gRes = await sheetsFetch(
+      `https://sheets.googleapis.com/v4/spreadsheets/${req.workspace.spreadsheetId}/values/${encodeURIComponent(a1Range(tabName))}`,
+      { token: googleToken, user: req.user.email }
+    )
+    if (!gRes.ok) return handleGoogleError(gRes, res)
+    const [header = [], ...rows] = (await gRes.json()).values || []
+    const tab = { name: tabName, sheetId: props.sheetId, header, rows, idAt: header.indexOf(ROW_ID_HEADER) }
+
+    const results = []
+    let failed = false
+    for (const m of mutations) {
+      const clientId = m?.clientId ?? null
+      if (failed) { results.push({ clientId, status: 'skipped' }); continue }
+      try {
+        results.push({ clientId, ...(await applyMutation(req, tab, m, googleToken)) })
+      } catch (err) {
+        // Later mutations may depend on this one — stop here
+        console.error('[sheets/sync] Mutation failed:', err.message)
+        failed = true
+        results.push({ clientId, ...(err instanceof SheetsError
+          ? rejected(err.code, err.message)
+          : rejected('SYNC_FAILED', 'Could not apply this change. Please try again.')) })
+      }
+    }
+
+    const count = status => results.filter(r => r.status === status).length
+    res.json({
+      applied:   count('applied'),
+      conflicts: count('conflict'),
+      rejected:  count('rejected'),
+      skipped:   count('skipped'),
+      results,
+    })
+  } catch (err) {
+    console.error('[sheets/sync]', err)
+    sendFailure(res, err, 'Failed to apply mutations')
   }
 })
 
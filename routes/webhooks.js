@@ -0,0 +1,175 @@
+// routes/webhooks.js
+//
+// Admin management of outbound webhooks (config/webhookStore.js) and their
+// delivery log. Sending is config/webhookDelivery.js.
+
+import { Router }                         from 'express'
+import { requireAuth, requirePermission } from '../middleware/auth.js'
+import { recordAudit }                    from '../config/auditStore.js'
+import { replayDelivery }                 from '../config/webhookDelivery.js'
+import { getWorkspace }                   from '../config/workspaceStore.js'
+import {
+  WEBHOOKS_TAB, DELIVERY_STATUSES, checkWebhook, checkWebhookHost, listWebhooks, createWebhook, updateWebhook,
+  rotateWebhookSecret, removeWebhook, toDelivery, getDelivery, findDeliveries, listDeliveries,
+} from '../config/webhookStore.js'
+
+const router = Router()
+
+const MAX_LIMIT  = 500
+const MAX_REPLAY = 50
+
+// Error message if a webhook names a workspace that doesn't exist, else null.
+async function unknownWorkspace(workspace) {
+  if (workspace === undefined || await getWorkspace(workspace)) return null
+  return `Unknown workspace "${workspace}"`
+}
+
+// ── GET /api/webhooks ────────────────────────────────────────────────
+// Every webhook. Secrets are never returned.
+router.get('/', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    res.json({ webhooks: await listWebhooks() })
+  } catch (err) {
+    console.error('[webhooks GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load webhooks' })
+  }
+})
+
+// ── POST /api/webhooks ───────────────────────────────────────────────
+// Body: { url, tabs: ['مشتريات'] | ['*'], events: ['row.created', 'row.updated'] | ['*'], workspace?, description? }
+// `workspace` defaults to "main"; the webhook only sees changes there. The response holds the signing secret — the only time it is ever shown.
+router.post('/', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  const def   = req.body || {}
+  const error = checkWebhook(def, { creating: true }) || await checkWebhookHost(def.url)
+  if (error) return res.status(400).json({ error })
+
+  try {
+    const unknown = await unknownWorkspace(def.workspace)
+    if (unknown) return res.status(400).json({ error: unknown })
+    const { secret, webhook } = await createWebhook(def, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/webhooks', tab: WEBHOOKS_TAB,
+      before: null, after: webhook,
+    })
+    res.status(201).json({ success: true, secret, webhook })
+  } catch (err) {
+    console.error('[webhooks POST]', err)
+    res.status(err.status || 500).json({ error: err.message || 'Failed to create webhook', code: err.code })
+  }
+})
+
+// ── GET /api/webhooks/deliveries?webhookId=&status=&tab=&limit= ──────
+// The delivery log, newest first.
+router.get('/deliveries', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  const { webhookId, status, tab } = req.query
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${DELIVERY_STATUSES.join(', ')}` })
+  }
+
+  const limit = req.query.limit ? parseInt(req.query.limit, 10) : 100
+  if (isNaN(limit) || limit < 1) return res.status(400).json({ error: 'Invalid limit' })
+
+  try {
+    res.json({ deliveries: await listDeliveries({ webhookId, status, tab, limit: Math.min(limit, MAX_LIMIT) }) })
+  } catch (err) {
+    console.error('[webhooks deliveries GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load deliveries' })
+  }
+})
+
+// ── POST /api/webhooks/deliveries/replay ─────────────────────────────
+// Body: { webhookId?, status?: 'failed' | 'pending' } — default "failed".
+// Sends up to MAX_REPLAY matching deliveries again, oldest first, one
+// attempt each.
+router.post('/deliveries/replay', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  const { webhookId, status = 'failed' } = req.body || {}
+  if (!['failed', 'pending'].includes(status)) return res.status(400).json({ error: 'status must be failed or pending' })
+
+  try {
+    const found   = (await findDeliveries({ webhookId, status, limit: MAX_REPLAY })).reverse()
+    const results = []
+    for (const delivery of found) results.push(toDelivery(await replayDelivery(delivery)))
+    res.json({
+      success:    true,
+      replayed:   results.length,
+      delivered:  results.filter(d => d.status === 'delivered').length,
+      deliveries: results,
+    })
+  } catch (err) {
+    console.error('[webhooks replay]', err)
+    res.status(500).json({ error: err.message || 'Failed to replay deliveries' })
+  }
+})
+
+// ── POST /api/webhooks/deliveries/:id/replay ─────────────────────────
+// Sends one delivery again, whatever its status, and answers with the result.
+router.post('/deliveries/:id/replay', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.id)
+    if (!delivery) return res.status(404).json({ error: 'No delivery with this id' })
+    res.json({ success: true, delivery: toDelivery(await replayDelivery(delivery)) })
+  } catch (err) {
+    console.error('[webhooks replay]', err)
+    res.status(500).json({ error: err.message || 'Failed to replay delivery' })
+  }
+})
+
+// ── PUT /api/webhooks/:id ────────────────────────────────────────────
+// Body: any of { url, workspace, tabs, events, description, active }
+router.put('/:id', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  const changes = req.body || {}
+  const error   = checkWebhook(changes) || (changes.url !== undefined && await checkWebhookHost(changes.url))
+  if (error) return res.status(400).json({ error })
+
+  try {
+    const unknown = await unknownWorkspace(changes.workspace)
+    if (unknown) return res.status(400).json({ error: unknown })
+    const before  = (await listWebhooks()).find(w => w.id === req.params.id)
+    const webhook = before && await updateWebhook(req.params.id, changes)
+    if (!webhook) return res.status(404).json({ error: 'No webhook with this id' })
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/webhooks/:id', tab: WEBHOOKS_TAB,
+      before, after: webhook,
+    })
+    res.json({ success: true, webhook })
+  } catch (err) {
+    console.error('[webhooks PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to update webhook' })
+  }
+})
+
+// ── POST /api/webhooks/:id/rotate-secret ─────────────────────────────
+// A new signing secret, shown once. The old one stops working immediately.
+router.post('/:id/rotate-secret', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const rotated = await rotateWebhookSecret(req.params.id)
+    if (!rotated) return res.status(404).json({ error: 'No webhook with this id' })
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/webhooks/:id/rotate-secret', tab: WEBHOOKS_TAB,
+      before: null, after: rotated.webhook,
+    })
+    res.json({ success: true, ...rotated })
+  } catch (err) {
+    console.error('[webhooks rotate]', err)
+    res.status(err.status || 500).json({ error: err.message || 'Failed to rotate secret', code: err.code })
+  }
+})
+
+// ── DELETE /api/webhooks/:id ─────────────────────────────────────────
+// Pending retries for it fail; the delivery log stays.
+router.delete('/:id', requireAuth, requirePermission('webhooks:manage'), async (req, res) => {
+  try {
+    const webhook = await removeWebhook(req.params.id)
+    if (!webhook) return res.status(404).json({ error: 'No webhook with this id' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/webhooks/:id', tab: WEBHOOKS_TAB,
+      before: webhook, after: null,
+    })
+    res.json({ success: true, webhook })
+  } catch (err) {
+    console.error('[webhooks DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to delete webhook' })
+  }
+})
+
+export default router
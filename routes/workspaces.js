@@ -0,0 +1,107 @@
+// routes/workspaces.js
+//
+// Workspaces — one spreadsheet each — that /api/sheets/* can be pointed at
+// with the X-Workspace header (config/workspaceStore.js).
+
+import { Router }                                       from 'express'
+import { requireAuth, requirePermission, hasPermission } from '../middleware/auth.js'
+import { recordAudit }                                  from '../config/auditStore.js'
+import {
+  WORKSPACES_TAB, MAIN_WORKSPACE, checkWorkspace, getWorkspaces, isMember,
+  createWorkspace, updateWorkspace, removeWorkspace,
+} from '../config/workspaceStore.js'
+
+const router = Router()
+
+const toMembers = list => list.map(m => String(m).toLowerCase().trim()).filter(Boolean)
+
+// ── GET /api/workspaces ──────────────────────────────────────────────
+// The workspaces the caller can use. Member lists are only shown to callers
+// who manage workspaces.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const manage     = await hasPermission(req, 'workspaces:manage')
+    const workspaces = (await getWorkspaces())
+      .filter(w => manage || isMember(w, req.user))
+      .map(({ members, ...w }) => (manage ? { ...w, members } : w))
+    res.json({ workspaces, current: req.get('X-Workspace') || req.user.workspace || MAIN_WORKSPACE })
+  } catch (err) {
+    console.error('[workspaces GET]', err)
+    res.status(500).json({ error: err.message || 'Failed to load workspaces' })
+  }
+})
+
+// ── POST /api/workspaces ─────────────────────────────────────────────
+// Body: { id, name, spreadsheetId?, members?: ['user', 'someone@x.com'] }
+// With a spreadsheetId the existing spreadsheet is linked (it must be shared
+// with the service account); without one a new spreadsheet is created.
+router.post('/', requireAuth, requirePermission('workspaces:manage'), async (req, res) => {
+  const body  = req.body || {}
+  const error = checkWorkspace(body, { creating: true })
+  if (error) return res.status(400).json({ error })
+  if (body.name === undefined) return res.status(400).json({ error: 'name is required' })
+
+  try {
+    if ((await getWorkspaces()).some(w => w.id === body.id)) {
+      return res.status(409).json({ error: `Workspace "${body.id}" already exists` })
+    }
+    if (body.spreadsheetId && (await getWorkspaces()).some(w => w.spreadsheetId === body.spreadsheetId)) {
+      return res.status(409).json({ error: 'This spreadsheet is already linked to a workspace' })
+    }
+
+    const workspace = await createWorkspace({
+      id: body.id, name: body.name, spreadsheetId: body.spreadsheetId, members: toMembers(body.members || []),
+    }, req.user.email)
+    await recordAudit({
+      actor: req.user.email, route: 'POST /api/workspaces', tab: WORKSPACES_TAB,
+      before: null, after: workspace,
+    })
+    res.status(201).json({ success: true, workspace })
+  } catch (err) {
+    console.error('[workspaces POST]', err)
+    res.status(500).json({ error: err.message || 'Failed to create workspace' })
+  }
+})
+
+// ── PUT /api/workspaces/:id ──────────────────────────────────────────
+// Body: { name?, members? }
+router.put('/:id', requireAuth, requirePermission('workspaces:manage'), async (req, res) => {
+  const { name, members } = req.body || {}
+  if (req.params.id === MAIN_WORKSPACE) return res.status(400).json({ error: 'The main workspace is configured by SHEET_ID' })
+  const error = checkWorkspace({ name, members })
+  if (error) return res.status(400).json({ error })
+
+  try {
+    const before = (await getWorkspaces()).find(w => w.id === req.params.id)
+    const after  = await updateWorkspace(req.params.id, { name, members: members && toMembers(members) })
+    if (!after) return res.status(404).json({ error: 'Workspace not found' })
+    await recordAudit({
+      actor: req.user.email, route: 'PUT /api/workspaces/:id', tab: WORKSPACES_TAB,
+      before, after,
+    })
+    res.json({ success: true, workspace: after })
+  } catch (err) {
+    console.error('[workspaces PUT]', err)
+    res.status(500).json({ error: err.message || 'Failed to update workspace' })
+  }
+})
+
+// ── DELETE /api/workspaces/:id ───────────────────────────────────────
+// Unlinks the workspace. The spreadsheet and its data are not touched.
+router.delete('/:id', requireAuth, requirePermission('workspaces:manage'), async (req, res) => {
+  if (req.params.id === MAIN_WORKSPACE) return res.status(400).json({ error: 'The main workspace cannot be removed' })
+  try {
+    const removed = await removeWorkspace(req.params.id)
+    if (!removed) return res.status(404).json({ error: 'Workspace not found' })
+    await recordAudit({
+      actor: req.user.email, route: 'DELETE /api/workspaces/:id', tab: WORKSPACES_TAB,
+      before: removed, after: null,
+    })
+    res.json({ success: true })
+  } catch (err) {
+    console.error('[workspaces DELETE]', err)
+    res.status(500).json({ error: err.message || 'Failed to remove workspace' })
+  }
+})
+
+export default router
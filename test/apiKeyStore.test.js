@@ -0,0 +1,62 @@
+// test/apiKeyStore.test.js
+//
+// config/apiKeyStore.js: scope validation, what a key's scopes allow, and
+// which key rows are still usable.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkScopes, scopeAllows, isUsable } from '../config/apiKeyStore.js'
+
+const SYSTEM_TABS = ['المستخدمون', 'مفاتيح API']
+const isProtected = tab => SYSTEM_TABS.includes(tab)
+
+test('accepts read and write scopes for named tabs and "*"', () => {
+  assert.equal(checkScopes(['read:مشتريات', 'write:مشتريات', 'read:*', 'write:*'], isProtected), null)
+  assert.equal(checkScopes(['read:tab:with:colons']), null)
+})
+
+test('scopes must be a non-empty array', () => {
+  assert.match(checkScopes([]), /non-empty array/)
+  assert.match(checkScopes('read:*'), /non-empty array/)
+  assert.match(checkScopes(undefined), /non-empty array/)
+})
+
+test('rejects malformed scopes', () => {
+  for (const scope of ['مشتريات', 'delete:مشتريات', 'read:', 'read:  ', ':مشتريات', 'READ:مشتريات']) {
+    assert.match(checkScopes([scope]), /Invalid scope .* use read:<tab> or write:<tab>/, scope)
+  }
+  assert.match(checkScopes(['read:a,b']), /may not contain commas/)
+})
+
+test('system tabs cannot be granted', () => {
+  assert.match(checkScopes(['read:مشتريات', 'write:المستخدمون'], isProtected), /"المستخدمون" is a system tab/)
+})
+
+test('read scopes allow reads only', () => {
+  const scopes = ['read:مشتريات']
+  assert.ok(scopeAllows(scopes, 'مشتريات', 'read'))
+  for (const action of ['append', 'edit', 'delete']) assert.ok(!scopeAllows(scopes, 'مشتريات', action), action)
+  assert.ok(!scopeAllows(scopes, 'مبيعات', 'read'))
+})
+
+test('write scopes allow append, edit and delete but not read', () => {
+  const scopes = ['write:مشتريات']
+  for (const action of ['append', 'edit', 'delete']) assert.ok(scopeAllows(scopes, 'مشتريات', action), action)
+  assert.ok(!scopeAllows(scopes, 'مشتريات', 'read'))
+})
+
+test('"*" covers every tab for its access', () => {
+  assert.ok(scopeAllows(['read:*'], 'أي تبويب', 'read'))
+  assert.ok(!scopeAllows(['read:*'], 'أي تبويب', 'append'))
+  assert.ok(scopeAllows(['write:*', 'read:مشتريات'], 'مبيعات', 'delete'))
+})
+
+test('revoked and expired keys are not usable', () => {
+  const future = new Date(Date.now() + 60_000).toISOString()
+  const past   = new Date(Date.now() - 60_000).toISOString()
+  assert.ok(isUsable({ id: 'k1', expiresAt: '' }))
+  assert.ok(isUsable({ id: 'k1', expiresAt: future }))
+  assert.ok(!isUsable({ id: 'k1', expiresAt: past }))
+  assert.ok(!isUsable({ id: 'k1', revokedAt: past }))
+  assert.ok(!isUsable(null))
+})
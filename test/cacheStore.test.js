@@ -0,0 +1,71 @@
+// test/cacheStore.test.js
+//
+// The in-process store of config/cacheStore.js: expiry, eviction of the
+// oldest entries, and counters that outlive eviction. Time is mocked.
+
+import { test, beforeEach, afterEach, mock } from 'node:test'
+import assert from 'node:assert/strict'
+import { createMemoryStore } from '../config/cacheStore.js'
+
+beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 1_000_000 }))
+afterEach(() => mock.timers.reset())
+
+test('stores JSON values until their TTL runs out', async () => {
+  const store = createMemoryStore()
+  await store.set('k', { values: [['a', 1]] }, 1_000)
+  assert.deepEqual(await store.get('k'), { values: [['a', 1]] })
+
+  mock.timers.tick(999)
+  assert.ok(await store.get('k'))
+  mock.timers.tick(1)
+  assert.equal(await store.get('k'), null)
+})
+
+test('unknown keys read as null', async () => {
+  assert.equal(await createMemoryStore().get('missing'), null)
+})
+
+test('setting a key again replaces its value and TTL', async () => {
+  const store = createMemoryStore()
+  await store.set('k', 1, 1_000)
+  mock.timers.tick(900)
+  await store.set('k', 2, 1_000)
+  mock.timers.tick(900)
+  assert.equal(await store.get('k'), 2)
+})
+
+test('evicts the oldest entries past maxEntries', async () => {
+  const store = createMemoryStore({ maxEntries: 2 })
+  await store.set('a', 1, 60_000)
+  await store.set('b', 2, 60_000)
+  await store.set('a', 3, 60_000)   // rewriting makes it the newest
+  await store.set('c', 4, 60_000)
+  assert.equal(await store.get('b'), null)
+  assert.equal(await store.get('a'), 3)
+  assert.equal(await store.get('c'), 4)
+})
+
+test('counters count up from 1 and survive eviction', async () => {
+  const store = createMemoryStore({ maxEntries: 1 })
+  assert.equal(await store.incr('gen'), 1)
+  assert.equal(await store.incr('gen'), 2)
+  for (const key of ['x', 'y', 'z']) await store.set(key, key, 60_000)
+  assert.equal(await store.get('gen'), 2)
+  assert.equal(await store.incr('gen'), 3)
+})
+
+test('counters are dropped once unused for longer than any entry lives', async () => {
+  const store = createMemoryStore()
+  await store.set('k', 'v', 10_000)
+  await store.incr('gen')
+
+  // Reads keep a counter alive
+  mock.timers.tick(60_000)
+  assert.equal(await store.get('gen'), 1)
+
+  // Longest TTL plus a minute after its last use, the next sweep drops it
+  mock.timers.tick(70_000)
+  await store.set('other', 'v', 1_000)
+  assert.equal(await store.get('gen'), null)
+  assert.equal(await store.incr('gen'), 1)
+})
@@ -0,0 +1,47 @@
+// test/csv.test.js
+//
+// lib/csv.js: RFC 4180 quoting and formula escaping on export, and parsing of
+// uploaded CSV text.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BOM, FORMULA_START, toCsvRow, parseCsv } from '../lib/csv.js'
+
+test('writes a CRLF-terminated row, empty cells for null and undefined', () => {
+  assert.equal(toCsvRow(['a', 1, null, undefined, '']), 'a,1,,,\r\n')
+})
+
+test('quotes cells with commas, quotes or line breaks', () => {
+  assert.equal(toCsvRow(['a,b', 'say "hi"', 'two\nlines']), '"a,b","say ""hi""","two\nlines"\r\n')
+})
+
+test('escapes cells that a spreadsheet would run as formulas', () => {
+  for (const cell of ['=SUM(A1:A2)', '+1+1', '@cmd', '-cmd', '\tx']) {
+    assert.equal(toCsvRow([cell]), `'${cell}\r\n`, cell)
+  }
+  // \r also forces quoting
+  assert.equal(toCsvRow(['\rx']), `"'\rx"\r\n`)
+})
+
+test('leaves negative numbers and plain text alone', () => {
+  assert.equal(toCsvRow(['-12', '-0.5', '-.5', 'a=b', 'x@y.com']), '-12,-0.5,-.5,a=b,x@y.com\r\n')
+  assert.ok(!FORMULA_START.test('-3'))
+  assert.ok(FORMULA_START.test('-A1'))
+})
+
+test('parses quoted fields, escaped quotes and embedded line breaks', () => {
+  assert.deepEqual(parseCsv('a,"b,c","say ""hi""","x\r\ny"\n'), [['a', 'b,c', 'say "hi"', 'x\r\ny']])
+})
+
+test('handles CRLF and LF endings, a BOM and a missing final newline', () => {
+  assert.deepEqual(parseCsv(`${BOM}الاسم,السعر\r\nتفاح,5\nموز,7`), [['الاسم', 'السعر'], ['تفاح', '5'], ['موز', '7']])
+})
+
+test('drops completely empty lines but keeps empty cells', () => {
+  assert.deepEqual(parseCsv('a,b\n\n,\n,c\n'), [['a', 'b'], ['', 'c']])
+})
+
+test('round-trips what toCsvRow writes, apart from formula escaping', () => {
+  const row = ['plain', 'a,b', 'say "hi"', 'two\nlines', '']
+  assert.deepEqual(parseCsv(toCsvRow(row)), [row])
+})
@@ -0,0 +1,141 @@
+// test/googleIdToken.test.js
+//
+// config/googleIdToken.js against locally generated RS256 keys, served from a
+// local JWKS endpoint that counts how often it is fetched.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { createServer } from 'node:http'
+import { generateKeyPairSync } from 'node:crypto'
+import jwt from 'jsonwebtoken'
+import { createIdTokenVerifier } from '../config/googleIdToken.js'
+
+const CLIENT_ID = 'test-client.apps.googleusercontent.com'
+const ISSUER    = 'https://accounts.google.com'
+
+const newKey = kid => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 })
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } }
+}
+
+const keyA = newKey('key-a')
+const keyB = newKey('key-b')
+
+// What the JWKS endpoint serves; tests change it as they go
+const jwks = { keys: [keyA.jwk], status: 200, fetches: 0 }
+
+let server
+let jwksUrl
+
+before(async () => {
+  server = createServer((req, res) => {
+    jwks.fetches++
+    res.writeHead(jwks.status, { 'content-type': 'application/json', 'cache-control': 'public, max-age=3600' })
+    res.end(JSON.stringify({ keys: jwks.keys }))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  jwksUrl = `http://127.0.0.1:${server.address().port}/certs`
+})
+
+after(() => server.close())
+
+function reset() {
+  jwks.keys    = [keyA.jwk]
+  jwks.status  = 200
+  jwks.fetches = 0
+}
+
+function sign(key, claims = {}, options = {}) {
+  return jwt.sign(
+    { email: 'User@Example.com', email_verified: true, ...claims },
+    key.privateKey,
+    { algorithm: 'RS256', keyid: key.kid, audience: CLIENT_ID, issuer: ISSUER, expiresIn: '5m', ...options },
+  )
+}
+
+const verifier = (options = {}) => createIdTokenVerifier({ clientId: CLIENT_ID, jwksUrl, ...options })
+
+async function rejects(promise, status, message) {
+  await assert.rejects(promise, err => {
+    assert.equal(err.status, status)
+    if (message) assert.match(err.message, message)
+    return true
+  })
+}
+
+test('accepts a valid token and lower-cases the email', async () => {
+  reset()
+  const claims = await verifier().verify(sign(keyA))
+  assert.equal(claims.email, 'user@example.com')
+})
+
+test('rejects a bad signature', async () => {
+  reset()
+  // Signed by key B but claiming key A's kid
+  const forged = sign({ ...keyB, kid: keyA.kid })
+  await rejects(verifier().verify(forged), 401, /invalid signature/)
+})
+
+test('rejects a wrong audience', async () => {
+  reset()
+  await rejects(verifier().verify(sign(keyA, {}, { audience: 'someone-else' })), 401, /audience/)
+})
+
+test('rejects a wrong issuer', async () => {
+  reset()
+  await rejects(verifier().verify(sign(keyA, {}, { issuer: 'https://evil.example.com' })), 401, /issuer/)
+})
+
+test('rejects an expired token', async () => {
+  reset()
+  const expired = sign(keyA, { iat: Math.floor(Date.now() / 1000) - 600 })   // 5 minute lifetime
+  await rejects(verifier().verify(expired), 401, /expired/)
+})
+
+test('rejects an unverified email', async () => {
+  reset()
+  await rejects(verifier().verify(sign(keyA, { email_verified: false })), 401, /not verified/)
+})
+
+test('an unknown kid triggers one JWKS refetch', async () => {
+  reset()
+  const v = verifier({ minRefetchMs: 0 })
+  await v.verify(sign(keyA))
+  assert.equal(jwks.fetches, 1)
+
+  // Google rotated in key B
+  jwks.keys = [keyA.jwk, keyB.jwk]
+  const claims = await v.verify(sign(keyB))
+  assert.equal(claims.email, 'user@example.com')
+  assert.equal(jwks.fetches, 2)
+
+  // Known keys come from the cache
+  await v.verify(sign(keyA))
+  await v.verify(sign(keyB))
+  assert.equal(jwks.fetches, 2)
+})
+
+test('refetching for unknown kids is rate limited', async () => {
+  reset()
+  const v = verifier({ minRefetchMs: 60_000 })
+  await v.verify(sign(keyA))
+  assert.equal(jwks.fetches, 1)
+
+  // Within the minimum interval unknown kids don't reach the JWKS endpoint
+  jwks.keys = [keyA.jwk, keyB.jwk]
+  await rejects(v.verify(sign(keyB)), 401, /unknown key/)
+  await rejects(v.verify(sign({ ...keyB, kid: 'junk' })), 401, /unknown key/)
+  assert.equal(jwks.fetches, 1)
+})
+
+test('a failed JWKS fetch is a 503, not a credentials error', async () => {
+  reset()
+  jwks.status = 500
+  await rejects(verifier().verify(sign(keyA)), 503)
+})
+
+test('an unreachable JWKS endpoint is a 503', async () => {
+  reset()
+  const v = createIdTokenVerifier({ clientId: CLIENT_ID, jwksUrl: 'http://127.0.0.1:1/certs' })
+  await rejects(v.verify(sign(keyA)), 503)
+})
@@ -0,0 +1,105 @@
+// test/keyring.test.js
+//
+// config/keyring.js: parsing JWT_KEYS / JWT_CURRENT_KID / JWT_SECRET /
+// WEBHOOK_SECRET_KEY and the configuration errors startup refuses over. The
+// module reads the environment once, on import, so each case imports a fresh
+// copy with the variables set.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+
+const VARS = ['JWT_KEYS', 'JWT_CURRENT_KID', 'JWT_SECRET', 'WEBHOOK_SECRET_KEY']
+
+const SECRET_A = 'a'.repeat(32)
+const SECRET_B = 'b'.repeat(40)
+
+let copies = 0
+
+async function keyring(env) {
+  const saved = Object.fromEntries(VARS.map(v => [v, process.env[v]]))
+  for (const v of VARS) {
+    if (env[v] === undefined) delete process.env[v]
+    else process.env[v] = env[v]
+  }
+  try {
+    return await import(`../config/keyring.js?copy=${++copies}`)
+  } finally {
+    for (const v of VARS) {
+      if (saved[v] === undefined) delete process.env[v]
+      else process.env[v] = saved[v]
+    }
+  }
+}
+
+test('the first JWT_KEYS pair is current unless JWT_CURRENT_KID says otherwise', async () => {
+  let k = await keyring({ JWT_KEYS: `2026-10:${SECRET_A}, 2026-04:${SECRET_B}` })
+  assert.equal(k.keyringError(), null)
+  assert.equal(k.currentKey().kid, '2026-10')
+  assert.deepEqual(k.allKeys().map(key => key.kid), ['2026-10', '2026-04'])
+
+  k = await keyring({ JWT_KEYS: `2026-10:${SECRET_A},2026-04:${SECRET_B}`, JWT_CURRENT_KID: '2026-04' })
+  assert.equal(k.currentKey().kid, '2026-04')
+  assert.deepEqual(k.allKeys().map(key => key.kid), ['2026-04', '2026-10'])
+})
+
+test('secrets may contain colons', async () => {
+  const k = await keyring({ JWT_KEYS: `k1:${SECRET_A}:tail` })
+  assert.equal(k.findKey('k1').secret, `${SECRET_A}:tail`)
+})
+
+test('JWT_SECRET is the "default" key, used for tokens without a kid', async () => {
+  const k = await keyring({ JWT_KEYS: `k1:${SECRET_A}`, JWT_SECRET: SECRET_B })
+  assert.equal(k.keyringError(), null)
+  assert.equal(k.currentKey().kid, 'k1')
+  assert.equal(k.findKey(undefined).kid, k.LEGACY_KID)
+  assert.equal(k.findKey(undefined).secret, SECRET_B)
+  assert.equal(k.findKey('retired'), null)
+})
+
+test('a JWT_KEYS "default" pair takes precedence over JWT_SECRET', async () => {
+  const k = await keyring({ JWT_KEYS: `default:${SECRET_A}`, JWT_SECRET: SECRET_B })
+  assert.equal(k.findKey('default').source, 'JWT_KEYS')
+  assert.equal(k.allKeys().length, 1)
+})
+
+test('describes keys without revealing their secrets', async () => {
+  const k = await keyring({ JWT_KEYS: `k1:${SECRET_A},k2:${SECRET_B}` })
+  const [current, old] = k.describeKeys()
+  assert.deepEqual(current.uses, ['sign', 'verify', 'encrypt', 'decrypt'])
+  assert.deepEqual(old.uses, ['verify', 'decrypt'])
+  assert.match(current.fingerprint, /^[0-9a-f]{12}$/)
+  assert.ok(!JSON.stringify(k.describeKeys()).includes(SECRET_A))
+})
+
+test('the webhook key is separate and optional', async () => {
+  let k = await keyring({ JWT_SECRET: SECRET_A })
+  assert.equal(k.webhookKey(), null)
+
+  k = await keyring({ JWT_SECRET: SECRET_A, WEBHOOK_SECRET_KEY: SECRET_B })
+  assert.equal(k.webhookKey().kid, k.WEBHOOK_KID)
+  assert.equal(k.webhookKey().aesKey.length, 32)
+  assert.equal(k.findKey(k.WEBHOOK_KID), null)
+})
+
+test('reports configuration errors', async () => {
+  const cases = [
+    [{}, /Set JWT_KEYS or JWT_SECRET/],
+    [{ JWT_KEYS: SECRET_A }, /must be kid:secret/],
+    [{ JWT_KEYS: `:${SECRET_A}` }, /must be kid:secret/],
+    [{ JWT_KEYS: 'k1:' }, /must be kid:secret/],
+    [{ JWT_KEYS: `bad kid:${SECRET_A}` }, /may only use letters, digits/],
+    [{ JWT_KEYS: `k1:${SECRET_A},k1:${SECRET_B}` }, /"k1" is listed twice/],
+    [{ JWT_KEYS: 'k1:short' }, /secret for "k1" must be at least 32 characters/],
+    [{ JWT_SECRET: 'short' }, /JWT_SECRET must be at least 32 characters/],
+    [{ JWT_KEYS: `k1:${SECRET_A}`, JWT_CURRENT_KID: 'k2' }, /JWT_CURRENT_KID "k2" is not in JWT_KEYS/],
+    [{ JWT_SECRET: SECRET_A, WEBHOOK_SECRET_KEY: 'short' }, /WEBHOOK_SECRET_KEY must be at least 32 characters/],
+  ]
+  for (const [env, error] of cases) {
+    assert.match((await keyring(env)).keyringError() ?? '', error, JSON.stringify(env))
+  }
+})
+
+test('the first problem is the one reported', async () => {
+  const k = await keyring({ JWT_KEYS: `k1:short,bad kid:${SECRET_A}` })
+  assert.match(k.keyringError(), /secret for "k1"/)
+})
@@ -0,0 +1,85 @@
+// test/report.test.js
+//
+// lib/report.js: report query parsing, date buckets, and group-by
+// aggregation into groups, totals and chart series.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseReportQuery, runReport, dateBucket } from '../lib/report.js'
+
+const HEADER = ['المورد', 'الفرع', 'السعر', 'التاريخ']
+
+const ROWS = [
+  ['أحمد', 'A', '100',   '2026-03-02'],
+  ['سارة', 'A', '0.1',   '2026-03-15'],
+  ['أحمد', 'B', '1,000', '2026-04-01'],
+  ['أحمد', 'A', '',      '2026-04-20'],
+  ['سارة', 'B', '0.2',   'not a date'],
+]
+
+const report = query => {
+  const parsed = parseReportQuery(query, HEADER)
+  assert.equal(parsed.error, undefined)
+  return runReport(HEADER, ROWS, parsed)
+}
+
+test('metrics default to count', () => {
+  assert.deepEqual(parseReportQuery({}, HEADER).metrics, [{ key: 'count', op: 'count', column: null }])
+})
+
+test('bucket defaults to month and takes a unit after the last colon', () => {
+  assert.deepEqual(parseReportQuery({ bucket: 'التاريخ' }, HEADER).bucket, { column: 'التاريخ', unit: 'month' })
+  assert.deepEqual(parseReportQuery({ bucket: 'التاريخ:week' }, HEADER).bucket, { column: 'التاريخ', unit: 'week' })
+})
+
+test('rejects unknown columns, metrics and bucket units', () => {
+  assert.match(parseReportQuery({ groupBy: 'nope' }, HEADER).error, /Unknown column in groupBy: nope/)
+  assert.match(parseReportQuery({ bucket: 'nope:day' }, HEADER).error, /Unknown column in bucket: nope/)
+  assert.match(parseReportQuery({ bucket: 'التاريخ:year' }, HEADER).error, /bucket unit/)
+  assert.match(parseReportQuery({ metrics: 'median:السعر' }, HEADER).error, /Unknown metric "median"/)
+  assert.match(parseReportQuery({ metrics: 'sum' }, HEADER).error, /needs a column/)
+  assert.match(parseReportQuery({ metrics: 'sum:nope' }, HEADER).error, /Unknown column in metrics: nope/)
+})
+
+test('buckets dates by day, ISO week and month', () => {
+  assert.equal(dateBucket('2026-03-14', 'day'), '2026-03-14')
+  assert.equal(dateBucket('2026/3/5', 'day'), '2026-03-05')
+  assert.equal(dateBucket('2026-03-14', 'week'), '2026-03-09')   // a Saturday → its Monday
+  assert.equal(dateBucket('2026-03-09', 'week'), '2026-03-09')
+  assert.equal(dateBucket('2026-03-14', 'month'), '2026-03')
+  assert.equal(dateBucket('14', 'day'), null)
+  assert.equal(dateBucket('', 'month'), null)
+})
+
+test('groups by a column with count, sum, avg, min and max', () => {
+  const { groups, totals } = report({ groupBy: 'المورد', metrics: 'count,count:السعر,sum:السعر,avg:السعر,min:السعر,max:السعر' })
+  assert.deepEqual(groups.map(g => g.key), [{ 'المورد': 'أحمد' }, { 'المورد': 'سارة' }])
+  assert.deepEqual(groups[0].values, {
+    'count': 3, 'count:السعر': 2, 'sum:السعر': 1100, 'avg:السعر': 550, 'min:السعر': 100, 'max:السعر': 1000,
+  })
+  // 0.1 + 0.2 without the float noise
+  assert.equal(groups[1].values['sum:السعر'], 0.3)
+  assert.equal(totals.count, 5)
+  assert.equal(totals['sum:السعر'], 1100.3)
+})
+
+test('bucketed reports skip rows whose date cell is not a date', () => {
+  const { groups, skipped } = report({ bucket: 'التاريخ:month', metrics: 'sum:السعر' })
+  assert.deepEqual(groups.map(g => [g.key['التاريخ'], g.values['sum:السعر']]), [['2026-03', 100.1], ['2026-04', 1000]])
+  assert.equal(skipped, 1)
+})
+
+test('extra groupBy columns split the chart into series', () => {
+  const { series } = report({ bucket: 'التاريخ:month', groupBy: 'الفرع', metrics: 'count' })
+  assert.deepEqual(series.labels, ['2026-03', '2026-04'])
+  assert.deepEqual(series.datasets.map(d => [d.label, d.split, d.data]), [
+    ['A', ['A'], [2, 1]],
+    ['B', ['B'], [null, 1]],
+  ])
+})
+
+test('without dimensions the series is a single point per metric', () => {
+  const { groups, series } = report({ metrics: 'count' })
+  assert.equal(groups.length, 1)
+  assert.deepEqual(series, { labels: [''], datasets: [{ label: 'count', metric: 'count', split: null, data: [5] }] })
+})
@@ -0,0 +1,69 @@
+// test/rowDiff.test.js
+//
+// lib/rowDiff.js: row deltas between two reads of a tab, matched by row ID or
+// by position, and cell deltas between two versions of a row.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { keyRows, diffRows, diffFields } from '../lib/rowDiff.js'
+
+const WITH_IDS = ['الصنف', 'السعر', '_id']
+
+const summary = changes => changes.map(c => [c.type, c.rowIndex, c.id])
+
+test('keys rows by ID, or by position when a row has none', () => {
+  const rows = keyRows(WITH_IDS, [['تفاح', '5', 'r1'], ['موز', '7', '']])
+  assert.deepEqual([...rows.keys()], ['id:r1', '#1'])
+  assert.equal(rows.get('id:r1').rowIndex, 2)
+  assert.equal(rows.get('#1').id, null)
+})
+
+test('reports created, updated and deleted rows by ID', () => {
+  const before = keyRows(WITH_IDS, [['تفاح', '5', 'r1'], ['موز', '7', 'r2'], ['عنب', '9', 'r3']])
+  // r1 deleted (so the rest move up), r2 edited, r4 added
+  const after = keyRows(WITH_IDS, [['موز', '8', 'r2'], ['عنب', '9', 'r3'], ['تمر', '3', 'r4']])
+  assert.deepEqual(summary(diffRows(before, after)), [
+    ['updated', 2, 'r2'],
+    ['created', 4, 'r4'],
+    ['deleted', 2, 'r1'],
+  ])
+})
+
+test('deleted rows carry their old values when the earlier read had them', () => {
+  const before = keyRows(WITH_IDS, [['تفاح', '5', 'r1']])
+  const [deleted] = diffRows(before, keyRows(WITH_IDS, []))
+  assert.deepEqual(deleted, { type: 'deleted', rowIndex: 2, id: 'r1', values: ['تفاح', '5', 'r1'], version: null })
+
+  // Cursors only keep rowIndex, id and version
+  const slim = new Map([...before].map(([k, { rowIndex, id, version }]) => [k, { rowIndex, id, version }]))
+  assert.equal(diffRows(slim, keyRows(WITH_IDS, []))[0].values, null)
+})
+
+test('without IDs a deleted row shows up as updates below it', () => {
+  const header = ['الصنف']
+  const before = keyRows(header, [['a'], ['b'], ['c']])
+  const after  = keyRows(header, [['b'], ['c']])
+  assert.deepEqual(summary(diffRows(before, after)), [
+    ['updated', 2, null],
+    ['updated', 3, null],
+    ['deleted', 4, null],
+  ])
+})
+
+test('unchanged reads have no changes', () => {
+  const rows = [['تفاح', '5', 'r1']]
+  assert.deepEqual(diffRows(keyRows(WITH_IDS, rows), keyRows(WITH_IDS, rows)), [])
+})
+
+test('lists the cells that differ, by header, without the ID column', () => {
+  assert.deepEqual(diffFields(WITH_IDS, ['تفاح', '5', 'r1'], ['تفاح', '6', 'r9']), [
+    { field: 'السعر', before: '5', after: '6' },
+  ])
+})
+
+test('names cells past the header or under a blank header by position', () => {
+  assert.deepEqual(diffFields(['a', ''], ['1'], ['1', 'x', 'y']), [
+    { field: 'column 2', before: '', after: 'x' },
+    { field: 'column 3', before: '', after: 'y' },
+  ])
+})
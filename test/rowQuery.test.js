@@ -0,0 +1,101 @@
+// test/rowQuery.test.js
+//
+// lib/rowQuery.js: query-string parsing against a header row, and filtering,
+// sorting, projection and cursor pagination over plain rows.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseRowQuery, applyRowQuery, compareCells } from '../lib/rowQuery.js'
+
+const HEADER = ['المورد', 'السعر', 'التاريخ']
+
+const ROWS = [
+  ['أحمد', '120', '2024-03-01'],
+  ['سارة', '80',  '2024-01-15'],
+  ['أحمد', '1,500', '2024-02-10'],
+  ['علي',  '',    ''],
+].map((values, i) => ({ rowIndex: i + 2, values }))
+
+const run = query => {
+  const parsed = parseRowQuery(query, HEADER)
+  assert.equal(parsed.error, undefined)
+  return applyRowQuery(HEADER, ROWS, parsed)
+}
+
+const rowIndexes = result => result.rows.map(r => r.rowIndex)
+
+test('a bare where value means equals', () => {
+  const parsed = parseRowQuery({ where: { 'المورد': 'أحمد' } }, HEADER)
+  assert.deepEqual(parsed.where, [{ column: 'المورد', op: 'eq', value: 'أحمد' }])
+})
+
+test('operators are parsed per column', () => {
+  const parsed = parseRowQuery({ where: { 'السعر': { gte: '100', lt: 2000 } } }, HEADER)
+  assert.deepEqual(parsed.where, [
+    { column: 'السعر', op: 'gte', value: '100' },
+    { column: 'السعر', op: 'lt', value: '2000' },
+  ])
+})
+
+test('unknown columns and operators are errors', () => {
+  assert.match(parseRowQuery({ where: { nope: 'x' } }, HEADER).error, /Unknown column in where: nope/)
+  assert.match(parseRowQuery({ where: { 'السعر': { like: 'x' } } }, HEADER).error, /Unknown operator "like"/)
+  assert.match(parseRowQuery({ where: 'x' }, HEADER).error, /where\[column\]=value/)
+  assert.match(parseRowQuery({ sort: '-nope' }, HEADER).error, /Unknown column in sort: nope/)
+  assert.match(parseRowQuery({ fields: 'السعر,nope' }, HEADER).error, /Unknown column in fields: nope/)
+})
+
+test('limit must be a positive integer and is capped', () => {
+  assert.match(parseRowQuery({ limit: '0' }, HEADER).error, /positive integer/)
+  assert.match(parseRowQuery({ limit: 'ten' }, HEADER).error, /positive integer/)
+  assert.equal(parseRowQuery({ limit: '5000' }, HEADER).limit, 1000)
+})
+
+test('a malformed cursor is an error', () => {
+  assert.match(parseRowQuery({ cursor: 'not-a-cursor' }, HEADER).error, /Invalid cursor/)
+})
+
+test('numbers compare numerically, thousands separators included', () => {
+  assert.deepEqual(rowIndexes(run({ where: { 'السعر': { gt: '100' } } })), [2, 4])
+  assert.ok(compareCells('1,500', '200') > 0)
+})
+
+test('dates compare chronologically, other text case-insensitively', () => {
+  assert.deepEqual(rowIndexes(run({ where: { 'التاريخ': { lt: '2024-02-15' } } })), [3, 4])
+  assert.equal(compareCells('ABC', 'abc'), 0)
+})
+
+test('ordering operators never match empty cells', () => {
+  assert.deepEqual(rowIndexes(run({ where: { 'السعر': { lte: '1000000' } } })), [2, 3, 4])
+})
+
+test('in matches any value of a comma list', () => {
+  assert.deepEqual(rowIndexes(run({ where: { 'المورد': { in: 'سارة, علي' } } })), [3, 5])
+})
+
+test('contains is a case-insensitive substring match', () => {
+  assert.deepEqual(rowIndexes(run({ where: { 'التاريخ': { contains: '-03-' } } })), [2])
+})
+
+test('sorts by several columns with empty cells last', () => {
+  assert.deepEqual(rowIndexes(run({ sort: '-السعر' })), [4, 2, 3, 5])
+  assert.deepEqual(rowIndexes(run({ sort: 'المورد,-التاريخ' })), [2, 4, 3, 5])
+})
+
+test('projects rows onto the requested fields', () => {
+  const result = run({ fields: 'السعر,المورد', limit: '1' })
+  assert.deepEqual(result.header, ['السعر', 'المورد'])
+  assert.deepEqual(result.rows[0].values, ['120', 'أحمد'])
+})
+
+test('pages through the matches with nextCursor', () => {
+  const first = run({ sort: 'التاريخ', limit: '2' })
+  assert.deepEqual(rowIndexes(first), [3, 4])
+  assert.equal(first.total, 4)
+  assert.equal(first.matched, 4)
+  assert.ok(first.nextCursor)
+
+  const second = run({ sort: 'التاريخ', limit: '2', cursor: first.nextCursor })
+  assert.deepEqual(rowIndexes(second), [2, 5])
+  assert.equal(second.nextCursor, null)
+})
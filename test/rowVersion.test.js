@@ -0,0 +1,48 @@
+// test/rowVersion.test.js
+//
+// lib/rowVersion.js: row content hashes and If-Match preconditions.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { rowVersion, parseVersion, expectedVersion, versionMatches } from '../lib/rowVersion.js'
+
+test('the version is a short hash of the cell values', () => {
+  const v = rowVersion(['تفاح', '5'])
+  assert.match(v, /^[\w-]{16}$/)
+  assert.equal(rowVersion(['تفاح', '5']), v)
+  assert.notEqual(rowVersion(['تفاح', '6']), v)
+  assert.notEqual(rowVersion(['5', 'تفاح']), v)
+})
+
+test('trailing empty cells do not change the version', () => {
+  assert.equal(rowVersion(['a', 'b', '', null, undefined]), rowVersion(['a', 'b']))
+  assert.notEqual(rowVersion(['', 'a']), rowVersion(['a']))
+  assert.equal(rowVersion([]), rowVersion(null))
+})
+
+test('numbers hash like their text, as Sheets returns them', () => {
+  assert.equal(rowVersion([5, 'x']), rowVersion(['5', 'x']))
+})
+
+test('parses plain, quoted and weak ETags', () => {
+  assert.equal(parseVersion('abc'), 'abc')
+  assert.equal(parseVersion('"abc"'), 'abc')
+  assert.equal(parseVersion(' W/"abc" '), 'abc')
+  assert.equal(parseVersion('*'), '*')
+  assert.equal(parseVersion(''), null)
+  assert.equal(parseVersion(undefined), null)
+})
+
+test('If-Match wins over the body field', () => {
+  const req = headers => ({ get: name => headers[name] })
+  assert.equal(expectedVersion(req({ 'If-Match': '"h1"' }), 'h2'), 'h1')
+  assert.equal(expectedVersion(req({}), 'h2'), 'h2')
+  assert.equal(expectedVersion(req({}), undefined), null)
+})
+
+test('no precondition or "*" matches anything, otherwise the version must be equal', () => {
+  assert.ok(versionMatches(null, 'v1'))
+  assert.ok(versionMatches('*', 'v1'))
+  assert.ok(versionMatches('v1', 'v1'))
+  assert.ok(!versionMatches('v1', 'v2'))
+})
@@ -0,0 +1,115 @@
+// test/schemaStore.test.js
+//
+// config/schemaStore.js: schema definition checks, row validation per column
+// type, and the Sheets data-validation rules a schema turns into.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkSchemaDefinition, validateRow, toDataValidationRequests } from '../config/schemaStore.js'
+
+const HEADER = ['الاسم', 'السعر', 'التاريخ', 'الحالة', 'البريد']
+
+const column = (name, type, extra = {}) => ({ column: name, type, required: false, min: null, max: null, options: [], ...extra })
+
+const SCHEMA = [
+  column('الاسم', 'text', { required: true, max: '10' }),
+  column('السعر', 'number', { min: '0', max: '1,000' }),
+  column('التاريخ', 'date', { min: '2026-01-01', max: '2026-12-31' }),
+  column('الحالة', 'enum', { options: ['جديد', 'قديم'] }),
+  column('البريد', 'email'),
+]
+
+const errorsFor = values => validateRow(SCHEMA, HEADER, values).map(e => [e.column, e.error])
+
+// Checks one column's value with every other cell left valid
+const check = (name, value) => {
+  const values = ['تفاح', '', '', '', '']
+  values[HEADER.indexOf(name)] = value
+  return validateRow(SCHEMA, HEADER, values).find(e => e.column === name)?.error ?? null
+}
+
+test('accepts a valid definition', () => {
+  assert.equal(checkSchemaDefinition({
+    'الاسم': { required: true },
+    'السعر': { type: 'number', min: 0, max: '1,000' },
+    'التاريخ': { type: 'date', min: '2026-01-01' },
+    'الحالة': { type: 'enum', options: ['جديد'] },
+  }, HEADER), null)
+})
+
+test('rejects malformed definitions', () => {
+  assert.match(checkSchemaDefinition([], HEADER), /object keyed by header/)
+  assert.match(checkSchemaDefinition({ nope: {} }, HEADER), /"nope" is not in headers/)
+  assert.match(checkSchemaDefinition({ 'الاسم': 'text' }, HEADER), /must be an object/)
+  assert.match(checkSchemaDefinition({ 'الاسم': { type: 'money' } }, HEADER), /type must be one of/)
+  assert.match(checkSchemaDefinition({ 'الحالة': { type: 'enum' } }, HEADER), /non-empty options/)
+  assert.match(checkSchemaDefinition({ 'السعر': { type: 'number', min: '1e3' } }, HEADER), /min is not a valid number/)
+  assert.match(checkSchemaDefinition({ 'التاريخ': { type: 'date', max: '2026-02-30' } }, HEADER), /max is not a valid date/)
+})
+
+test('a valid row has no errors', () => {
+  assert.deepEqual(errorsFor(['تفاح', '1,000', '2026-03-14', 'جديد', 'a@b.co']), [])
+})
+
+test('required columns must be filled; optional ones may be empty', () => {
+  assert.deepEqual(errorsFor(['  ', '', '', '', '']), [['الاسم', 'is required']])
+})
+
+test('text min and max are lengths', () => {
+  assert.equal(check('الاسم', 'x'.repeat(11)), 'must be at most 10 characters')
+})
+
+test('numbers must be plain decimals within the bounds', () => {
+  for (const ok of ['0', '12', '-0', '12.5', '.5', '1,000', ' 7 ']) assert.equal(check('السعر', ok), null, ok)
+  for (const bad of ['abc', '0x10', '1e3', 'Infinity', '12abc', '-']) assert.equal(check('السعر', bad), 'must be a number', bad)
+  assert.equal(check('السعر', '-1'), 'must be at least 0')
+  assert.equal(check('السعر', '1000.01'), 'must be at most 1,000')
+})
+
+test('dates must be real ISO calendar dates within the bounds', () => {
+  for (const ok of ['2026-02-28', '2026-03-14T10:30:00Z', '2026-03-14 10:30']) assert.equal(check('التاريخ', ok), null, ok)
+  for (const bad of ['5', '12', 'abc 3', '2026-02-30', '2026-13-01', '14/03/2026', 'March 14, 2026']) {
+    assert.equal(check('التاريخ', bad), 'must be a valid date', bad)
+  }
+  assert.equal(check('التاريخ', '2025-12-31'), 'must be on or after 2026-01-01')
+  assert.equal(check('التاريخ', '2027-01-01'), 'must be on or before 2026-12-31')
+})
+
+test('leap days are only valid in leap years', () => {
+  const schema = [column('d', 'date')]
+  assert.deepEqual(validateRow(schema, ['d'], ['2024-02-29']), [])
+  assert.equal(validateRow(schema, ['d'], ['2026-02-29'])[0].error, 'must be a valid date')
+})
+
+test('enum values must be one of the options', () => {
+  assert.equal(check('الحالة', ' قديم '), null)
+  assert.equal(check('الحالة', 'مستعمل'), 'must be one of: جديد, قديم')
+})
+
+test('emails must look like addresses', () => {
+  assert.equal(check('البريد', 'not-an-email'), 'must be a valid email address')
+})
+
+test('reports the column and value of each error', () => {
+  assert.deepEqual(validateRow(SCHEMA, HEADER, ['تفاح', 'abc']), [{ column: 'السعر', value: 'abc', error: 'must be a number' }])
+})
+
+test('partial rows only check the columns they cover', () => {
+  assert.deepEqual(validateRow(SCHEMA, HEADER, ['', '5'], { partial: true }).map(e => e.column), ['الاسم'])
+  assert.deepEqual(validateRow(SCHEMA, HEADER, [], { partial: true }), [])
+  assert.deepEqual(validateRow(SCHEMA, HEADER, []).map(e => e.column), ['الاسم'])
+})
+
+test('columns missing from the header are skipped', () => {
+  assert.deepEqual(validateRow(SCHEMA, ['الاسم'], ['تفاح']), [])
+})
+
+test('mirrors the schema into Sheets data-validation rules', () => {
+  const [name, price, date, status, email] = toDataValidationRequests(SCHEMA, HEADER, 7)
+  assert.deepEqual(name, { setDataValidation: { range: { sheetId: 7, startRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 } } })
+  assert.equal(price.setDataValidation.rule.condition.type, 'NUMBER_BETWEEN')
+  assert.equal(date.setDataValidation.rule.condition.type, 'DATE_BETWEEN')
+  assert.deepEqual(status.setDataValidation.rule.condition.values, [{ userEnteredValue: 'جديد' }, { userEnteredValue: 'قديم' }])
+  assert.ok(status.setDataValidation.rule.showCustomUi)
+  assert.equal(email.setDataValidation.rule.condition.type, 'TEXT_IS_EMAIL')
+})